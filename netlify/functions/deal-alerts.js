@@ -0,0 +1,13 @@
+const { connectStores } = require('../lib/store');
+const { withRequest } = require('../lib/logger');
+const { checkWatchlist } = require('../lib/watchlist');
+
+// Scheduled watchlist check (see the schedule in netlify.toml): alerts the
+// configured notifiers (lib/notifiers.js) about products that reached their
+// target price. scripts/watchlist.js check runs the same thing locally.
+exports.handler = withRequest(async (event, context) => {
+  connectStores(event);
+
+  await checkWatchlist();
+  return { statusCode: 200, body: '' };
+});
@@ -1,998 +1,491 @@
 const crypto = require('crypto');
-const https = require('https');
-
-// Amazon API Configuration - Using correct variable names
-const ACCESS_KEY = process.env.ACCESS_KEY;
-const SECRET_KEY = process.env.SECRET_KEY;
-const PARTNER_TAG = process.env.PARTNER_TAG || 'onelastlynx-20';
+const { connectStores } = require('../lib/store');
+const { resolveProductFromURL } = require('../lib/shortlinks');
+const { resolveLinkPath, linkPartnerTags } = require('../lib/links');
+const {
+  getMarketplace,
+  getStoreName,
+  buildAffiliateURL,
+  buildCartURL,
+  linkPath
+} = require('../lib/marketplaces');
+const { getCountry, localizeDestination } = require('../lib/geo');
+const { getProduct } = require('../lib/products');
+const { getCollection, loadCollectionItems } = require('../lib/collections');
+const { resolveCartPath, loadCartItems } = require('../lib/cart');
+const { handleAdminRequest } = require('../lib/admin');
+const { handleApiRequest } = require('../lib/api');
+const { CARD_WIDTH, CARD_HEIGHT, cardURL, collectionCardURL, handleCardRequest } = require('../lib/cards');
+const { themeForRequest } = require('../lib/templates');
+const TEMPLATES = require('../templates');
+const { CLICK_TRACKING, recordClick, isBotRequest } = require('../lib/clicks');
+const { getRedirectMode, instantDestination, redirectResponse } = require('../lib/redirect');
+const { html } = require('../lib/html');
+const { ensureDisclosure } = require('../lib/disclosure');
+const { getHealth, isUnhealthy, isDueForRecheck, resolveFallback } = require('../lib/health');
+const {
+  assignExperiment,
+  experimentHeaders,
+  trackedURL,
+  recordRedirect,
+  handleOutRequest
+} = require('../lib/experiments');
+const { createLogger, withRequest } = require('../lib/logger');
+
+const log = createLogger('go');
+
+// Browser/CDN lifetime of a rendered preview page, in seconds. Pages built
+// from degraded data are only kept for a minute.
+const HTML_MAX_AGE = parseInt(process.env.HTML_MAX_AGE, 10) || 300;
+const DEGRADED_MAX_AGE = 60;
+
+exports.handler = withRequest(async (event, context) => {
+  connectStores(event);
+
+  // Requests can also arrive on the function's own URL
+  const path = event.path.replace(/^\/\.netlify\/functions\/go/, '') || '/';
+  
+  if (path.startsWith('/admin/api/')) {
+    return handleAdminRequest(event, path);
+  }
+  if (path.startsWith('/api/')) {
+    return handleApiRequest(event, path);
+  }
+  if (path.startsWith('/card/')) {
+    return handleCardRequest(event, path);
+  }
+  if (path.startsWith('/c/')) {
+    return collectionRoute(event, path);
+  }
+  if (path.startsWith('/cart/')) {
+    return cartRoute(event, path);
+  }
+  if (path === '/out') {
+    return handleOutRequest(event, getCountry(event.headers));
+  }
 
-exports.handler = async (event, context) => {
   let asin = null;
+  let marketplace = null;
+  let link = null;
   
   // Check if it's a URL parameter format: /?url=https://amazon.com/...
   const urlParam = event.queryStringParameters?.url;
   if (urlParam) {
-    asin = extractASINFromURL(decodeURIComponent(urlParam));
+    ({ asin, marketplace } = await resolveProductFromURL(urlParam));
   } else {
-    // Check if it's a direct ASIN format: /B09P21T2GC
-    const pathAsin = event.path.replace('/', '').split('/')[0];
-    if (pathAsin && pathAsin.length === 10 && /^[A-Z0-9]{10}$/i.test(pathAsin)) {
-      asin = pathAsin;
-    }
+    // Direct ASIN format: /B09P21T2GC, or with a marketplace prefix: /uk/B09P21T2GC.
+    // Also campaign links (/B09P21T2GC/ig-story) and custom slugs (/airpods-deal).
+    ({ asin, marketplace, link } = await resolveLinkPath(path));
   }
   
-  if (!asin) {
+  // Switched off through the admin API
+  if (link && link.disabled) {
     return {
-      statusCode: 404,
+      statusCode: 410,
       headers: {
         'Content-Type': 'text/html',
+        'Cache-Control': 'no-store'
       },
-      body: generateErrorHTML()
+      body: generateDisabledHTML()
     };
   }
-
-  try {
-    // Check if we have API credentials
-    if (!ACCESS_KEY || !SECRET_KEY) {
-      console.log('Amazon API credentials not found. ACCESS_KEY present:', !!ACCESS_KEY, 'SECRET_KEY present:', !!SECRET_KEY);
-      console.log('Falling back to scraping');
-      const productData = await fetchAmazonProductScraping(asin);
-      const html = generateHTML(productData, asin);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'text/html',
-        },
-        body: html
-      };
-    }
-
-    console.log('Using PA-API 5.0 for ASIN:', asin);
-    
-    // Fetch Amazon product data using PA-API 5.0
-    const productData = await fetchAmazonProductScrapingWithRetry(asin);
-    
-    // Generate HTML with OpenGraph tags
-    const html = generateHTML(productData, asin);
-    
+  
+  marketplace = getMarketplace(marketplace).code;
+  
+  // Used to send visitors to their local Amazon storefront
+  const country = getCountry(event.headers);
+  
+  if (!asin) {
     return {
-      statusCode: 200,
+      statusCode: 404,
       headers: {
         'Content-Type': 'text/html',
       },
-      body: html
+      body: generateErrorHTML()
     };
-  } catch (error) {
-    console.error('PA-API 5.0 Error:', error.message);
-    
-    // Fallback to scraping if API fails
-    try {
-      console.log('API failed, attempting scraping fallback');
-      const productData = await fetchAmazonProductScrapingWithRetry(asin);
-      const html = generateHTML(productData, asin);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'text/html',
-        },
-        body: html
-      };
-    } catch (fallbackError) {
-      console.error('Fallback also failed:', fallbackError);
-      const fallbackHtml = generateFallbackHTML(asin);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'text/html',
-        },
-        body: fallbackHtml
-      };
-    }
   }
-};
 
-function extractASINFromURL(url) {
-  // Handle amzn.to short links by checking known mappings first
-  const shortLinkMappings = {
-    'amzn.to/468mKVM': 'B09P21T2GC'
-    // Add more mappings as needed
+  // Variant of the running A/B test for this visitor, if any (lib/experiments.js)
+  const assignment = assignExperiment(event);
+  
+  // Where this link lives and which tracking IDs its Amazon URLs carry
+  const target = {
+    asin: asin,
+    marketplace: marketplace,
+    path: link ? `/${link.slug}` : linkPath(asin, marketplace),
+    slug: link ? link.slug : null,
+    partnerTags: linkPartnerTags(link),
+    assignment: assignment
   };
   
-  // Check for known short links
-  for (const [shortUrl, asin] of Object.entries(shortLinkMappings)) {
-    if (url.includes(shortUrl)) {
-      return asin;
-    }
+  // Page template and branding for this link or domain, unless the visitor's
+  // variant says otherwise
+  const variant = assignment ? assignment.settings : {};
+  let theme = themeForRequest(event, { theme: variant.theme || (link && link.theme) });
+  const mode = getRedirectMode(event, theme.settings, variant.mode || (link && link.mode));
+  if (variant.countdown !== undefined) {
+    theme = { ...theme, settings: { ...theme.settings, countdown: Number(variant.countdown) || 0 } };
   }
   
-  // Extract from standard Amazon URLs
-  const patterns = [
-    /\/dp\/([A-Z0-9]{10})/i,
-    /\/product\/([A-Z0-9]{10})/i,
-    /\/gp\/product\/([A-Z0-9]{10})/i,
-    /asin=([A-Z0-9]{10})/i,
-    /\/([A-Z0-9]{10})(?:\/|$|\?)/i
-  ];
+  // First-party click log. Awaited, as Lambda freezes once the response is sent.
+  // Redirects and visitors in an experiment are always logged: none of those
+  // responses is cached, and experiment results are counted from the log.
+  const click = {
+    asin: asin,
+    marketplace: marketplace,
+    country: country,
+    slug: link && link.slug,
+    experiment: assignment && assignment.experiment,
+    variant: assignment && assignment.variant
+  };
+  const clickLogged = CLICK_TRACKING || mode === 'instant' || !!assignment;
+  await recordClick(event, click, { enabled: clickLogged });
+  const fallbackRedirect = async (url) => {
+    if (!clickLogged) await recordClick(event, click, { enabled: true });
+    return redirectResponse(url);
+  };
   
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && /^[A-Z0-9]{10}$/i.test(match[1])) {
-      return match[1];
-    }
+  // Dead or unavailable product: the link's fallback instead (lib/health.js).
+  // A status older than HEALTH_RECHECK_INTERVAL is checked live first, as the
+  // product may be back.
+  let fallback = null;
+  let result = null;
+  let health = await getHealth(asin, marketplace);
+  if (isDueForRecheck(health)) {
+    result = await getProduct(asin, marketplace, { cacheOptions: { ttl: 0, staleTtl: 0 } });
+    if (result.health) health = { status: result.health };
+  }
+  if (isUnhealthy(health)) {
+    fallback = await useFallback(link, target);
+    if (fallback && fallback.url) return fallbackRedirect(fallback.url);
   }
   
-  return null;
-}
-
-// Amazon Product Advertising API 5.0 Implementation - CORRECTED
-async function fetchAmazonProductAPI(asin) {
-  const method = 'POST';
-  const service = 'ProductAdvertisingAPI';
-  const target = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.GetItems';
-  const region = 'us-east-1';
-  const host = 'webservices.amazon.com';
-  const endpoint = `https://${host}`;
+  // Instant mode: people go straight to Amazon, preview bots still need the page
+  if (mode === 'instant' && !isBotRequest(event)) {
+    if (assignment) {
+      await recordRedirect(event, assignment, { asin: asin, marketplace: marketplace, country: country, slug: link && link.slug });
+    }
+    const response = redirectResponse(await instantDestination(target, country));
+    return { ...response, headers: { ...response.headers, ...experimentHeaders(assignment) } };
+  }
+  if (mode === 'manual') {
+    theme = { ...theme, settings: { ...theme.settings, countdown: 0 } };
+  }
   
-  // Request payload for PA-API 5.0
-  const payload = JSON.stringify({
-    ItemIds: [asin],
-    Resources: [
-      'ItemInfo.Title',
-      'ItemInfo.Features', 
-      'Images.Primary.Large',
-      'Images.Primary.Medium',
-      'Images.Primary.Small',
-      'Offers.Listings.Price',
-      'ItemInfo.ProductInfo'
-    ],
-    PartnerTag: PARTNER_TAG,
-    PartnerType: 'Associates',
-    Marketplace: 'www.amazon.com'
+  // PA-API, cache, then degraded fallbacks - see lib/products.js
+  if (!result || fallback) {
+    result = await getProduct(target.asin, target.marketplace);
+  }
+  log.info('Product data', {
+    asin: target.asin,
+    marketplace: target.marketplace,
+    source: result.source,
+    cache: result.cache,
+    degraded: result.degraded
   });
   
-  // Create timestamp FIRST - use consistent timing
-  const timestamp = new Date();
-  const dateStamp = timestamp.toISOString().substring(0, 10).replace(/-/g, '');
-  const amzDate = timestamp.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  // Amazon only just told us the product is gone
+  if (!fallback && isUnhealthy({ status: result.health })) {
+    fallback = await useFallback(link, target);
+    if (fallback && fallback.url) return fallbackRedirect(fallback.url);
+    if (fallback) result = await getProduct(target.asin, target.marketplace);
+  }
   
-  // Create AWS Signature Version 4 - FIXED canonical request
-  const canonicalUri = '/paapi5/getitems';
-  const canonicalQuerystring = '';
-  // CRITICAL: Headers must be in alphabetical order and lowercase
-  const canonicalHeaders = [
-    `content-type:application/json; charset=utf-8`,
-    `host:${host}`,
-    `x-amz-date:${amzDate}`,
-    `x-amz-target:${target}`
-  ].join('\n') + '\n';
+  // Nothing to show: generic page that still forwards to Amazon
+  const page = result.product
+    ? generateHTML(result.product, target, country, theme)
+    : generateFallbackHTML(target, country, theme);
   
-  const signedHeaders = 'content-type;host;x-amz-date;x-amz-target';
-  const payloadHash = crypto.createHash('sha256').update(payload, 'utf8').digest('hex');
+  // In instant mode the same URL redirects people, so the CDN may not keep the
+  // page for them; nor may it share one visitor's variant with the next
+  return htmlResponse(event, page, result, {
+    revalidate: CLICK_TRACKING || mode === 'instant' || !!assignment,
+    headers: experimentHeaders(assignment)
+  });
+});
+
+// Collection landing page (/c/desk-setup, see lib/collections.js). Each product
+// links to Amazon directly, so there is no redirect or click to record here.
+async function collectionRoute(event, path) {
+  const collection = await getCollection(path.substring('/c/'.length).replace(/\/$/, ''));
+  const items = collection ? await loadCollectionItems(collection) : [];
   
-  const canonicalRequest = [
-    method,
-    canonicalUri,
-    canonicalQuerystring,
-    canonicalHeaders,
-    signedHeaders,
-    payloadHash
-  ].join('\n');
+  if (items.length === 0) {
+    return {
+      statusCode: 404,
+      headers: {
+        'Content-Type': 'text/html',
+      },
+      body: generateErrorHTML()
+    };
+  }
   
-  console.log('Canonical Request:', canonicalRequest);
+  const theme = themeForRequest(event, { theme: collection.theme });
+  const page = generateCollectionHTML(collection, items, getCountry(event.headers), theme);
   
-  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
-  const stringToSign = [
-    'AWS4-HMAC-SHA256',
-    amzDate,
-    credentialScope,
-    crypto.createHash('sha256').update(canonicalRequest, 'utf8').digest('hex')
-  ].join('\n');
+  return htmlResponse(event, page, combineResults(items.map(item => item.result)));
+}
+
+// Add-to-cart link (/cart/B09P21T2GC:2,B0BDHWDR12 or /cart/desk-setup, see
+// lib/cart.js): the interstitial lists what goes into the cart, then hands
+// over to Amazon's cart-add URL.
+async function cartRoute(event, path) {
+  const cart = await resolveCartPath(path);
+  const items = cart ? await loadCartItems(cart) : [];
   
-  console.log('String to Sign:', stringToSign);
+  if (items.length === 0) {
+    return {
+      statusCode: 404,
+      headers: {
+        'Content-Type': 'text/html',
+      },
+      body: generateErrorHTML()
+    };
+  }
   
-  // Create signing key - FIXED: Use binary encoding properly
-  const kDate = crypto.createHmac('sha256', `AWS4${SECRET_KEY}`).update(dateStamp).digest();
-  const kRegion = crypto.createHmac('sha256', kDate).update(region).digest();
-  const kService = crypto.createHmac('sha256', kRegion).update(service).digest();
-  const kSigning = crypto.createHmac('sha256', kService).update('aws4_request').digest();
+  const collection = cart.collection;
+  const partnerTags = linkPartnerTags(collection && { marketplace: collection.marketplace, tag: collection.tag });
+  const cartUrl = buildCartURL(items, cart.marketplace, partnerTags);
   
-  const signature = crypto.createHmac('sha256', kSigning).update(stringToSign, 'utf8').digest('hex');
+  let theme = themeForRequest(event, { theme: collection && collection.theme });
+  const mode = getRedirectMode(event, theme.settings);
   
-  const authorization = `AWS4-HMAC-SHA256 Credential=${ACCESS_KEY}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  // One click per product that goes into the cart; always logged for an
+  // instant redirect, as for a single product
+  await Promise.all(items.map(item => recordClick(event, {
+    asin: item.asin,
+    marketplace: cart.marketplace,
+    country: getCountry(event.headers),
+    slug: collection && `c/${collection.slug}`
+  }, { enabled: CLICK_TRACKING || mode === 'instant' })));
   
-  console.log('Authorization Header:', authorization);
+  if (mode === 'instant' && !isBotRequest(event)) {
+    return redirectResponse(cartUrl);
+  }
+  if (mode === 'manual') {
+    theme = { ...theme, settings: { ...theme.settings, countdown: 0 } };
+  }
   
-  return new Promise((resolve, reject) => {
-    const options = {
-      method: method,
-      headers: {
-        'Authorization': authorization,
-        'Content-Type': 'application/json; charset=utf-8',
-        'Host': host,
-        'X-Amz-Date': amzDate,
-        'X-Amz-Target': target,
-        'Content-Length': Buffer.byteLength(payload, 'utf8')
-      }
-    };
-
-    const req = https.request(endpoint + canonicalUri, options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        console.log('PA-API 5.0 Response Status:', res.statusCode);
-        console.log('PA-API 5.0 Response Headers:', res.headers);
-        
-        try {
-          const response = JSON.parse(data);
-          console.log('PA-API 5.0 Response:', JSON.stringify(response, null, 2));
-          
-          // Check for errors in response
-          if (response.Errors && response.Errors.length > 0) {
-            console.error('PA-API 5.0 Error:', response.Errors[0].Message);
-            console.error('Error Code:', response.Errors[0].Code);
-            reject(new Error(`PA-API Error: ${response.Errors[0].Message}`));
-            return;
-          }
-          
-          // Check for internal failure
-          if (response.Output && response.Output.__type && response.Output.__type.includes('InternalFailure')) {
-            console.error('PA-API 5.0 Internal Failure - likely authentication issue');
-            console.error('Check your credentials: ACCESS_KEY, SECRET_KEY, and PARTNER_TAG');
-            console.error('Full response:', JSON.stringify(response, null, 2));
-            reject(new Error('PA-API Authentication Failed - Check your credentials'));
-            return;
-          }
-          
-          const productData = parsePAAPI5Response(response, asin);
-          console.log('Parsed product data:', productData);
-          resolve(productData);
-        } catch (parseError) {
-          console.error('PA-API 5.0 Parse error:', parseError);
-          console.error('Raw response:', data);
-          reject(parseError);
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      console.error('PA-API 5.0 Request error:', error);
-      reject(error);
-    });
-    
-    req.setTimeout(10000, () => {
-      req.abort();
-      reject(new Error('PA-API 5.0 request timeout'));
-    });
-    
-    req.write(payload, 'utf8');
-    req.end();
+  const page = generateCartHTML(cart, items, path, cartUrl, partnerTags, theme);
+  return htmlResponse(event, page, combineResults(items.map(item => item.result)), {
+    revalidate: CLICK_TRACKING || mode === 'instant'
   });
 }
 
-// Parse PA-API 5.0 JSON response
-function parsePAAPI5Response(response, asin) {
-  let title = '';
-  let image = '';
-  let price = '';
-  
-  try {
-    if (response.ItemsResult && response.ItemsResult.Items && response.ItemsResult.Items.length > 0) {
-      const item = response.ItemsResult.Items[0];
-      
-      // Extract title
-      if (item.ItemInfo && item.ItemInfo.Title && item.ItemInfo.Title.DisplayValue) {
-        title = item.ItemInfo.Title.DisplayValue;
-      }
-      
-      // Extract image - try multiple sizes
-      if (item.Images && item.Images.Primary) {
-        if (item.Images.Primary.Large && item.Images.Primary.Large.URL) {
-          image = item.Images.Primary.Large.URL;
-        } else if (item.Images.Primary.Medium && item.Images.Primary.Medium.URL) {
-          image = item.Images.Primary.Medium.URL;
-        } else if (item.Images.Primary.Small && item.Images.Primary.Small.URL) {
-          image = item.Images.Primary.Small.URL;
-        }
-      }
-      
-      // Extract price
-      if (item.Offers && item.Offers.Listings && item.Offers.Listings.length > 0) {
-        const listing = item.Offers.Listings[0];
-        if (listing.Price && listing.Price.DisplayAmount) {
-          price = listing.Price.DisplayAmount;
-        }
-      }
-    }
-  } catch (parseError) {
-    console.error('Error parsing PA-API 5.0 response:', parseError);
-  }
-  
+// Source, cache status and degraded flag of a page built from several
+// products, for htmlResponse: shared values, or "mixed"
+function combineResults(results) {
+  const combine = field => {
+    const values = [...new Set(results.map(result => result[field]))];
+    return values.length === 1 ? values[0] : 'mixed';
+  };
   return {
-    title: title || `Amazon Product ${asin}`,
-    image: image || `https://images-na.ssl-images-amazon.com/images/P/${asin}.01._SL1500_.jpg`,
-    price: price,
-    asin: asin
+    source: combine('source'),
+    cache: combine('cache'),
+    degraded: results.some(result => result.degraded)
   };
 }
 
-// Wrapper function with retry logic
-async function fetchAmazonProductScrapingWithRetry(asin) {
-  // First attempt
-  let result = await fetchAmazonProductScraping(asin);
-  
-  // If we got a generic result, try ONE more time
-  if (result.title === `Amazon Product ${asin}` || !result.image) {
-    console.log('First scrape failed, retrying after delay...');
-    
-    // Wait 1 second before retry
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Second attempt
-    result = await fetchAmazonProductScraping(asin);
+// Resolve the fallback for a dead product. A fallback product replaces the
+// target's ASIN (the link keeps its path and tracking IDs); search and
+// category fallbacks come back as { url } for the caller to redirect to.
+async function useFallback(link, target) {
+  const fallback = await resolveFallback(link && link.fallback, target);
+  if (fallback) {
+    log.info('Product is unavailable, using its fallback', { asin: target.asin, fallback: fallback.asin || fallback.url });
   }
-  
-  return result;
+  if (fallback && fallback.asin) {
+    target.asin = fallback.asin;
+    target.marketplace = fallback.marketplace;
+  }
+  return fallback;
 }
 
-// Helper function to force high-res images
-function forceHighResImage(imageUrl) {
-  if (!imageUrl) return null;
-  
-  const imageIdMatch = imageUrl.match(/\/images\/I\/([A-Z0-9+]+)\./i);
-  
-  if (imageIdMatch) {
-    const imageId = imageIdMatch[1];
-    return `https://m.media-amazon.com/images/I/${imageId}._AC_SL1500_.jpg`;
-  }
+// Cacheable HTML response with an ETag, answering conditional requests with a 304.
+// The page depends on the visitor's country (local storefront links), so the
+// CDN has to keep one copy per country. X-Product-Source and X-Product-Cache
+// record where the product data came from.
+//
+// With click tracking on (CLICK_TRACKING=on), every visit has to reach the
+// function to be counted, so the page is revalidated each time instead (cheap:
+// a 304 and cached data), which is why page views are only logged when asked
+// for. Redirects are logged either way.
+// The same goes for instant redirect mode, where people must get the 302.
+// options.headers are added to the response (the experiment cookie).
+function htmlResponse(event, html, result, options = {}) {
+  const maxAge = result.degraded ? DEGRADED_MAX_AGE : HTML_MAX_AGE;
+  const etag = `"${crypto.createHash('sha1').update(html).digest('hex').substring(0, 16)}"`;
+  const headers = {
+    ...options.headers,
+    'Content-Type': 'text/html',
+    'Cache-Control': options.revalidate
+      ? 'private, max-age=0, must-revalidate'
+      : `public, max-age=${maxAge}, stale-while-revalidate=${maxAge * 12}`,
+    'Netlify-Vary': 'country',
+    'ETag': etag,
+    'X-Product-Source': result.degraded ? `${result.source}; degraded` : result.source,
+    'X-Product-Cache': result.cache
+  };
   
-  if (imageUrl.includes('/images/P/')) {
-    return imageUrl
-      .replace(/\._[A-Z0-9,_]*\./g, '._SL1500_.')
-      .replace(/\.jpg.*$/, '.jpg');
+  const ifNoneMatch = event.headers && (event.headers['if-none-match'] || event.headers['If-None-Match']);
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+    return { statusCode: 304, headers: headers, body: '' };
   }
   
-  return imageUrl;
+  return { statusCode: 200, headers: headers, body: html };
 }
 
-// IMPROVED Fallback scraping function with high-res image forcing
-async function fetchAmazonProductScraping(asin) {
-  const { parse } = require('node-html-parser');
-  
-  const userAgents = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  ];
+// Visitors in an experiment reach Amazon through /out, which counts the redirect
+function outboundURL(affiliateUrl, target) {
+  if (!target.assignment) return affiliateUrl;
+  return trackedURL(target.assignment, target, affiliateUrl);
+}
+
+function generateHTML(productData, target, country, theme) {
+  const { asin } = target;
+  const marketplace = getMarketplace(target.marketplace);
+  const destination = localizeDestination({
+    asin: asin,
+    marketplace: marketplace.code,
+    country: country,
+    keywords: productData.title === `Amazon Product ${asin}` ? asin : productData.title
+  }, { partnerTags: target.partnerTags });
+  const affiliateUrl = outboundURL(destination.url, target);
+  const linkUrl = `https://go.onelastlink.com${target.path}`;
+  const storeName = getStoreName(destination.marketplace);
+  
+  // "$29.99 (23% off)" for descriptions and cards
+  const priceSummary = productData.price
+    ? `${productData.price}${productData.savingsPercent ? ` (${productData.savingsPercent}% off)` : ''}`
+    : '';
+  const roundedRating = productData.rating ? Math.round(productData.rating) : 0;
+  const ratingSummary = productData.rating
+    ? `${productData.rating} ★${productData.reviewCount ? ` (${productData.reviewCount.toLocaleString('en-US')} reviews)` : ''}`
+    : '';
+  
+  const page = theme.template.page({
+    product: productData,
+    asin: asin,
+    marketplace: marketplace,
+    affiliateUrl: affiliateUrl,
+    linkUrl: linkUrl,
+    pagePath: target.path,
+    storeName: storeName,
+    priceSummary: priceSummary,
+    ratingSummary: ratingSummary,
+    roundedRating: roundedRating,
+    card: {
+      url: cardURL(asin, marketplace.code, productData, theme),
+      width: CARD_WIDTH,
+      height: CARD_HEIGHT
+    }
+  }, theme.settings).toString();
   
-  const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
+  return ensureDisclosure(page, theme.settings);
+}
+
+function generateCollectionHTML(collection, items, country, theme) {
+  const partnerTags = linkPartnerTags({ marketplace: collection.marketplace, tag: collection.tag });
   
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'www.amazon.com',
-      path: `/dp/${asin}`,
-      method: 'GET',
-      headers: {
-        'User-Agent': randomUserAgent,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Connection': 'keep-alive'
-      }
+  const view = items.map(item => {
+    const product = item.result.product;
+    return {
+      asin: item.asin,
+      product: product,
+      blurb: item.blurb,
+      roundedRating: product.rating ? Math.round(product.rating) : 0,
+      affiliateUrl: localizeDestination({
+        asin: item.asin,
+        marketplace: collection.marketplace,
+        country: country,
+        keywords: product.title === `Amazon Product ${item.asin}` ? item.asin : product.title
+      }, { partnerTags: partnerTags }).url
     };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          if (data.includes('Robot Check') || data.length < 1000) {
-            console.log('Amazon blocked, using fallback for ASIN:', asin);
-            
-            resolve({
-              title: `Amazon Product ${asin}`,
-              image: `https://m.media-amazon.com/images/I/${asin}._AC_SL1500_.jpg`,
-              price: '',
-              asin: asin
-            });
-            return;
-          }
-          
-          const root = parse(data);
-          let title = '';
-          let image = '';
-          let price = '';
-          
-          // Extract title
-          const titleSelectors = ['#productTitle', 'h1.a-size-large', 'span#productTitle'];
-          for (const selector of titleSelectors) {
-            const element = root.querySelector(selector);
-            if (element && element.text.trim()) {
-              title = element.text.trim()
-                .replace(/\s+/g, ' ')
-                .replace(/\s*-\s*Amazon\.com$/, '')
-                .trim();
-              if (title.length > 10) break;
-            }
-          }
-          
-          // Extract ANY image URL - we'll fix it with forceHighResImage
-          const imageSelectors = [
-            '#landingImage',
-            'img[data-old-hires]',
-            '.a-dynamic-image',
-            'img[data-a-dynamic-image]',
-            'img[src*="images-na.ssl-images-amazon"]',
-            'img[src*="m.media-amazon"]'
-          ];
-          
-          for (const selector of imageSelectors) {
-            const element = root.querySelector(selector);
-            if (element) {
-              let rawImage = element.getAttribute('data-old-hires') || 
-                            element.getAttribute('src') ||
-                            element.getAttribute('data-a-dynamic-image');
-              
-              if (rawImage) {
-                // Handle JSON format
-                if (rawImage.startsWith('{')) {
-                  try {
-                    const imageData = JSON.parse(rawImage);
-                    const imageUrls = Object.keys(imageData);
-                    rawImage = imageUrls[0];
-                  } catch (e) {
-                    const match = rawImage.match(/"([^"]*\.(?:jpg|jpeg)[^"]*)"/i);
-                    if (match) rawImage = match[1];
-                  }
-                }
-                
-                // FORCE HIGH-RES using image ID
-                if (rawImage && rawImage.includes('amazon')) {
-                  image = forceHighResImage(rawImage);
-                  console.log('Forced high-res image:', image);
-                  break;
-                }
-              }
-            }
-          }
-          
-          // If still no image, use ASIN-based fallback
-          if (!image) {
-            image = `https://m.media-amazon.com/images/I/${asin}._AC_SL1500_.jpg`;
-          }
-          
-          // Extract price
-          const priceSelectors = [
-            '.a-price .a-offscreen',
-            '.a-price-whole',
-            '#priceblock_ourprice'
-          ];
-          
-          for (const selector of priceSelectors) {
-            const element = root.querySelector(selector);
-            if (element && element.text.includes('$')) {
-              price = element.text.trim();
-              break;
-            }
-          }
-          
-          resolve({
-            title: title || `Amazon Product ${asin}`,
-            image: image,
-            price: price,
-            asin: asin
-          });
-          
-        } catch (parseError) {
-          console.error('Parse error:', parseError);
-          resolve({
-            title: `Amazon Product ${asin}`,
-            image: `https://m.media-amazon.com/images/I/${asin}._AC_SL1500_.jpg`,
-            price: '',
-            asin: asin
-          });
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      console.error('Request error:', error);
-      reject(error);
-    });
-    
-    req.setTimeout(12000, () => {
-      req.abort();
-      reject(new Error('Scraping request timeout'));
-    });
-    
-    req.end();
   });
-}
-
-function generateHTML(productData, asin) {
-  const affiliateUrl = `https://www.amazon.com/dp/${asin}?tag=${PARTNER_TAG}`;
   
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    
-    <!-- Google Analytics 4 -->
-    <script async src="https://www.googletagmanager.com/gtag/js?id=G-V17N2H7EB8"></script>
-    <script>
-      window.dataLayer = window.dataLayer || [];
-      function gtag(){dataLayer.push(arguments);}
-      gtag('js', new Date());
-      gtag('config', 'G-V17N2H7EB8', {
-        'page_title': 'Product Redirect - ${asin}',
-        'page_path': '/${asin}'
-      });
-      
-      // Track redirect click event
-      gtag('event', 'product_view', {
-        'event_category': 'Product',
-        'event_label': '${asin}',
-        'product_title': '${productData.title}',
-        'product_price': '${productData.price || 'N/A'}'
-      });
-    </script>
-    
-<!-- OpenGraph Tags -->
-<meta property="og:title" content="${productData.title}">
-<meta property="og:description" content="${productData.price ? productData.price + ' - ' : ''}${productData.title}">
-<meta property="og:image" content="${productData.image}">
-<meta property="og:image:width" content="1500">
-<meta property="og:image:height" content="1500">
-<meta property="og:url" content="https://go.onelastlink.com/${asin}">
-<meta property="og:type" content="product">
-<meta property="og:site_name" content="Amazon">
-${productData.price ? `<meta property="product:price:amount" content="${productData.price.replace('$', '')}">
-<meta property="product:price:currency" content="USD">` : ''}
-
-<!-- Twitter Card Tags -->
-<!-- Twitter Card Tags (Required for X/Twitter) -->
-<meta name="twitter:card" content="summary_large_image">
-<meta name="twitter:site" content="@lynxfindsdeals">
-<meta name="twitter:creator" content="@lynxfindsdeals">
-<meta name="twitter:title" content="${productData.title.substring(0, 70)}">
-<meta name="twitter:description" content="${productData.price ? productData.price + ' on Amazon' : 'Great deal on Amazon'}">
-<meta name="twitter:image" content="${productData.image}">
-
-<!-- Additional SEO -->
-<meta name="description" content="${productData.price ? productData.price + ' - ' : ''}${productData.title} - Shop on Amazon">
-<link rel="canonical" href="https://go.onelastlink.com/${asin}">
-
-<title>${productData.title}</title>
-
-<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+  // Templates from before collections existed get the default layout
+  const render = theme.template.collection || TEMPLATES.default.collection;
+  const page = render({
+    collection: collection,
+    items: view,
+    linkUrl: `https://go.onelastlink.com/c/${collection.slug}`,
+    cartUrl: `https://go.onelastlink.com/cart/${collection.slug}`,
+    storeName: getStoreName(collection.marketplace),
+    card: {
+      url: collectionCardURL(collection, items, theme),
+      width: CARD_WIDTH,
+      height: CARD_HEIGHT
+    }
+  }, theme.settings).toString();
+  
+  return ensureDisclosure(page, theme.settings);
+}
 
-<style>
+function generateCartHTML(cart, items, path, cartUrl, partnerTags, theme) {
+  const collection = cart.collection;
+  const totalQuantity = items.reduce((total, item) => total + item.quantity, 0);
+  
+  const view = items.map(item => ({
+    asin: item.asin,
+    quantity: item.quantity,
+    product: item.result.product,
+    productUrl: buildAffiliateURL(item.asin, cart.marketplace, partnerTags)
+  }));
+  
+  const render = theme.template.cart || TEMPLATES.default.cart;
+  const page = render({
+    title: collection ? collection.title : `${totalQuantity} ${totalQuantity === 1 ? 'item' : 'items'} for your cart`,
+    items: view,
+    cartUrl: cartUrl,
+    linkUrl: `https://go.onelastlink.com${path}`,
+    pagePath: path,
+    storeName: getStoreName(cart.marketplace),
+    totalQuantity: totalQuantity,
+    // Same card as the collection page, which only shows items with data
+    card: collection ? {
+      url: collectionCardURL(collection, items.filter(item => item.result.product), theme),
+      width: CARD_WIDTH,
+      height: CARD_HEIGHT
+    } : null
+  }, theme.settings).toString();
+  
+  return ensureDisclosure(page, theme.settings);
+}
 
-        :root {
-            --amazon-orange: #FF9900;
-            --amazon-dark: #131921;
-            --amazon-light: #EAEDED;
-            --amazon-blue: #146EB4;
-            --brand-cyan: #00E5E0;
-            --text-primary: #0F1111;
-            --text-secondary: #565959;
-            --border-color: #D5D9D9;
-            --price-red: #B12704;
-        }
-        
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: 'Amazon Ember', Arial, sans-serif;
-            background: #FFFFFF;
-            min-height: 100vh;
-            display: flex;
-            flex-direction: column;
-        }
-        
-        .header {
-            background: var(--amazon-dark);
-            padding: 8px 20px;
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-        }
-        
-        .logo-section {
-            display: flex;
-            align-items: center;
-            gap: 15px;
-        }
-        
-        .amazon-logo {
-            color: white;
-            font-size: 22px;
-            font-weight: bold;
-            letter-spacing: -1px;
-        }
-        
-        .divider-line {
-            height: 30px;
-            width: 1px;
-            background: #48525C;
-        }
-        
-        .powered-by {
-            color: #999;
-            font-size: 11px;
-        }
-        
-        .brand-link {
-            color: var(--brand-cyan);
-            text-decoration: none;
-            font-weight: 500;
-        }
-        
-        .main-container {
-            max-width: 1500px;
-            margin: 0 auto;
-            padding: 20px;
-            display: flex;
-            gap: 40px;
-            flex: 1;
-        }
-        
-        .image-section {
-            flex: 0 0 400px;
-        }
-        
-        .image-container {
-            position: sticky;
-            top: 20px;
-            background: white;
-            border: 1px solid var(--border-color);
-            border-radius: 8px;
-            padding: 20px;
-            text-align: center;
-        }
-        
-        .product-image {
-            width: 100%;
-            max-width: 360px;
-            height: auto;
-            object-fit: contain;
-        }
-        
-        .details-section {
-            flex: 1;
-            max-width: 700px;
-        }
-        
-        .product-title {
-            font-size: 24px;
-            font-weight: 400;
-            line-height: 32px;
-            color: var(--text-primary);
-            margin-bottom: 8px;
-        }
-        
-        .rating-line {
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            margin-bottom: 12px;
-            font-size: 14px;
-        }
-        
-        .stars {
-            color: var(--amazon-orange);
-        }
-        
-        .rating-link {
-            color: var(--amazon-blue);
-            text-decoration: none;
-        }
-        
-        .divider {
-            border: 0;
-            height: 1px;
-            background: #e7e7e7;
-            margin: 12px 0;
-        }
-        
-        .price-box {
-            background: var(--amazon-light);
-            border: 1px solid var(--border-color);
-            border-radius: 8px;
-            padding: 16px;
-            margin: 16px 0;
-        }
-        
-        .price-label {
-            font-size: 14px;
-            color: var(--text-secondary);
-            margin-bottom: 4px;
-        }
-        
-        .price {
-            font-size: 28px;
-            color: var(--price-red);
-            font-weight: 400;
-            line-height: 1.3;
-        }
-        
-        .redirect-box {
-            background: #FFF8E1;
-            border: 1px solid #FFE082;
-            border-radius: 8px;
-            padding: 12px 16px;
-            margin: 16px 0;
-            display: flex;
-            align-items: center;
-            gap: 12px;
-        }
-        
-        .spinner {
-            width: 20px;
-            height: 20px;
-            border: 3px solid #FFA726;
-            border-top: 3px solid transparent;
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
-        }
-        
-        @keyframes spin {
-            to { transform: rotate(360deg); }
-        }
-        
-        .redirect-text {
-            color: var(--text-primary);
-            font-size: 14px;
-        }
-        
-        .countdown {
-            font-weight: 700;
-            color: var(--price-red);
-        }
-        
-        .buy-button {
-            display: block;
-            width: 100%;
-            max-width: 300px;
-            background: var(--amazon-orange);
-            color: #111;
-            text-align: center;
-            padding: 10px 20px;
-            border-radius: 8px;
-            text-decoration: none;
-            font-size: 13px;
-            border: 1px solid #FFA724;
-            transition: background 0.15s;
-            box-shadow: 0 2px 5px rgba(213,217,217,.5);
-            margin-top: 8px;
-        }
-        
-        .buy-button:hover {
-            background: #F7CA00;
-            border-color: #F2C200;
-        }
-        
-        .footer {
-            background: var(--amazon-dark);
-            color: #999;
-            text-align: center;
-            padding: 16px;
-            font-size: 12px;
-            margin-top: auto;
-        }
-        
-        .footer-link {
-            color: var(--brand-cyan);
-            text-decoration: none;
-        }
-        
-        @media (max-width: 968px) {
-            .main-container {
-                flex-direction: column;
-            }
-            
-            .image-section {
-                flex: none;
-            }
-            
-            .image-container {
-                position: relative;
-                top: 0;
-            }
-        }
-        
-        @media (max-width: 480px) {
-            .header {
-                padding: 8px 12px;
-            }
-            
-            .main-container {
-                padding: 12px;
-                gap: 20px;
-            }
-            
-            .product-title {
-                font-size: 20px;
-                line-height: 28px;
-            }
-            
-            .price {
-                font-size: 24px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <div class="logo-section">
-            <div class="amazon-logo">amazon</div>
-            <div class="divider-line"></div>
-            <div class="powered-by">
-                via <a href="https://onelastlink.com" class="brand-link">LYNX</a>
-            </div>
-        </div>
-    </div>
-    
-    <div class="main-container">
-        <div class="image-section">
-            <div class="image-container">
-                <img src="${productData.image}" alt="${productData.title}" class="product-image">
-            </div>
-        </div>
-        
-        <div class="details-section">
-            <h1 class="product-title">${productData.title}</h1>
-            
-            <div class="rating-line">
-                <span class="stars">★★★★★</span>
-                <a href="#" class="rating-link">See customer reviews</a>
-            </div>
-            
-            <hr class="divider">
-            
-            ${productData.price ? `
-            <div class="price-box">
-                <div class="price-label">Price:</div>
-                <div class="price">${productData.price}</div>
-            </div>
-            ` : ''}
-            
-            <div class="redirect-box">
-                <div class="spinner"></div>
-                <div class="redirect-text">
-                    Redirecting to Amazon in <span id="countdown" class="countdown">3</span> seconds
-                </div>
-            </div>
-            
-            <a href="${affiliateUrl}" class="buy-button" id="amazon-button">
-                Continue to Amazon
-            </a>
-            
-            <div style="margin-top: 16px; color: var(--text-secondary); font-size: 12px;">
-                ✓ Secure checkout on Amazon.com<br>
-                As an Amazon Associate I earn from qualifying purchases
-            </div>
-        </div>
-    </div>
-    
-    <div class="footer">
-        Secured by <a href="https://onelastlink.com" class="footer-link">One Last Link</a> • Trusted affiliate partner
-    </div>
-    
-    <script>
-        let countdown = 3;
-        const el = document.getElementById('countdown');
-        
-        const timer = setInterval(() => {
-            countdown--;
-            el.textContent = countdown;
-            
-            if (countdown <= 0) {
-                clearInterval(timer);
-                
-                // Track outbound click before redirect
-                gtag('event', 'click', {
-                  'event_category': 'Outbound Link',
-                  'event_label': 'Amazon Redirect - ${asin}',
-                  'transport_type': 'beacon',
-                  'event_callback': function() {
-                    window.location.href = '${affiliateUrl}';
-                  }
-                });
-                
-                // Fallback in case callback doesn't fire
-                setTimeout(function() {
-                  window.location.href = '${affiliateUrl}';
-                }, 250);
-            }
-        }, 1000);
-        
-        // Track manual button clicks
-        document.getElementById('amazon-button').addEventListener('click', function(e) {
-            gtag('event', 'click', {
-              'event_category': 'Manual Click',
-              'event_label': 'Amazon Button - ${asin}'
-            });
-        });
-    </script>
-</body>
-</html>`;
+function generateFallbackHTML(target, country, theme) {
+  const { asin } = target;
+  const marketplace = getMarketplace(target.marketplace);
+  const affiliateUrl = outboundURL(localizeDestination(
+    { asin: asin, marketplace: marketplace.code, country: country },
+    { partnerTags: target.partnerTags }
+  ).url, target);
+  
+  const page = theme.template.fallback({
+    asin: asin,
+    marketplace: marketplace,
+    affiliateUrl: affiliateUrl,
+    linkUrl: `https://go.onelastlink.com${target.path}`,
+    image: `https://images-na.ssl-images-amazon.com/images/P/${asin}.01._SL1500_.jpg`
+  }, theme.settings).toString();
+  
+  return ensureDisclosure(page, theme.settings);
 }
 
-function generateFallbackHTML(asin) {
-  const affiliateUrl = `https://www.amazon.com/dp/${asin}?tag=${PARTNER_TAG}`;
-  const fallbackImage = `https://images-na.ssl-images-amazon.com/images/P/${asin}.01._SL1500_.jpg`;
-  
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    
-    <meta property="og:title" content="Amazing Amazon Deal">
-    <meta property="og:description" content="Check out this great deal I found on Amazon!">
-    <meta property="og:image" content="${fallbackImage}">
-    <meta property="og:url" content="https://go.onelastlink.com/${asin}">
-    <meta property="og:type" content="product">
-    <meta property="og:site_name" content="amazon.com">
-    
-    <title>Amazon Deal - ${asin}</title>
-    
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            background: #000000;
-            color: white;
-            text-align: center;
-            padding: 50px;
-            margin: 0;
-        }
-        .container {
-            max-width: 400px;
-            margin: 0 auto;
-            background: rgba(255, 255, 255, 0.1);
-            padding: 30px;
-            border-radius: 15px;
-        }
-        .button {
-            display: inline-block;
-            background: #0F9AA0;
-            color: white;
-            padding: 12px 24px;
-            text-decoration: none;
-            border-radius: 5px;
-            font-weight: bold;
-            margin-top: 20px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h2>🎯 Redirecting to Amazon...</h2>
-        <p>Taking you to your deal...</p>
-        <a href="${affiliateUrl}" class="button">Go to Amazon</a>
-    </div>
-    <script>
-        setTimeout(() => {
-            window.location.href = '${affiliateUrl}';
-        }, 2000);
-    </script>
-</body>
-</html>`;
+function generateDisabledHTML() {
+  return html`
+    <!DOCTYPE html>
+    <html>
+    <head><title>Link Unavailable</title></head>
+    <body style="text-align: center; padding: 50px; font-family: Arial, sans-serif;">
+      <h2>This deal is no longer available</h2>
+      <p>The link you followed has been switched off.</p>
+    </body>
+    </html>
+  `.toString();
 }
 
 function generateErrorHTML() {
-  return `
+  return html`
     <!DOCTYPE html>
     <html>
     <head><title>Invalid Link</title></head>
@@ -1000,31 +493,16 @@ function generateErrorHTML() {
       <h2>❌ Invalid Amazon Link</h2>
       <p>Please use one of these formats:</p>
       <p><code>go.onelastlink.com/B09P21T2GC</code></p>
+      <p><code>go.onelastlink.com/uk/B09P21T2GC</code></p>
       <p><code>go.onelastlink.com/?url=https://amazon.com/dp/B09P21T2GC</code></p>
     </body>
     </html>
-  `;
+  `.toString();
 }
 
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
+// Page builders, for the template and disclosure tests
+exports.generateHTML = generateHTML;
+exports.generateFallbackHTML = generateFallbackHTML;
+exports.generateCollectionHTML = generateCollectionHTML;
+exports.generateCartHTML = generateCartHTML;
+exports.generateErrorHTML = generateErrorHTML;
@@ -0,0 +1,19 @@
+const { connectStores } = require('../lib/store');
+const { createLogger, withRequest } = require('../lib/logger');
+const { runHealthCheck, saveHealthReport } = require('../lib/health-check');
+
+const log = createLogger('health-check');
+
+// Scheduled link health check (see the schedule in netlify.toml). Re-fetches
+// the least recently checked products and saves the report for
+// GET /admin/api/health/report. Run the whole thing locally with
+// scripts/check-links.js.
+exports.handler = withRequest(async (event, context) => {
+  connectStores(event);
+
+  const report = await runHealthCheck();
+  await saveHealthReport(report);
+
+  log.info('Health check finished', { checked: report.checked, total: report.total, counts: report.counts });
+  return { statusCode: 200, body: '' };
+});
@@ -0,0 +1,138 @@
+const { isASIN } = require('./amazon-url');
+const { jsonResponse, parseJSONBody, decodePathSegment } = require('./responses');
+const { normalizeSlug, validateLink, getLink, saveLink, deleteLink, listLinks } = require('./links');
+const { recordAudit, listAudit } = require('./audit');
+
+// Fields a PATCH may change. The slug is the link's identity and can't be edited.
+const EDITABLE_FIELDS = ['asin', 'marketplace', 'tag', 'note', 'theme', 'mode', 'fallback', 'disabled'];
+
+// GET /admin/api/links
+async function listRoute() {
+  return jsonResponse(200, { links: await listLinks() });
+}
+
+// POST /admin/api/links
+// { "slug": "airpods-deal", "asin": "B0BDHWDR12", "marketplace": "us",
+//   "tag": "mytag-ig-20", "note": "...", "theme": "deals", "mode": "instant",
+//   "fallback": { "type": "search", "keywords": "wireless earbuds" } }
+async function createRoute(event, actor) {
+  const body = parseJSONBody(event);
+  if (!body) {
+    return jsonResponse(400, { error: 'Expected a JSON body' });
+  }
+
+  const { link, error } = validateLink({ ...body, disabled: false, previousAsins: [] });
+  if (error) {
+    return jsonResponse(400, { error: error });
+  }
+  if (await getLink(link.slug)) {
+    return jsonResponse(409, { error: `Link already exists: ${link.slug}` });
+  }
+
+  const saved = await saveLink(link);
+  await recordAudit({ actor: actor, action: 'create', slug: saved.slug, before: null, after: saved });
+  return jsonResponse(201, saved);
+}
+
+// GET /admin/api/links/:slug
+async function getRoute(slug) {
+  const link = await getLink(slug);
+  return link ? jsonResponse(200, link) : jsonResponse(404, { error: `No such link: ${slug}` });
+}
+
+// PATCH /admin/api/links/:slug
+// Any of EDITABLE_FIELDS; null clears a field. A new "asin" rotates the link to
+// another product, "disabled": true takes it offline (410) without deleting it.
+async function updateRoute(event, slug, actor) {
+  const body = parseJSONBody(event);
+  if (!body) {
+    return jsonResponse(400, { error: 'Expected a JSON body' });
+  }
+
+  const existing = await getLink(slug);
+  if (!existing) {
+    return jsonResponse(404, { error: `No such link: ${slug}` });
+  }
+
+  const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return jsonResponse(400, { error: `Cannot change: ${unknown.join(', ')}` });
+  }
+  if (body.asin !== undefined && !isASIN(body.asin)) {
+    return jsonResponse(400, { error: `Not an ASIN: ${body.asin}` });
+  }
+
+  const changes = { ...body };
+  let action = 'update';
+
+  if (changes.asin && changes.asin.toUpperCase() !== existing.asin) {
+    changes.previousAsins = [...(existing.previousAsins || []), existing.asin];
+    action = 'rotate';
+  } else if (changes.disabled !== undefined && !!changes.disabled !== !!existing.disabled) {
+    action = changes.disabled ? 'disable' : 'enable';
+  }
+
+  const { link, error } = validateLink({ ...existing, ...changes });
+  if (error) {
+    return jsonResponse(400, { error: error });
+  }
+
+  const saved = await saveLink(link);
+  await recordAudit({ actor: actor, action: action, slug: saved.slug, before: existing, after: saved });
+  return jsonResponse(200, saved);
+}
+
+// DELETE /admin/api/links/:slug
+async function deleteRoute(slug, actor) {
+  const existing = await getLink(slug);
+  if (!existing || !await deleteLink(slug)) {
+    return jsonResponse(404, { error: `No such link: ${slug}` });
+  }
+
+  await recordAudit({ actor: actor, action: 'delete', slug: existing.slug, before: existing, after: null });
+  return jsonResponse(200, { deleted: existing.slug });
+}
+
+// GET /admin/api/audit?slug=airpods-deal&limit=50
+async function auditRoute(event) {
+  const query = event.queryStringParameters || {};
+  const slug = query.slug ? normalizeSlug(query.slug) : null;
+  if (query.slug && !slug) {
+    return jsonResponse(400, { error: `Not a link slug: ${query.slug}` });
+  }
+
+  return jsonResponse(200, { entries: await listAudit({ slug: slug, limit: query.limit }) });
+}
+
+// Routes under /admin/api/links and /admin/api/audit. `actor` is the
+// authenticated caller, recorded with every change.
+async function handleLinksRequest(event, path, actor) {
+  const method = event.httpMethod;
+
+  if (path === '/admin/api/audit' && method === 'GET') {
+    return auditRoute(event);
+  }
+
+  if (path === '/admin/api/links') {
+    if (method === 'GET') return listRoute();
+    if (method === 'POST') return createRoute(event, actor);
+    return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, POST' });
+  }
+
+  // Campaign slugs contain a slash: /admin/api/links/B09P21T2GC/ig-story
+  const rest = path.slice('/admin/api/links/'.length);
+  const segments = rest.split('/').map(decodePathSegment);
+  const slug = segments.includes(null) ? null : normalizeSlug(segments.join('/'));
+  if (!slug) {
+    return jsonResponse(400, { error: `Not a link slug: ${rest}` });
+  }
+
+  if (method === 'GET') return getRoute(slug);
+  if (method === 'PATCH') return updateRoute(event, slug, actor);
+  if (method === 'DELETE') return deleteRoute(slug, actor);
+  return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, PATCH, DELETE' });
+}
+
+module.exports = {
+  handleLinksRequest
+};
@@ -0,0 +1,283 @@
+const { isASIN, parseProductPath } = require('./amazon-url');
+const { isMarketplaceCode } = require('./marketplaces');
+const { jsonResponse, parseJSONBody, decodePathSegment } = require('./responses');
+const { collectProductsFromText, warmProducts } = require('./warm');
+const { getClickStats } = require('./clicks');
+const { isAuthConfigured, authenticate } = require('./auth');
+const { handleLinksRequest } = require('./admin-links');
+const { healthReport } = require('./health');
+const { getLatestHealthReport, renderHealthReport } = require('./health-check');
+const { validateWatch, getWatch, saveWatch, deleteWatch, listWatches, checkWatchlist } = require('./watchlist');
+const { configuredNotifiers } = require('./notifiers');
+const { validatePostTemplate, getPostTemplate, savePostTemplate, deletePostTemplate, listPostTemplates } = require('./post-templates');
+const { validateCollection, getCollection, saveCollection, deleteCollection, listCollections } = require('./collections');
+const { listExperiments, getExperimentResults } = require('./experiments');
+
+// Keeps a warm request inside the function timeout (one GetItems call per 10)
+const MAX_WARM_ITEMS = 50;
+
+// POST /admin/api/warm
+// { "asins": ["B09P21T2GC", ...], "marketplace": "us", "text": "pasted post", "force": false }
+async function warmRoute(event) {
+  const body = parseJSONBody(event);
+  if (!body) {
+    return jsonResponse(400, { error: 'Expected a JSON body' });
+  }
+
+  if (body.asins !== undefined && !Array.isArray(body.asins)) {
+    return jsonResponse(400, { error: 'asins must be a list of ASINs' });
+  }
+  if (body.text !== undefined && typeof body.text !== 'string') {
+    return jsonResponse(400, { error: 'text must be a string' });
+  }
+  if (body.marketplace !== undefined && body.marketplace !== null && !isMarketplaceCode(body.marketplace)) {
+    return jsonResponse(400, { error: `Unknown marketplace: ${body.marketplace}` });
+  }
+  const marketplace = body.marketplace ? body.marketplace.toLowerCase() : null;
+
+  const items = [];
+  for (const asin of body.asins || []) {
+    if (!isASIN(asin)) {
+      return jsonResponse(400, { error: `Not an ASIN: ${asin}` });
+    }
+    items.push({ asin: asin.toUpperCase(), marketplace: marketplace });
+  }
+
+  if (body.text) {
+    items.push(...await collectProductsFromText(body.text));
+  }
+
+  if (items.length === 0) {
+    return jsonResponse(400, { error: 'No ASINs found' });
+  }
+  if (items.length > MAX_WARM_ITEMS) {
+    return jsonResponse(400, { error: `At most ${MAX_WARM_ITEMS} products per request; use scripts/warm-cache.js for more` });
+  }
+
+  const summary = await warmProducts(items, { force: !!body.force });
+  return jsonResponse(200, summary);
+}
+
+// GET /admin/api/stats?days=7&asin=B09P21T2GC
+// Clicks per ASIN per day and top referrers, see getClickStats in lib/clicks.js
+async function statsRoute(event) {
+  const query = event.queryStringParameters || {};
+  if (query.asin && !isASIN(query.asin)) {
+    return jsonResponse(400, { error: `Not an ASIN: ${query.asin}` });
+  }
+
+  const stats = await getClickStats({ days: query.days, asin: query.asin });
+  return jsonResponse(200, stats);
+}
+
+// GET /admin/api/health/report       latest scheduled health check (lib/health-check.js)
+// GET /admin/api/health/report.html  the same as an HTML page
+async function healthCheckReportRoute(path) {
+  const report = await getLatestHealthReport();
+  if (!report) {
+    return jsonResponse(404, { error: 'No health check has run yet' });
+  }
+
+  if (path.endsWith('.html')) {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'private, no-store' },
+      body: renderHealthReport(report)
+    };
+  }
+  return jsonResponse(200, report);
+}
+
+// GET    /admin/api/watchlist                    { watches, notifiers }
+// POST   /admin/api/watchlist                    { "asin", "marketplace", "targetPrice": 19.99, "note", "template" }
+// POST   /admin/api/watchlist/check              run the deal alert check now (one
+//                                                5 second batch, see checkWatchlist)
+// GET    /admin/api/watchlist/:asin              also /admin/api/watchlist/:marketplace/:asin
+// DELETE /admin/api/watchlist/:asin
+async function watchlistRoute(event, path, actor) {
+  if (path === '/admin/api/watchlist') {
+    if (event.httpMethod === 'GET') {
+      return jsonResponse(200, { watches: await listWatches(), notifiers: configuredNotifiers() });
+    }
+    if (event.httpMethod === 'POST') {
+      const body = parseJSONBody(event);
+      if (!body) {
+        return jsonResponse(400, { error: 'Expected a JSON body' });
+      }
+      const { watch, error } = validateWatch(body);
+      if (error) {
+        return jsonResponse(400, { error: error });
+      }
+      const existing = await getWatch(watch.asin, watch.marketplace);
+      return jsonResponse(existing ? 200 : 201, await saveWatch(body, { actor: actor }));
+    }
+    return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, POST' });
+  }
+
+  if (path === '/admin/api/watchlist/check') {
+    if (event.httpMethod !== 'POST') {
+      return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'POST' });
+    }
+    // Kept well inside the function timeout; unchecked watches go first next run
+    return jsonResponse(200, await checkWatchlist({ budget: 5 }));
+  }
+
+  const { asin, marketplace } = parseProductPath(path.replace(/^\/admin\/api\/watchlist/, ''));
+  if (!asin) {
+    return jsonResponse(404, { error: 'Not found' });
+  }
+
+  if (event.httpMethod === 'GET') {
+    const watch = await getWatch(asin, marketplace);
+    return watch ? jsonResponse(200, watch) : jsonResponse(404, { error: 'Not on the watchlist' });
+  }
+  if (event.httpMethod === 'DELETE') {
+    return await deleteWatch(asin, marketplace)
+      ? jsonResponse(200, { deleted: asin.toUpperCase() })
+      : jsonResponse(404, { error: 'Not on the watchlist' });
+  }
+  return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, DELETE' });
+}
+
+// GET    /admin/api/templates             saved post templates (lib/post-templates.js)
+// POST   /admin/api/templates             { "name", "description", "text", "variants": { "x": "..." } }
+// GET    /admin/api/templates/:name
+// DELETE /admin/api/templates/:name
+async function templatesRoute(event, path, actor) {
+  if (path === '/admin/api/templates') {
+    if (event.httpMethod === 'GET') {
+      return jsonResponse(200, await listPostTemplates());
+    }
+    if (event.httpMethod === 'POST') {
+      const body = parseJSONBody(event);
+      if (!body) {
+        return jsonResponse(400, { error: 'Expected a JSON body' });
+      }
+      const { template, error } = validatePostTemplate(body);
+      if (error) {
+        return jsonResponse(400, { error: error });
+      }
+      const existing = await getPostTemplate(template.name);
+      return jsonResponse(existing ? 200 : 201, await savePostTemplate(body, { actor: actor }));
+    }
+    return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, POST' });
+  }
+
+  const name = decodePathSegment(path.substring('/admin/api/templates/'.length));
+  if (name === null) {
+    return jsonResponse(404, { error: 'No such template' });
+  }
+  if (event.httpMethod === 'GET') {
+    const template = await getPostTemplate(name);
+    return template ? jsonResponse(200, template) : jsonResponse(404, { error: 'No such template' });
+  }
+  if (event.httpMethod === 'DELETE') {
+    return await deletePostTemplate(name)
+      ? jsonResponse(200, { deleted: name.toLowerCase() })
+      : jsonResponse(404, { error: 'No such template' });
+  }
+  return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, DELETE' });
+}
+
+// GET    /admin/api/collections           collection pages at /c/:slug (lib/collections.js)
+// POST   /admin/api/collections           { "slug", "title", "description", "marketplace", "tag",
+//                                          "theme", "items": [{ "asin", "blurb" }] }
+// GET    /admin/api/collections/:slug
+// DELETE /admin/api/collections/:slug
+async function collectionsRoute(event, path, actor) {
+  if (path === '/admin/api/collections') {
+    if (event.httpMethod === 'GET') {
+      return jsonResponse(200, await listCollections());
+    }
+    if (event.httpMethod === 'POST') {
+      const body = parseJSONBody(event);
+      if (!body) {
+        return jsonResponse(400, { error: 'Expected a JSON body' });
+      }
+      const { collection, error } = validateCollection(body);
+      if (error) {
+        return jsonResponse(400, { error: error });
+      }
+      const existing = await getCollection(collection.slug);
+      return jsonResponse(existing ? 200 : 201, await saveCollection(body, { actor: actor }));
+    }
+    return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, POST' });
+  }
+
+  const slug = decodePathSegment(path.substring('/admin/api/collections/'.length));
+  if (slug === null) {
+    return jsonResponse(404, { error: 'No such collection' });
+  }
+  if (event.httpMethod === 'GET') {
+    const collection = await getCollection(slug);
+    return collection ? jsonResponse(200, collection) : jsonResponse(404, { error: 'No such collection' });
+  }
+  if (event.httpMethod === 'DELETE') {
+    return await deleteCollection(slug)
+      ? jsonResponse(200, { deleted: slug.toLowerCase() })
+      : jsonResponse(404, { error: 'No such collection' });
+  }
+  return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, DELETE' });
+}
+
+// GET /admin/api/experiments                  configured A/B tests (lib/experiments.js)
+// GET /admin/api/experiments/:name?days=30     redirects per view for each variant,
+//                                              with a z-test against the control
+async function experimentsRoute(event, path) {
+  if (path === '/admin/api/experiments') {
+    return jsonResponse(200, { experiments: listExperiments() });
+  }
+
+  const segment = path.substring('/admin/api/experiments/'.length);
+  const name = decodePathSegment(segment);
+  const results = name === null ? null : await getExperimentResults(name, { days: event.queryStringParameters?.days });
+  return results ? jsonResponse(200, results) : jsonResponse(404, { error: `No such experiment: ${name ?? segment}` });
+}
+
+// Everything under /admin/api/ needs a bearer token (see lib/auth.js). The
+// admin API is switched off while neither ADMIN_TOKEN nor ADMIN_SIGNING_SECRET is set.
+async function handleAdminRequest(event, path) {
+  if (!isAuthConfigured()) {
+    return jsonResponse(503, { error: 'Admin API is disabled. Set ADMIN_TOKEN or ADMIN_SIGNING_SECRET to enable it.' });
+  }
+
+  const actor = authenticate(event);
+  if (!actor) {
+    return jsonResponse(401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  if (path === '/admin/api/warm' && event.httpMethod === 'POST') {
+    return warmRoute(event);
+  }
+  if (path === '/admin/api/stats' && event.httpMethod === 'GET') {
+    return statsRoute(event);
+  }
+  if (path === '/admin/api/health' && event.httpMethod === 'GET') {
+    // Dead and unavailable products with the links that use them (lib/health.js)
+    return jsonResponse(200, await healthReport());
+  }
+  if ((path === '/admin/api/health/report' || path === '/admin/api/health/report.html') && event.httpMethod === 'GET') {
+    return healthCheckReportRoute(path);
+  }
+  if ((path === '/admin/api/experiments' || path.startsWith('/admin/api/experiments/')) && event.httpMethod === 'GET') {
+    return experimentsRoute(event, path);
+  }
+  if (path === '/admin/api/templates' || path.startsWith('/admin/api/templates/')) {
+    return templatesRoute(event, path, actor);
+  }
+  if (path === '/admin/api/collections' || path.startsWith('/admin/api/collections/')) {
+    return collectionsRoute(event, path, actor);
+  }
+  if (path === '/admin/api/watchlist' || path.startsWith('/admin/api/watchlist/')) {
+    return watchlistRoute(event, path, actor);
+  }
+  if (path === '/admin/api/links' || path.startsWith('/admin/api/links/') || path === '/admin/api/audit') {
+    return handleLinksRequest(event, path, actor);
+  }
+
+  return jsonResponse(404, { error: 'Not found' });
+}
+
+module.exports = {
+  handleAdminRequest
+};
@@ -0,0 +1,57 @@
+const { marketplaceFromHost, isMarketplaceCode } = require('./marketplaces');
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/i;
+
+function isASIN(value) {
+  return typeof value === 'string' && ASIN_PATTERN.test(value);
+}
+
+function extractASINFromURL(url) {
+  // Extract from standard Amazon URLs
+  const patterns = [
+    /\/dp\/([A-Z0-9]{10})/i,
+    /\/product\/([A-Z0-9]{10})/i,
+    /\/gp\/product\/([A-Z0-9]{10})/i,
+    /asin=([A-Z0-9]{10})/i,
+    /\/([A-Z0-9]{10})(?:\/|$|\?)/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match && isASIN(match[1])) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+// Marketplace code for an Amazon product URL, based on its domain
+function extractMarketplaceFromURL(url) {
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    return marketplaceFromHost(parsed.hostname);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ASIN and optional marketplace prefix from one of our own link paths:
+// /B09P21T2GC or /uk/B09P21T2GC (anything after the ASIN is ignored)
+function parseProductPath(path) {
+  const segments = path.split('/').filter(Boolean);
+  if (isMarketplaceCode(segments[0]) && isASIN(segments[1])) {
+    return { asin: segments[1], marketplace: segments[0].toLowerCase() };
+  }
+  if (isASIN(segments[0])) {
+    return { asin: segments[0], marketplace: null };
+  }
+  return { asin: null, marketplace: null };
+}
+
+module.exports = {
+  isASIN,
+  parseProductPath,
+  extractASINFromURL,
+  extractMarketplaceFromURL
+};
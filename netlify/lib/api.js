@@ -0,0 +1,236 @@
+const { parseProductPath } = require('./amazon-url');
+const { resolveProductFromURL } = require('./shortlinks');
+const { LINK_BASE, getMarketplace, isMarketplaceCode, buildAffiliateURL, linkPath } = require('./marketplaces');
+const { getProduct } = require('./products');
+const { jsonResponse, parseJSONBody } = require('./responses');
+const { POST_DISCLOSURE } = require('./disclosure');
+const { getPriceHistory } = require('./price-history');
+const { BUILTIN_TEMPLATES, PLATFORMS, postData, buildPost } = require('./posts');
+const { validateTemplateText, resolvePostTemplate, listPostTemplates } = require('./post-templates');
+
+// Public JSON API, open to any origin so the post generator can call it from
+// wherever it is hosted. Nothing here writes anything.
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const API_MAX_AGE = parseInt(process.env.HTML_MAX_AGE, 10) || 300;
+
+// 400 response for a ?marketplace= that isn't one, otherwise null
+function invalidMarketplace(event) {
+  const requested = event.queryStringParameters?.marketplace;
+  if (!requested || isMarketplaceCode(requested)) return null;
+  return jsonResponse(400, { error: `Unknown marketplace: ${requested}` }, CORS_HEADERS);
+}
+
+// GET /api/product/:asin
+// GET /api/product/:marketplace/:asin
+// GET /api/product?url=<Amazon URL or amzn.to link>
+//
+// 200 {
+//   "asin": "B09P21T2GC",
+//   "marketplace": "us",
+//   "link": "https://go.onelastlink.com/B09P21T2GC",    our cloaked link
+//   "affiliateUrl": "https://www.amazon.com/dp/...",    tagged Amazon URL
+//   "product": { title, image, price, listPrice, savings, savingsPercent,
+//                availability, isPrime, rating, reviewCount, asin, marketplace, source },
+//   "source": "paapi" | "scrape" | "placeholder",
+//   "cache": "hit" | "stale" | "miss" | "expired" | "bypass",
+//   "cacheAge": 120,                                    seconds since the data was fetched
+//   "degraded": false,
+//   "disclosure": "#ad As an Amazon Associate..."      line every generated post must carry
+// }
+// 400 { "error" } when no ASIN can be found in the request, or for an
+// unknown ?marketplace=
+// 502 same body with "product": null and an "error" when no source had data
+async function productRoute(event, path) {
+  const urlParam = event.queryStringParameters?.url;
+  const { asin, marketplace: requested } = urlParam
+    ? await resolveProductFromURL(urlParam)
+    : parseProductPath(path.replace(/^\/api\/product/, ''));
+
+  if (!asin) {
+    return jsonResponse(400, { error: 'No ASIN found. Use /api/product/{ASIN} or /api/product?url={Amazon URL}' }, CORS_HEADERS);
+  }
+  const invalid = invalidMarketplace(event);
+  if (invalid) return invalid;
+
+  const marketplace = getMarketplace(requested || event.queryStringParameters?.marketplace).code;
+  const result = await getProduct(asin, marketplace);
+
+  const body = {
+    asin: asin,
+    marketplace: marketplace,
+    link: `${LINK_BASE}${linkPath(asin, marketplace)}`,
+    affiliateUrl: buildAffiliateURL(asin, marketplace),
+    product: result.product,
+    source: result.source,
+    cache: result.cache,
+    cacheAge: result.age,
+    degraded: result.degraded,
+    disclosure: POST_DISCLOSURE
+  };
+
+  if (!result.product) {
+    return jsonResponse(502, { ...body, error: 'Product data is unavailable right now' }, CORS_HEADERS);
+  }
+
+  return jsonResponse(200, body, {
+    ...CORS_HEADERS,
+    'Cache-Control': `public, max-age=${result.degraded ? 60 : API_MAX_AGE}`,
+    'X-Product-Source': result.degraded ? `${result.source}; degraded` : result.source,
+    'X-Product-Cache': result.cache
+  });
+}
+
+// GET /api/product/:asin/history?days=90
+// GET /api/product/:marketplace/:asin/history
+//
+// 200 {
+//   "asin", "marketplace", "days",
+//   "points": [{ "price": "$24.99", "amount": 24.99, "at": "2024-05-01T...", "source": "paapi" }],
+//   "current", "lowest", "highest": { price, amount, at } or null,
+//   "trackedSince": "2024-03-02T...",
+//   "isLowest": false             only true when the current price is the lowest
+//                                 seen in the window, see lib/price-history.js
+// }
+// 400 { "error" } without an ASIN or for an unknown ?marketplace=
+async function historyRoute(event, path) {
+  const { asin, marketplace: requested } = parseProductPath(path.replace(/^\/api\/product/, '').replace(/\/history$/, ''));
+  if (!asin) {
+    return jsonResponse(400, { error: 'No ASIN found. Use /api/product/{ASIN}/history' }, CORS_HEADERS);
+  }
+  const invalid = invalidMarketplace(event);
+  if (invalid) return invalid;
+
+  const marketplace = getMarketplace(requested || event.queryStringParameters?.marketplace).code;
+  const history = await getPriceHistory(asin, marketplace, { days: event.queryStringParameters?.days });
+
+  return jsonResponse(200, history, {
+    ...CORS_HEADERS,
+    'Cache-Control': 'public, max-age=300'
+  });
+}
+
+// POST /api/post  (or GET with the same fields as query parameters)
+// {
+//   "asin": "B09P21T2GC", "marketplace": "us",    or "url": "<Amazon URL or amzn.to link>"
+//   "template": "steal",              built-in (detailed, clean, steal) or saved template name
+//   "text": "{title} only {price}",   ad-hoc template instead of a named one
+//   "platform": "x",                  x, threads, instagram or telegram: applies the platform's
+//                                     variant and character limit
+//   "note": "Clean white leather"
+// }
+//
+// 200 { "post", "template", "platform", "length", "limit", "truncated", "fits",
+//       "asin", "marketplace", "link", "affiliateUrl", "product", "source", "degraded" }
+// length is counted the way the platform counts it; truncated means the title
+// was shortened to fit, fits is false if even that wasn't enough.
+// 400 { "error" } for a missing ASIN, unknown platform, marketplace or
+// template, or a field of the wrong type
+// 502 when no product data is available
+async function postRoute(event) {
+  const params = { ...event.queryStringParameters, ...(event.httpMethod === 'POST' ? parseJSONBody(event) : null) };
+
+  if (params.platform && (typeof params.platform !== 'string' || !Object.hasOwn(PLATFORMS, params.platform))) {
+    return jsonResponse(400, { error: `Unknown platform: ${params.platform}. Use one of: ${Object.keys(PLATFORMS).join(', ')}` }, CORS_HEADERS);
+  }
+  if (params.marketplace && !isMarketplaceCode(params.marketplace)) {
+    return jsonResponse(400, { error: `Unknown marketplace: ${params.marketplace}` }, CORS_HEADERS);
+  }
+  if (params.note != null && typeof params.note !== 'string') {
+    return jsonResponse(400, { error: 'Note must be text' }, CORS_HEADERS);
+  }
+
+  let template;
+  if (params.text) {
+    const { text, variants, error } = validateTemplateText(params);
+    if (error) {
+      return jsonResponse(400, { error: error }, CORS_HEADERS);
+    }
+    template = { text: text, variants: variants };
+  } else {
+    template = await resolvePostTemplate(params.template || 'detailed');
+    if (!template) {
+      return jsonResponse(400, { error: `No such template: ${params.template}` }, CORS_HEADERS);
+    }
+  }
+
+  const { asin, marketplace: requested } = params.url
+    ? await resolveProductFromURL(String(params.url))
+    : parseProductPath(`/${params.asin || ''}`);
+  if (!asin) {
+    return jsonResponse(400, { error: 'No ASIN found. Send an asin or an Amazon url' }, CORS_HEADERS);
+  }
+
+  const marketplace = getMarketplace(requested || params.marketplace).code;
+  const result = await getProduct(asin, marketplace);
+  const link = `${LINK_BASE}${linkPath(asin, marketplace)}`;
+  const body = {
+    asin: asin,
+    marketplace: marketplace,
+    link: link,
+    affiliateUrl: buildAffiliateURL(asin, marketplace),
+    product: result.product,
+    source: result.source,
+    degraded: result.degraded
+  };
+
+  if (!result.product) {
+    return jsonResponse(502, { ...body, error: 'Product data is unavailable right now' }, CORS_HEADERS);
+  }
+
+  const history = await getPriceHistory(asin, marketplace).catch(() => null);
+  const built = buildPost({ ...postData(result.product, link, history), disclosure: POST_DISCLOSURE }, template, {
+    platform: params.platform,
+    note: params.note
+  });
+
+  return jsonResponse(200, { ...built, template: params.text ? 'custom' : params.template || 'detailed', ...body }, CORS_HEADERS);
+}
+
+// GET /api/templates
+// 200 { "builtin": { name: text }, "saved": [{ name, description, text, variants }], "platforms": { x: { name, limit } } }
+async function templatesRoute() {
+  const builtin = {};
+  for (const [name, template] of Object.entries(BUILTIN_TEMPLATES)) {
+    builtin[name] = template.text;
+  }
+
+  const saved = (await listPostTemplates()).map(template => ({
+    name: template.name,
+    description: template.description,
+    text: template.text,
+    variants: template.variants
+  }));
+
+  return jsonResponse(200, { builtin: builtin, saved: saved, platforms: PLATFORMS }, CORS_HEADERS);
+}
+
+async function handleApiRequest(event, path) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+  }
+
+  if (path === '/api/post' && (event.httpMethod === 'GET' || event.httpMethod === 'POST')) {
+    return postRoute(event);
+  }
+  if (path === '/api/templates' && event.httpMethod === 'GET') {
+    return templatesRoute();
+  }
+  if (path.startsWith('/api/product/') && path.endsWith('/history')) {
+    return historyRoute(event, path);
+  }
+  if (path === '/api/product' || path.startsWith('/api/product/')) {
+    return productRoute(event, path);
+  }
+
+  return jsonResponse(404, { error: 'Not found' }, CORS_HEADERS);
+}
+
+module.exports = {
+  CORS_HEADERS,
+  handleApiRequest
+};
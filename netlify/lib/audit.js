@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// Append-only record of admin changes in the "audit" store. Keys start with
+// the time in milliseconds so they sort chronologically.
+//   { at, actor, action, slug, before, after }
+
+async function recordAudit(entry, options = {}) {
+  const store = options.store || getStore('audit');
+  const now = (options.now || Date.now)();
+  const record = { at: new Date(now).toISOString(), ...entry };
+
+  await store.set(`${String(now).padStart(13, '0')}-${crypto.randomBytes(4).toString('hex')}`, record);
+  return record;
+}
+
+// Newest entries first, optionally only those for one slug
+async function listAudit(options = {}) {
+  const store = options.store || getStore('audit');
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+  const keys = (await store.list()).sort().reverse();
+
+  const entries = [];
+  for (const key of keys) {
+    const entry = await store.get(key);
+    if (!entry || (options.slug && entry.slug !== options.slug)) continue;
+
+    entries.push(entry);
+    if (entries.length >= limit) break;
+  }
+  return entries;
+}
+
+module.exports = {
+  recordAudit,
+  listAudit
+};
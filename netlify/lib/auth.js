@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Admin API credentials, sent as "Authorization: Bearer <token>". Either
+//   ADMIN_TOKEN           one shared secret; changes are logged as "admin"
+//   ADMIN_SIGNING_SECRET  signed per-person tokens from scripts/admin-token.js;
+//                         changes are logged under the token's subject
+// or both. Signed tokens are "v1.<payload>.<signature>": a base64url JSON
+// payload { sub, exp } and its HMAC-SHA256, so they can be issued and checked
+// locally without an identity provider.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ADMIN_SIGNING_SECRET = process.env.ADMIN_SIGNING_SECRET;
+
+function safeEqual(a, b) {
+  const given = Buffer.from(a);
+  const expected = Buffer.from(b);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Signed token for `subject`, valid for `ttl` seconds (no expiry when 0)
+function signToken(subject, secret, options = {}) {
+  const now = options.now || Date.now;
+  const payload = { sub: subject };
+  if (options.ttl) payload.exp = Math.floor(now() / 1000) + options.ttl;
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `v1.${encoded}.${hmac(`v1.${encoded}`, secret)}`;
+}
+
+// The token's payload if its signature is good and it hasn't expired, else null
+function verifyToken(token, secret, options = {}) {
+  const now = options.now || Date.now;
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== 'v1' || !secret) return null;
+  if (!safeEqual(parts[2], hmac(`v1.${parts[1]}`, secret))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (!payload.sub || (payload.exp && payload.exp * 1000 <= now())) return null;
+  return payload;
+}
+
+function isAuthConfigured(options = {}) {
+  return !!((options.token ?? ADMIN_TOKEN) || (options.signingSecret ?? ADMIN_SIGNING_SECRET));
+}
+
+// Who is making an admin request: the signed token's subject, "admin" for the
+// shared token, or null when the credentials are missing or wrong
+function authenticate(event, options = {}) {
+  const token = options.token ?? ADMIN_TOKEN;
+  const signingSecret = options.signingSecret ?? ADMIN_SIGNING_SECRET;
+
+  const header = (event.headers && (event.headers.authorization || event.headers.Authorization)) || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const given = match[1].trim();
+  if (token && safeEqual(given, token)) return 'admin';
+
+  const payload = signingSecret ? verifyToken(given, signingSecret, options) : null;
+  return payload ? String(payload.sub) : null;
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  isAuthConfigured,
+  authenticate
+};
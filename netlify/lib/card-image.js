@@ -0,0 +1,253 @@
+const jpeg = require('jpeg-js');
+const { encodePNG, decodePNG } = require('./png');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, BASELINE, fontText, glyph } = require('./pixel-font');
+
+// 1200x630 share card, drawn pixel by pixel so it renders anywhere Node
+// does: product photo on a white panel to the left, brand, title, price and
+// savings badge to the right.
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+const COLUMN_X = 640;
+const COLUMN_WIDTH = 520;
+
+function createCanvas(width, height, background) {
+  const canvas = { width: width, height: height, data: Buffer.alloc(width * height * 3) };
+  fillRect(canvas, 0, 0, width, height, background);
+  return canvas;
+}
+
+// [r, g, b] from "#RRGGBB" or "#RGB"; black for anything else
+function parseColor(value) {
+  const hex = String(value || '').trim().replace(/^#/, '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return [0, 0, 0];
+  return [0, 2, 4].map(i => parseInt(full.substr(i, 2), 16));
+}
+
+function setPixel(canvas, x, y, color) {
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+  const i = (y * canvas.width + x) * 3;
+  canvas.data[i] = color[0];
+  canvas.data[i + 1] = color[1];
+  canvas.data[i + 2] = color[2];
+}
+
+function fillRect(canvas, x, y, width, height, color) {
+  for (let row = Math.max(0, y); row < Math.min(canvas.height, y + height); row++) {
+    for (let col = Math.max(0, x); col < Math.min(canvas.width, x + width); col++) {
+      setPixel(canvas, col, row, color);
+    }
+  }
+}
+
+function fillRoundedRect(canvas, x, y, width, height, radius, color) {
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const dx = Math.max(radius - col, col - (width - 1 - radius), 0);
+      const dy = Math.max(radius - row, row - (height - 1 - radius), 0);
+      if (dx * dx + dy * dy <= radius * radius) {
+        setPixel(canvas, x + col, y + row, color);
+      }
+    }
+  }
+}
+
+// Pixel width of a line of text at a scale
+function textWidth(text, scale) {
+  return text.length === 0 ? 0 : (text.length * (GLYPH_WIDTH + 1) - 1) * scale;
+}
+
+// Draw one line; y is the top of the capitals
+function drawText(canvas, text, x, y, scale, color) {
+  let cursor = x;
+  for (const char of text) {
+    const rows = glyph(char);
+    for (let row = 0; rows && row < GLYPH_HEIGHT; row++) {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        if (rows[row] & (0x10 >> col)) {
+          fillRect(canvas, cursor + col * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    }
+    cursor += (GLYPH_WIDTH + 1) * scale;
+  }
+  return cursor;
+}
+
+// Word-wrap text into at most maxLines lines of maxChars; the last line gets
+// an ellipsis when the text doesn't fit
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word.length > maxChars ? word.substring(0, maxChars) : word;
+    if (lines.length === maxLines) break;
+  }
+  if (line && lines.length < maxLines) lines.push(line);
+
+  const shown = lines.slice(0, maxLines);
+  if (shown.join(' ').length < text.length) {
+    const last = shown[shown.length - 1];
+    shown[shown.length - 1] = `${last.substring(0, maxChars - 3).trimEnd()}...`;
+  }
+  return shown;
+}
+
+// { width, height, data: RGBA } from JPEG or PNG bytes
+function decodeImage(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: 256 });
+  }
+  return decodePNG(buffer);
+}
+
+// Scale an image to fit a box, centered, over the canvas (transparent pixels
+// show the background). Each target pixel averages the source pixels it covers.
+function drawImage(canvas, image, boxX, boxY, boxWidth, boxHeight) {
+  const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const left = boxX + Math.floor((boxWidth - width) / 2);
+  const top = boxY + Math.floor((boxHeight - height) / 2);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y / scale);
+    const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) / scale)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x / scale);
+      const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) / scale)));
+
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3];
+          sum[0] += image.data[i] * alpha;
+          sum[1] += image.data[i + 1] * alpha;
+          sum[2] += image.data[i + 2] * alpha;
+          sum[3] += alpha;
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const alpha = sum[3] / count / 255;
+      const i = ((top + y) * canvas.width + left + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        const color = sum[3] ? sum[c] / sum[3] : 0;
+        canvas.data[i + c] = Math.round(color * alpha + canvas.data[i + c] * (1 - alpha));
+      }
+    }
+  }
+}
+
+// PNG bytes for a card. card: { title, price, listPrice, savingsPercent,
+// brand, footer, image (decoded, or null), colors: { background, panel, text,
+// muted, accent, price, badge } }
+function renderCard(card) {
+  const colors = card.colors;
+  const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT, parseColor(colors.background));
+
+  // Product photo
+  fillRoundedRect(canvas, 35, 35, 560, 560, 24, parseColor(colors.panel));
+  if (card.image) {
+    drawImage(canvas, card.image, 55, 55, 520, 520);
+  } else {
+    const name = fontText(card.brand).substring(0, 10);
+    drawText(canvas, name, 315 - textWidth(name, 8) / 2, 315 - BASELINE * 4, 8, parseColor(colors.muted));
+  }
+
+  // Brand
+  const brand = fontText(card.brand).substring(0, 20);
+  drawText(canvas, brand, COLUMN_X, 50, 5, parseColor(colors.accent));
+
+  // Title, up to four lines
+  const titleScale = 4;
+  const maxChars = Math.floor((COLUMN_WIDTH + titleScale) / ((GLYPH_WIDTH + 1) * titleScale));
+  const lines = wrapText(fontText(card.title), maxChars, 4);
+  lines.forEach((line, i) => {
+    drawText(canvas, line, COLUMN_X, 130 + i * (GLYPH_HEIGHT + 1) * titleScale, titleScale, parseColor(colors.text));
+  });
+
+  // Price, as large as fits the column
+  const price = fontText(card.price);
+  if (price) {
+    const priceScale = Math.min(12, Math.floor(COLUMN_WIDTH / textWidth(price, 1)));
+    drawText(canvas, price, COLUMN_X, 330, priceScale, parseColor(colors.price));
+  }
+
+  let y = 330 + BASELINE * 12 + 30;
+
+  // List price, struck through
+  const listPrice = fontText(card.listPrice);
+  if (listPrice && card.savingsPercent) {
+    const text = `List ${listPrice}`;
+    drawText(canvas, text, COLUMN_X, y, 4, parseColor(colors.muted));
+    fillRect(canvas, COLUMN_X + textWidth('List ', 4), y + 3 * 4 + 1, textWidth(listPrice, 4) - 4, 4, parseColor(colors.muted));
+    y += BASELINE * 4 + 24;
+  }
+
+  // Savings badge
+  if (card.savingsPercent) {
+    const badge = `-${card.savingsPercent}%`;
+    const width = textWidth(badge, 6) + 48;
+    fillRoundedRect(canvas, COLUMN_X, y, width, BASELINE * 6 + 36, 16, parseColor(colors.badge));
+    drawText(canvas, badge, COLUMN_X + 24, y + 18, 6, [255, 255, 255]);
+  }
+
+  // Footer
+  const footer = fontText(card.footer).substring(0, 24);
+  drawText(canvas, footer, CARD_WIDTH - 40 - textWidth(footer, 3), CARD_HEIGHT - 40 - BASELINE * 3, 3, parseColor(colors.muted));
+
+  return encodePNG(canvas.width, canvas.height, canvas.data);
+}
+
+// PNG bytes for a collection card: up to four product photos in a 2x2 grid
+// where the single photo would be, then brand, title and the product count.
+// card: { title, count, brand, footer, images (decoded or null each), colors }
+function renderCollectionCard(card) {
+  const colors = card.colors;
+  const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT, parseColor(colors.background));
+
+  const tile = 270;
+  card.images.slice(0, 4).forEach((image, i) => {
+    const x = 35 + (i % 2) * (tile + 20);
+    const y = 35 + Math.floor(i / 2) * (tile + 20);
+    fillRoundedRect(canvas, x, y, tile, tile, 16, parseColor(colors.panel));
+    if (image) drawImage(canvas, image, x + 15, y + 15, tile - 30, tile - 30);
+  });
+
+  const brand = fontText(card.brand).substring(0, 20);
+  drawText(canvas, brand, COLUMN_X, 50, 5, parseColor(colors.accent));
+
+  // Title, up to five lines
+  const titleScale = 5;
+  const maxChars = Math.floor((COLUMN_WIDTH + titleScale) / ((GLYPH_WIDTH + 1) * titleScale));
+  const lines = wrapText(fontText(card.title), maxChars, 5);
+  lines.forEach((line, i) => {
+    drawText(canvas, line, COLUMN_X, 130 + i * (GLYPH_HEIGHT + 1) * titleScale, titleScale, parseColor(colors.text));
+  });
+
+  const count = `${card.count} ${card.count === 1 ? 'product' : 'products'}`;
+  drawText(canvas, count, COLUMN_X, 130 + lines.length * (GLYPH_HEIGHT + 1) * titleScale + 40, 6, parseColor(colors.price));
+
+  const footer = fontText(card.footer).substring(0, 24);
+  drawText(canvas, footer, CARD_WIDTH - 40 - textWidth(footer, 3), CARD_HEIGHT - 40 - BASELINE * 3, 3, parseColor(colors.muted));
+
+  return encodePNG(canvas.width, canvas.height, canvas.data);
+}
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  decodeImage,
+  renderCard,
+  renderCollectionCard
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { parseProductPath } = require('./amazon-url');
+const { getMarketplace, linkPath } = require('./marketplaces');
+const { getProduct } = require('./products');
+const { getStore } = require('./store');
+const { cacheKey } = require('./product-cache');
+const { themeForRequest } = require('./templates');
+const { request: defaultRequest } = require('./http');
+const { getCollection, loadCollectionItems } = require('./collections');
+const { CARD_WIDTH, CARD_HEIGHT, decodeImage, renderCard, renderCollectionCard } = require('./card-image');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cards');
+
+// Share cards at /card/:asin.png and /card/:marketplace/:asin.png, used as
+// og:image / twitter:image on product pages. Rendering takes a moment, so each
+// card is kept in the "cards" store until what it shows (title, price,
+// savings, photo, theme) changes. The page links the card with a version
+// parameter, so a new price also gets past the platforms' image caches.
+// Collections (lib/collections.js) get a composite card at /card/c/:slug.png.
+const CARD_BASE = 'https://go.onelastlink.com';
+
+// Only Amazon's image hosts are fetched
+const IMAGE_HOSTS = /(^|\.)(media-amazon\.com|ssl-images-amazon\.com|images-amazon\.com)$/i;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Brand, footer and colours from the theme, shared by both kinds of card
+function themeContent(theme) {
+  const settings = theme.settings;
+  const vars = settings.vars || {};
+
+  return {
+    brand: settings.brand ? settings.brand.name : settings.siteName,
+    footer: CARD_BASE.replace(/^https:\/\//, ''),
+    colors: {
+      background: vars['amazon-dark'] || '#131921',
+      panel: '#FFFFFF',
+      text: '#FFFFFF',
+      muted: '#A7ACB1',
+      accent: vars['brand-cyan'] || '#00E5E0',
+      price: vars['amazon-orange'] || '#FF9900',
+      badge: vars['price-red'] || '#B12704'
+    }
+  };
+}
+
+function cardContent(product, theme) {
+  return {
+    title: product.title,
+    price: product.price || '',
+    listPrice: product.listPrice || '',
+    savingsPercent: product.savingsPercent || null,
+    ...themeContent(theme)
+  };
+}
+
+// items are loadCollectionItems results; the first four photos are drawn
+function collectionCardContent(collection, items, theme) {
+  return {
+    title: collection.title,
+    count: items.length,
+    imageUrls: items.slice(0, 4).map(item => item.result.product.image || null),
+    ...themeContent(theme)
+  };
+}
+
+// Short hash of everything drawn on the card
+function cardVersion(product, theme) {
+  const content = { ...cardContent(product, theme), image: product.image || null, theme: theme.name };
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').substring(0, 12);
+}
+
+function collectionCardVersion(collection, items, theme) {
+  const content = { ...collectionCardContent(collection, items, theme), theme: theme.name };
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').substring(0, 12);
+}
+
+// Absolute card URL for a product page
+function cardURL(asin, marketplace, product, theme) {
+  const query = new URLSearchParams({ theme: theme.name, v: cardVersion(product, theme) });
+  return `${CARD_BASE}/card${linkPath(asin, marketplace)}.png?${query}`;
+}
+
+// Absolute card URL for a collection page
+function collectionCardURL(collection, items, theme) {
+  const query = new URLSearchParams({ theme: theme.name, v: collectionCardVersion(collection, items, theme) });
+  return `${CARD_BASE}/card/c/${collection.slug}.png?${query}`;
+}
+
+// Decoded product photo, or null if it can't be fetched or read
+async function fetchProductImage(imageUrl, options = {}) {
+  const request = options.request || defaultRequest;
+
+  try {
+    const target = new URL(imageUrl);
+    if (target.protocol !== 'https:' || !IMAGE_HOSTS.test(target.hostname)) {
+      return null;
+    }
+
+    const res = await request(imageUrl, { binary: true, maxBytes: MAX_IMAGE_BYTES, timeout: 5000 });
+    if (res.statusCode !== 200) {
+      throw new Error(`Image request returned ${res.statusCode}`);
+    }
+    return decodeImage(res.body);
+  } catch (error) {
+    log.error('Card image failed', { image: imageUrl, error: error });
+    return null;
+  }
+}
+
+// PNG bytes for a product's card, from the store when nothing changed
+async function getCard(asin, marketplace, product, theme, options = {}) {
+  const store = options.store || getStore('cards');
+  const key = `${cacheKey(asin, marketplace)}:${theme.name}`;
+  const version = cardVersion(product, theme);
+
+  try {
+    const cached = await store.get(key);
+    if (cached && cached.version === version) {
+      return Buffer.from(cached.png, 'base64');
+    }
+  } catch (error) {
+    log.error('Card cache read failed', { error: error });
+  }
+
+  const image = product.image ? await fetchProductImage(product.image, options) : null;
+  const png = renderCard({ ...cardContent(product, theme), image: image });
+
+  // A card without its photo is only a stopgap; try the photo again next time
+  if (image || !product.image) {
+    try {
+      await store.set(key, { version: version, png: png.toString('base64'), createdAt: new Date().toISOString() });
+    } catch (error) {
+      log.error('Card cache write failed', { error: error });
+    }
+  }
+  return png;
+}
+
+// PNG bytes for a collection's card, from the store when nothing changed
+async function getCollectionCard(collection, items, theme, options = {}) {
+  const store = options.store || getStore('cards');
+  const key = `c/${collection.slug}:${theme.name}`;
+  const version = collectionCardVersion(collection, items, theme);
+
+  try {
+    const cached = await store.get(key);
+    if (cached && cached.version === version) {
+      return Buffer.from(cached.png, 'base64');
+    }
+  } catch (error) {
+    log.error('Card cache read failed', { error: error });
+  }
+
+  const { imageUrls, ...content } = collectionCardContent(collection, items, theme);
+  const images = await Promise.all(imageUrls.map(imageUrl => imageUrl ? fetchProductImage(imageUrl, options) : null));
+  const png = renderCollectionCard({ ...content, images: images });
+
+  if (images.every((image, i) => image || !imageUrls[i])) {
+    try {
+      await store.set(key, { version: version, png: png.toString('base64'), createdAt: new Date().toISOString() });
+    } catch (error) {
+      log.error('Card cache write failed', { error: error });
+    }
+  }
+  return png;
+}
+
+function pngResponse(png, immutable) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'image/png',
+      'Cache-Control': immutable ? 'public, max-age=604800, immutable' : 'public, max-age=600'
+    },
+    body: png.toString('base64'),
+    isBase64Encoded: true
+  };
+}
+
+// GET /card/c/:slug.png?theme=<name>&v=<version>
+async function collectionCardRoute(event, path) {
+  const collection = await getCollection(path.replace(/^\/card\/c\//, '').replace(/\.png$/i, ''));
+  const items = collection ? await loadCollectionItems(collection) : [];
+  if (items.length === 0) {
+    return { statusCode: 404, headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'public, max-age=60' }, body: 'Collection not found' };
+  }
+
+  const theme = themeForRequest(event, { theme: collection.theme });
+  const png = await getCollectionCard(collection, items, theme);
+
+  const current = event.queryStringParameters?.v === collectionCardVersion(collection, items, theme);
+  return pngResponse(png, current && !items.some(item => item.result.degraded));
+}
+
+// GET /card/:asin.png?theme=<name>&v=<version>
+async function handleCardRequest(event, path) {
+  if (path.startsWith('/card/c/') && /\.png$/i.test(path)) {
+    return collectionCardRoute(event, path);
+  }
+
+  const { asin, marketplace: requested } = parseProductPath(path.replace(/^\/card/, '').replace(/\.png$/i, ''));
+  if (!asin || !/\.png$/i.test(path)) {
+    return { statusCode: 404, headers: { 'Content-Type': 'text/plain' }, body: 'Not found' };
+  }
+
+  const marketplace = getMarketplace(requested).code;
+  const result = await getProduct(asin, marketplace);
+  if (!result.product) {
+    return { statusCode: 404, headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'public, max-age=60' }, body: 'Product not found' };
+  }
+
+  const theme = themeForRequest(event);
+  const png = await getCard(asin, marketplace, result.product, theme);
+
+  // Versioned URLs never change; anything else may be a stale price
+  const current = event.queryStringParameters?.v === cardVersion(result.product, theme);
+  return pngResponse(png, current && !result.degraded);
+}
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  cardURL,
+  collectionCardURL,
+  getCard,
+  getCollectionCard,
+  handleCardRequest
+};
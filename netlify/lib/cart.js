@@ -0,0 +1,100 @@
+const { isMarketplaceCode, getMarketplace } = require('./marketplaces');
+const { PAGE_LIVE_FETCHES, getProducts } = require('./products');
+const { getHealth } = require('./health');
+const { MAX_ITEMS, MAX_QUANTITY, getCollection } = require('./collections');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cart');
+
+// Add-to-cart links for bundles: one click puts every item in the visitor's
+// Amazon cart (see buildCartURL). Either ad hoc, with optional quantities,
+//   /cart/B09P21T2GC:2,B0BDHWDR12        /cart/uk/B09P21T2GC,B0BDHWDR12
+// or a saved collection's items and quantities (lib/collections.js):
+//   /cart/desk-setup
+// Cart URLs only work in the store the ASINs belong to, so unlike product
+// links they are never localized to the visitor's country.
+const CART_ITEM_PATTERN = /^([A-Z0-9]{10})(?::(\d{1,2}))?$/i;
+
+// "B09P21T2GC:2,B0BDHWDR12" -> [{ asin, quantity }], or { error }. Repeated
+// ASINs are merged.
+function parseCartItems(text) {
+  const items = [];
+  for (const part of text.split(',').filter(Boolean)) {
+    const match = part.match(CART_ITEM_PATTERN);
+    if (!match) return { error: `Not an ASIN: ${part}` };
+
+    const asin = match[1].toUpperCase();
+    const quantity = match[2] === undefined ? 1 : parseInt(match[2], 10);
+    const existing = items.find(item => item.asin === asin);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      items.push({ asin: asin, quantity: quantity });
+    }
+  }
+
+  if (items.length === 0 || items.length > MAX_ITEMS) {
+    return { error: `A cart link takes 1-${MAX_ITEMS} products` };
+  }
+  if (items.some(item => item.quantity < 1 || item.quantity > MAX_QUANTITY)) {
+    return { error: `Quantities must be from 1 to ${MAX_QUANTITY}` };
+  }
+  return { items: items };
+}
+
+// { marketplace, items: [{ asin, quantity }], collection } for a /cart/ path,
+// collection being the saved collection it came from, if any. null when the
+// path names neither products nor a collection.
+async function resolveCartPath(path) {
+  let segments;
+  try {
+    segments = path.replace(/^\/cart\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return null; // malformed percent-encoding
+  }
+  const requested = segments.length === 2 && isMarketplaceCode(segments[0]) ? segments.shift() : null;
+  if (segments.length !== 1) return null;
+
+  const parsed = parseCartItems(segments[0]);
+  if (parsed.items) {
+    return { marketplace: getMarketplace(requested).code, items: parsed.items, collection: null };
+  }
+
+  let collection = null;
+  if (!requested) {
+    try {
+      collection = await getCollection(segments[0]);
+    } catch (error) {
+      log.error('Collection lookup failed', { error: error });
+    }
+  }
+  if (!collection) return null;
+
+  return {
+    marketplace: collection.marketplace,
+    items: collection.items.map(item => ({ asin: item.asin, quantity: item.quantity || 1 })),
+    collection: collection
+  };
+}
+
+// Product data for the cart's items in one batched lookup. Returns
+// [{ asin, quantity, result }]; products known to be dead are left out of the
+// cart, items without data stay in it (Amazon may still have them). Anyone
+// can make up a cart, so no more than PAGE_LIVE_FETCHES products are fetched
+// live per view; the others are shown from the cache or without data.
+async function loadCartItems(cart) {
+  const healths = await Promise.all(cart.items.map(item => getHealth(item.asin, cart.marketplace)));
+  const live = cart.items.filter((item, i) => !healths[i] || healths[i].status !== 'dead');
+  if (live.length === 0) return [];
+
+  const results = await getProducts(live.map(item => item.asin), cart.marketplace, { liveLimit: PAGE_LIVE_FETCHES });
+  return live
+    .map(item => ({ asin: item.asin, quantity: item.quantity, result: results[item.asin] }))
+    .filter(item => item.result && item.result.health !== 'dead');
+}
+
+module.exports = {
+  parseCartItems,
+  resolveCartPath,
+  loadCartItems
+};
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('clicks');
+
+// First-party click log: each redirect is stored as one event in the "clicks"
+// store (see lib/store.js for the backends), so nothing depends on the visitor
+// loading Google Analytics. Redirects that never come from the CDN cache
+// (instant mode, fallback links, experiment /out links) are always logged, as
+// are visitors in an experiment (lib/experiments.js). Views of the cached
+// interstitial page are only logged with CLICK_TRACKING=on: counting every
+// one of them means no visit may be answered from the CDN cache.
+const CLICK_TRACKING = process.env.CLICK_TRACKING === 'on';
+
+// Longest range the stats endpoint will aggregate
+const MAX_STATS_DAYS = 90;
+
+// Parallel store reads while aggregating a day of events
+const READ_CONCURRENCY = 20;
+
+// Link unfurlers that fetch the page to build a preview card
+const PREVIEW_BOTS = /facebookexternalhit|facebot|twitterbot|slackbot|linkedinbot|discordbot|telegrambot|whatsapp|pinterest|redditbot|skypeuripreview|embedly|iframely|vkshare|mastodon|bluesky|applebot|google-pagerenderer|snapchat|viber|line\/|kakaotalk-scrap|zoominfobot|outbrain|quora link preview/i;
+// Everything else automated: crawlers, monitors, HTTP libraries
+const OTHER_BOTS = /bot\b|crawler|spider|crawl|slurp|headless|curl\/|wget\/|python-requests|python-urllib|node-fetch|axios\/|go-http-client|okhttp|java\/|libwww|httpclient|monitor|uptime|lighthouse/i;
+
+// "preview", "bot", "mobile", "tablet", "desktop" or "unknown"
+function classifyUserAgent(userAgent) {
+  if (!userAgent) return 'unknown';
+  if (PREVIEW_BOTS.test(userAgent)) return 'preview';
+  if (OTHER_BOTS.test(userAgent)) return 'bot';
+  if (/ipad|tablet|kindle|silk\/|playbook|android(?!.*mobile)/i.test(userAgent)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+function isBotClass(uaClass) {
+  return uaClass === 'preview' || uaClass === 'bot';
+}
+
+// Header lookup regardless of how the platform cased the name
+function header(headers, name) {
+  const key = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Link preview crawler or other automated client
+function isBotRequest(event) {
+  return isBotClass(classifyUserAgent(header(event.headers, 'user-agent')));
+}
+
+// "news.ycombinator.com" from the Referer header, without a leading www.
+function referrerHost(headers) {
+  const referer = header(headers, 'referer');
+  if (!referer) return null;
+
+  try {
+    return new URL(referer).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function dayOf(timestamp) {
+  return new Date(timestamp).toISOString().substring(0, 10);
+}
+
+// Click event for a request, as stored:
+// { asin, marketplace, slug, referrer, uaClass, bot, country, timestamp,
+//   kind, experiment, variant }
+// slug is the custom or campaign link that was opened (lib/links.js), if any.
+// kind is "view" for a page request and "redirect" when a visitor in an
+// experiment went on to Amazon (lib/experiments.js); experiment and variant
+// are set for visitors in one.
+function buildClickEvent(event, { asin, marketplace, country, slug, kind, experiment, variant }, now = Date.now) {
+  const uaClass = classifyUserAgent(header(event.headers, 'user-agent'));
+  return {
+    asin: asin,
+    marketplace: marketplace,
+    slug: slug || null,
+    referrer: referrerHost(event.headers),
+    uaClass: uaClass,
+    bot: isBotClass(uaClass),
+    country: country || null,
+    timestamp: new Date(now()).toISOString(),
+    kind: kind || 'view',
+    experiment: experiment || null,
+    variant: experiment ? variant || null : null
+  };
+}
+
+// Store one event per key (events/<day>/<time>-<random>) so concurrent
+// invocations never overwrite each other. Never throws: a failed write must
+// not cost the visitor their redirect.
+async function recordClick(event, link, options = {}) {
+  if (!(options.enabled ?? CLICK_TRACKING)) return null;
+
+  const store = options.store || getStore('clicks');
+  const click = buildClickEvent(event, link, options.now);
+  const key = `events/${dayOf(click.timestamp)}/${Date.parse(click.timestamp)}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    await store.set(key, click);
+  } catch (error) {
+    log.error('Click tracking write failed', { error: error });
+  }
+  return click;
+}
+
+async function mapLimit(items, limit, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += limit) {
+    results.push(...await Promise.all(items.slice(i, i + limit).map(fn)));
+  }
+  return results;
+}
+
+// How far behind the newest counted event a write may still show up in the
+// store listing. Events stamped within this window of the summary's cursor
+// are looked at again (and skipped if already counted) on the next call.
+const SETTLE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event keys are events/<day>/<ms>-<random>
+function eventTime(key) {
+  return parseInt(key.substring(key.lastIndexOf('/') + 1), 10) || 0;
+}
+
+// Counts keyed by what a request sent (referrer host, variant name), so a
+// key like "__proto__" is just another key
+function tally(counts) {
+  return Object.assign(Object.create(null), counts);
+}
+
+function countClick(summary, click) {
+  if (click.experiment && !click.bot) {
+    const variants = summary.experiments[click.experiment] = summary.experiments[click.experiment] || tally();
+    const counts = variants[click.variant] = variants[click.variant] || { views: 0, redirects: 0 };
+    counts[click.kind === 'redirect' ? 'redirects' : 'views']++;
+  }
+  // Redirects follow a view that was already counted
+  if (click.kind === 'redirect') return;
+
+  const id = `${click.marketplace}:${click.asin}`;
+  const counts = summary.asins[id] = summary.asins[id] || { clicks: 0, previews: 0 };
+  const field = click.bot ? 'previews' : 'clicks';
+  counts[field]++;
+  summary[field]++;
+  summary.uaClasses[click.uaClass] = (summary.uaClasses[click.uaClass] || 0) + 1;
+
+  if (!click.bot && click.referrer) {
+    summary.referrers[click.referrer] = (summary.referrers[click.referrer] || 0) + 1;
+  }
+}
+
+// Totals for one day, kept as running counts in summary/<day>. Each call
+// reads only the events stored since the last one: `cursor` is the newest
+// event time counted and `recent` the keys counted within SETTLE_MS of it.
+// Once the day is over and settled the summary is marked complete and the
+// events are no longer listed.
+async function summarizeDay(day, store, now) {
+  const saved = await store.get(`summary/${day}`);
+  // Summaries saved before the running counts were only saved for past days
+  if (saved && (saved.complete || saved.cursor === undefined)) return saved;
+
+  // Decided before listing, so nothing written after the listing is missed
+  const complete = now() >= Date.parse(`${day}T00:00:00Z`) + DAY_MS + SETTLE_MS;
+  const summary = saved ? {
+    ...saved,
+    asins: tally(saved.asins),
+    referrers: tally(saved.referrers),
+    uaClasses: tally(saved.uaClasses),
+    experiments: tally(Object.fromEntries(Object.entries(saved.experiments).map(([name, variants]) => [name, tally(variants)])))
+  } : {
+    date: day, clicks: 0, previews: 0, asins: tally(), referrers: tally(), uaClasses: tally(), experiments: tally(),
+    cursor: 0, recent: []
+  };
+  const counted = new Set(summary.recent);
+
+  const keys = (await store.list(`events/${day}/`))
+    .filter(key => eventTime(key) > summary.cursor - SETTLE_MS && !counted.has(key));
+  const events = await mapLimit(keys, READ_CONCURRENCY, key => store.get(key));
+
+  for (const click of events) {
+    if (click) countClick(summary, click);
+  }
+
+  for (const key of keys) counted.add(key);
+  summary.cursor = Math.max(summary.cursor, ...keys.map(eventTime));
+  summary.recent = [...counted].filter(key => eventTime(key) > summary.cursor - SETTLE_MS);
+
+  if (keys.length || complete) {
+    summary.complete = complete;
+    await store.set(`summary/${day}`, summary);
+  }
+  return summary;
+}
+
+// Aggregate stats for the last `days` days (UTC, including today):
+// {
+//   from, to,
+//   totals: { clicks, previews },                 clicks are humans, previews are bots
+//   days: [{ date, clicks, previews }],
+//   asins: [{ asin, marketplace, clicks, previews, days: { "2024-05-01": clicks } }],
+//   referrers: [{ host, clicks }],                top 20 by human clicks
+//   userAgents: { desktop, mobile, tablet, preview, bot, unknown },
+//   experiments: { name: { variant: { views, redirects } } }   see lib/experiments.js
+// }
+// options.asin limits the per-ASIN list to one product.
+async function getClickStats(options = {}) {
+  const store = options.store || getStore('clicks');
+  const now = options.now || Date.now;
+  const days = Math.min(Math.max(parseInt(options.days, 10) || 7, 1), MAX_STATS_DAYS);
+  const today = dayOf(now());
+
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    dates.push(dayOf(now() - i * 24 * 60 * 60 * 1000));
+  }
+
+  const stats = {
+    from: dates[0],
+    to: today,
+    totals: { clicks: 0, previews: 0 },
+    days: [],
+    asins: [],
+    referrers: [],
+    userAgents: tally(),
+    experiments: tally()
+  };
+  const asins = tally();
+  const referrers = tally();
+
+  for (const date of dates) {
+    const summary = await summarizeDay(date, store, now);
+
+    stats.days.push({ date: date, clicks: summary.clicks, previews: summary.previews });
+    stats.totals.clicks += summary.clicks;
+    stats.totals.previews += summary.previews;
+
+    for (const [id, counts] of Object.entries(summary.asins)) {
+      const [marketplace, asin] = id.split(':');
+      if (options.asin && asin !== options.asin.toUpperCase()) continue;
+
+      const entry = asins[id] = asins[id] || { asin: asin, marketplace: marketplace, clicks: 0, previews: 0, days: {} };
+      entry.clicks += counts.clicks;
+      entry.previews += counts.previews;
+      if (counts.clicks) entry.days[date] = counts.clicks;
+    }
+    for (const [host, count] of Object.entries(summary.referrers)) {
+      referrers[host] = (referrers[host] || 0) + count;
+    }
+    for (const [uaClass, count] of Object.entries(summary.uaClasses)) {
+      stats.userAgents[uaClass] = (stats.userAgents[uaClass] || 0) + count;
+    }
+    // Summaries saved before experiments existed have none
+    for (const [name, variants] of Object.entries(summary.experiments || {})) {
+      const experiment = stats.experiments[name] = stats.experiments[name] || tally();
+      for (const [variant, counts] of Object.entries(variants)) {
+        const total = experiment[variant] = experiment[variant] || { views: 0, redirects: 0 };
+        total.views += counts.views;
+        total.redirects += counts.redirects;
+      }
+    }
+  }
+
+  stats.asins = Object.values(asins).sort((a, b) => b.clicks - a.clicks || b.previews - a.previews);
+  stats.referrers = Object.entries(referrers)
+    .map(([host, clicks]) => ({ host: host, clicks: clicks }))
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, 20);
+  return stats;
+}
+
+module.exports = {
+  CLICK_TRACKING,
+  MAX_STATS_DAYS,
+  classifyUserAgent,
+  isBotClass,
+  isBotRequest,
+  referrerHost,
+  buildClickEvent,
+  recordClick,
+  getClickStats
+};
@@ -0,0 +1,147 @@
+const { isASIN } = require('./amazon-url');
+const { getMarketplace, isMarketplaceCode } = require('./marketplaces');
+const { getStore } = require('./store');
+const { PAGE_LIVE_FETCHES, getProducts } = require('./products');
+const { getHealth } = require('./health');
+
+// Roundup pages: /c/desk-setup shows an ordered list of products, each with
+// its own tagged Amazon link. Kept in the "collections" store as the JSON
+// definition they are managed with (/admin/api/collections or
+// scripts/collections.js):
+//   { "slug": "desk-setup", "title": "My desk setup", "description": "...",
+//     "marketplace": "us", "tag": "mytag-desk-20", "theme": "deals",
+//     "items": [{ "asin": "B09P21T2GC", "blurb": "The monitor arm I use" }] }
+// Items are shown in the order given; a bare "B09P21T2GC" is an item without
+// a blurb. An item's optional quantity is what /cart/desk-setup (lib/cart.js)
+// adds to the visitor's cart. Saved records add createdBy, createdAt and updatedAt.
+// tag is an optional tracking ID for every item, as on links (lib/links.js).
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const TAG_PATTERN = /^[A-Za-z0-9-]{3,64}$/;
+const MAX_ITEMS = 30;
+const MAX_BLURB_LENGTH = 500;
+const MAX_QUANTITY = 10;
+
+function normalizeSlug(slug) {
+  const key = typeof slug === 'string' ? slug.trim().toLowerCase() : '';
+  return SLUG_PATTERN.test(key) ? key : null;
+}
+
+// Normalized collection from a JSON definition, or { error }
+function validateCollection(input) {
+  const slug = normalizeSlug(input.slug);
+  if (!slug) {
+    return { error: 'Slug must be 2-64 lowercase letters, digits or dashes' };
+  }
+  if (typeof input.title !== 'string' || !input.title.trim()) {
+    return { error: 'A title is required' };
+  }
+  if (input.marketplace && !isMarketplaceCode(input.marketplace)) {
+    return { error: `Unknown marketplace: ${input.marketplace}` };
+  }
+  if (input.tag && !TAG_PATTERN.test(input.tag)) {
+    return { error: `Not a tracking ID: ${input.tag}` };
+  }
+  if (!Array.isArray(input.items) || input.items.length === 0 || input.items.length > MAX_ITEMS) {
+    return { error: `items must list 1-${MAX_ITEMS} products` };
+  }
+
+  const items = [];
+  for (const item of input.items) {
+    const entry = typeof item === 'string' ? { asin: item } : item || {};
+    if (!isASIN(entry.asin)) {
+      return { error: `Not an ASIN: ${entry.asin}` };
+    }
+    if (entry.blurb && (typeof entry.blurb !== 'string' || entry.blurb.length > MAX_BLURB_LENGTH)) {
+      return { error: `Blurbs are text of at most ${MAX_BLURB_LENGTH} characters` };
+    }
+    const quantity = entry.quantity === undefined ? 1 : Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return { error: `Quantity must be a whole number from 1 to ${MAX_QUANTITY}` };
+    }
+    items.push({ asin: entry.asin.toUpperCase(), blurb: entry.blurb || null, quantity: quantity });
+  }
+
+  return {
+    collection: {
+      slug: slug,
+      title: input.title.trim(),
+      description: input.description || null,
+      marketplace: getMarketplace(input.marketplace).code,
+      tag: input.tag || null,
+      theme: input.theme || null,
+      items: items
+    }
+  };
+}
+
+async function getCollection(slug, options = {}) {
+  const key = normalizeSlug(slug);
+  if (!key) return null;
+
+  const store = options.store || getStore('collections');
+  return store.get(key);
+}
+
+// Create or replace a collection. Throws on an invalid definition.
+async function saveCollection(input, options = {}) {
+  const { collection, error } = validateCollection(input);
+  if (error) throw new Error(error);
+
+  const store = options.store || getStore('collections');
+  const now = new Date((options.now || Date.now)()).toISOString();
+  const existing = await store.get(collection.slug);
+  const record = {
+    ...collection,
+    createdBy: existing ? existing.createdBy : options.actor || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await store.set(collection.slug, record);
+  return record;
+}
+
+async function deleteCollection(slug, options = {}) {
+  const key = normalizeSlug(slug);
+  if (!key) return false;
+
+  const store = options.store || getStore('collections');
+  if (!await store.get(key)) return false;
+  await store.delete(key);
+  return true;
+}
+
+async function listCollections(options = {}) {
+  const store = options.store || getStore('collections');
+  const keys = await store.list();
+  const collections = await Promise.all(keys.map(key => store.get(key)));
+  return collections.filter(Boolean).sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+// Product data for every item in one batched lookup (cache first, see
+// getProducts). Returns [{ asin, blurb, result }] in the collection's order,
+// leaving out products without data and those known to be dead. Dead items
+// aren't fetched at all; the scheduled health check notices if they return.
+// At most PAGE_LIVE_FETCHES products are fetched live per call: on a cold
+// cache the page starts with the first few and fills in over later views.
+async function loadCollectionItems(collection, options = {}) {
+  const healths = await Promise.all(collection.items.map(item => getHealth(item.asin, collection.marketplace)));
+  const live = collection.items.filter((item, i) => !healths[i] || healths[i].status !== 'dead');
+  if (live.length === 0) return [];
+
+  const results = await getProducts(live.map(item => item.asin), collection.marketplace, { liveLimit: PAGE_LIVE_FETCHES, ...options });
+  return live
+    .map(item => ({ asin: item.asin, blurb: item.blurb, result: results[item.asin] }))
+    .filter(item => item.result && item.result.product && item.result.health !== 'dead');
+}
+
+module.exports = {
+  MAX_ITEMS,
+  MAX_QUANTITY,
+  validateCollection,
+  getCollection,
+  saveCollection,
+  deleteCollection,
+  listCollections,
+  loadCollectionItems
+};
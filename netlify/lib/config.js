@@ -0,0 +1,30 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('config');
+
+// Parse a key/value mapping from an environment variable. Accepts either JSON
+// ('{"uk":"tag-21"}') or a comma separated list ('uk:tag-21,de:tag0c-21').
+function parseMap(value) {
+  if (!value) return {};
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      log.error('Invalid JSON mapping in config', { error: e });
+      return {};
+    }
+  }
+
+  const map = {};
+  for (const pair of trimmed.split(',')) {
+    const index = pair.indexOf(':');
+    if (index > 0) {
+      map[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+  }
+  return map;
+}
+
+module.exports = { parseMap };
@@ -0,0 +1,66 @@
+const { escapeHTML } = require('./html');
+const { createLogger } = require('./logger');
+
+const log = createLogger('disclosure');
+
+// Who our pages say they are and the affiliate disclosure they carry. Previews
+// must not pass for Amazon's own pages (Associates Operating Agreement) and
+// every page and generated post has to disclose the affiliate link (FTC).
+//   SITE_NAME             og:site_name of every preview
+//   DISCLOSURE_TEXT       disclosure shown on the pages
+//   DISCLOSURE_PLACEMENT  "top" (banner above the product), "button" (under the
+//                         Amazon button) or "footer"
+//   POST_DISCLOSURE       line added to posts from create.html
+// Themes can override siteName, disclosure and disclosurePlacement.
+const SITE_NAME = process.env.SITE_NAME || 'One Last Link';
+const DISCLOSURE_TEXT = process.env.DISCLOSURE_TEXT || 'As an Amazon Associate I earn from qualifying purchases.';
+const DISCLOSURE_PLACEMENTS = ['top', 'button', 'footer'];
+const DISCLOSURE_PLACEMENT = DISCLOSURE_PLACEMENTS.includes(process.env.DISCLOSURE_PLACEMENT)
+  ? process.env.DISCLOSURE_PLACEMENT
+  : 'button';
+const POST_DISCLOSURE = process.env.POST_DISCLOSURE || `#ad ${DISCLOSURE_TEXT}`;
+
+// Page settings shared by all templates
+const BRANDING = {
+  siteName: SITE_NAME,
+  disclosure: DISCLOSURE_TEXT,
+  disclosurePlacement: DISCLOSURE_PLACEMENT
+};
+
+// A theme can reword the disclosure or move it, but not remove it
+function normalizeBranding(settings) {
+  return {
+    ...settings,
+    siteName: settings.siteName || SITE_NAME,
+    disclosure: settings.disclosure || DISCLOSURE_TEXT,
+    disclosurePlacement: DISCLOSURE_PLACEMENTS.includes(settings.disclosurePlacement)
+      ? settings.disclosurePlacement
+      : DISCLOSURE_PLACEMENT
+  };
+}
+
+function hasDisclosure(page, settings) {
+  const bodyStart = page.search(/<body[\s>]/i);
+  return bodyStart !== -1 && page.slice(bodyStart).includes(escapeHTML(settings.disclosure));
+}
+
+// Last line of defence for templates that forget the disclosure: log it and
+// add the disclosure at the end of the page
+function ensureDisclosure(page, settings) {
+  if (hasDisclosure(page, settings)) return page;
+
+  log.error('Rendered page is missing the affiliate disclosure, adding it');
+  const notice = `<p class="affiliate-disclosure" style="text-align: center; font-size: 12px;">${escapeHTML(settings.disclosure)}</p>`;
+  return /<\/body>/i.test(page) ? page.replace(/<\/body>/i, `${notice}\n</body>`) : `${page}\n${notice}`;
+}
+
+module.exports = {
+  SITE_NAME,
+  DISCLOSURE_TEXT,
+  DISCLOSURE_PLACEMENTS,
+  POST_DISCLOSURE,
+  BRANDING,
+  normalizeBranding,
+  hasDisclosure,
+  ensureDisclosure
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { parseMap } = require('./config');
+const { MARKETPLACES, isMarketplaceCode } = require('./marketplaces');
+const { isASIN } = require('./amazon-url');
+const { normalizeSlug } = require('./links');
+const { MAX_STATS_DAYS, recordClick, isBotRequest, getClickStats } = require('./clicks');
+const { redirectResponse } = require('./redirect');
+
+// A/B tests of the product page, configured like themes:
+//   EXPERIMENTS='{"countdown": {"variants": {
+//     "control": {}, "short": {"countdown": 1}, "instant": {"mode": "instant"},
+//     "deals": {"theme": "deals"}}}}'
+// A variant may set the countdown (seconds, 0 for none), the theme (see
+// lib/templates.js) and the redirect mode (lib/redirect.js); whatever it
+// leaves out stays as the link and theme have it. The first variant is the
+// control the others are compared with. "weights": {"control": 2} changes
+// the split, "active": false stops the experiment but keeps its results.
+// Product pages run the first active experiment.
+//
+// Visitors get a random ID in a cookie and their variant is a hash of it, so
+// they keep seeing the same one. Bots are left out. Every page view is logged
+// with its variant (lib/clicks.js), and the page's links to Amazon go through
+// /out, which logs a "redirect" before sending the visitor on; the results
+// compare redirects per view. Both are logged whether or not CLICK_TRACKING
+// is on for cached pages.
+const EXPERIMENTS = parseMap(process.env.EXPERIMENTS);
+
+const VISITOR_COOKIE = 'olv';
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+const VISITOR_ID_PATTERN = /^[a-f0-9]{16,64}$/;
+
+// Difference between a variant and the control counted as real
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const AMAZON_HOSTS = Object.values(MARKETPLACES).map(marketplace => marketplace.domain);
+
+function variantNames(experiment) {
+  return Object.keys((experiment && experiment.variants) || {});
+}
+
+// [name, experiment] of the experiment product pages run, or null
+function activeExperiment(experiments = EXPERIMENTS) {
+  const entry = Object.entries(experiments)
+    .find(([, experiment]) => experiment && experiment.active !== false && variantNames(experiment).length > 0);
+  return entry || null;
+}
+
+function readCookie(headers, name) {
+  const key = Object.keys(headers || {}).find(key => key.toLowerCase() === 'cookie');
+  if (!key) return null;
+
+  for (const pair of String(headers[key]).split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0 && pair.slice(0, index).trim() === name) {
+      return pair.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+// Variant for a visitor: the same ID always lands in the same variant, split
+// by the experiment's weights (1 each unless given)
+function assignVariant(name, experiment, visitorId) {
+  const variants = variantNames(experiment);
+  const weights = variants.map(variant => Math.max(0, Number((experiment.weights || {})[variant] ?? 1)) || 0);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) return variants[0];
+
+  const hash = crypto.createHash('sha256').update(`${name}:${visitorId}`).digest();
+  let point = hash.readUInt32BE(0) / 0x100000000 * total;
+  for (let i = 0; i < variants.length; i++) {
+    if (point < weights[i]) return variants[i];
+    point -= weights[i];
+  }
+  return variants[variants.length - 1];
+}
+
+// { experiment, variant, settings, cookie } for a page request, or null when
+// nothing is running or the request is from a bot. cookie is the Set-Cookie
+// value for a visitor seen for the first time.
+function assignExperiment(event, options = {}) {
+  const active = activeExperiment(options.experiments);
+  if (!active || isBotRequest(event)) return null;
+
+  const [name, experiment] = active;
+  let visitorId = readCookie(event.headers, VISITOR_COOKIE);
+  let cookie = null;
+  if (!visitorId || !VISITOR_ID_PATTERN.test(visitorId)) {
+    visitorId = crypto.randomBytes(12).toString('hex');
+    cookie = `${VISITOR_COOKIE}=${visitorId}; Path=/; Max-Age=${VISITOR_COOKIE_MAX_AGE}; Secure; HttpOnly; SameSite=Lax`;
+  }
+
+  const variant = assignVariant(name, experiment, visitorId);
+  return { experiment: name, variant: variant, settings: experiment.variants[variant] || {}, cookie: cookie };
+}
+
+// Variant the visitor's cookie puts them in, or null without a cookie
+function visitorVariant(event, name, experiment) {
+  const visitorId = readCookie(event.headers, VISITOR_COOKIE);
+  if (!visitorId || !VISITOR_ID_PATTERN.test(visitorId)) return null;
+  return assignVariant(name, experiment, visitorId);
+}
+
+// Headers that keep the visitor in their variant
+function experimentHeaders(assignment) {
+  return assignment && assignment.cookie ? { 'Set-Cookie': assignment.cookie } : {};
+}
+
+// Link to Amazon that is counted on the way (GET /out)
+function trackedURL(assignment, { asin, marketplace, slug }, destination) {
+  const query = new URLSearchParams({ e: assignment.experiment, v: assignment.variant, asin: asin, mp: marketplace });
+  if (slug) query.set('slug', slug);
+  query.set('to', destination);
+  return `/out?${query}`;
+}
+
+// Log that a visitor in an experiment went on to Amazon. Never throws.
+async function recordRedirect(event, assignment, { asin, marketplace, country, slug }) {
+  return recordClick(event, {
+    asin: asin,
+    marketplace: marketplace,
+    country: country,
+    slug: slug,
+    kind: 'redirect',
+    experiment: assignment.experiment,
+    variant: assignment.variant
+  }, { enabled: true });
+}
+
+// GET /out?e=<experiment>&v=<variant>&asin=&mp=&slug=&to=<Amazon URL>
+// Only forwards to Amazon storefronts, so it can't be used as an open redirect.
+// The rest has to be what trackedURL builds for a configured experiment and
+// variant, or it is a 400 and nothing is logged.
+async function handleOutRequest(event, country) {
+  const query = event.queryStringParameters || {};
+
+  let destination = null;
+  try {
+    destination = new URL(query.to);
+  } catch (e) {
+    // falls through to the 400
+  }
+  if (!destination || destination.protocol !== 'https:' || !AMAZON_HOSTS.includes(destination.hostname)) {
+    return { statusCode: 400, headers: { 'Content-Type': 'text/plain' }, body: 'Bad destination' };
+  }
+
+  const experiment = typeof query.e === 'string' && Object.hasOwn(EXPERIMENTS, query.e) ? EXPERIMENTS[query.e] : null;
+  if (!experiment || !experiment.variants || typeof query.v !== 'string' || !Object.hasOwn(experiment.variants, query.v) ||
+      !isASIN(query.asin) || !isMarketplaceCode(query.mp) ||
+      (query.slug !== undefined && normalizeSlug(query.slug) !== query.slug)) {
+    return { statusCode: 400, headers: { 'Content-Type': 'text/plain' }, body: 'Bad experiment link' };
+  }
+
+  // Only counted for a visitor their cookie puts in that variant, so calling
+  // /out directly doesn't add redirects to a variant nobody was shown
+  if (visitorVariant(event, query.e, experiment) === query.v) {
+    await recordRedirect(event, { experiment: query.e, variant: query.v }, {
+      asin: query.asin.toUpperCase(),
+      marketplace: query.mp.toLowerCase(),
+      country: country,
+      slug: query.slug
+    });
+  }
+  return redirectResponse(destination.toString());
+}
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test of a variant against the control. Returns
+// { lift, zScore, pValue, significant }; lift is the relative change in
+// rate, null when the control has none. All null without views on both sides.
+function compareRates(control, variant) {
+  if (!control.views || !variant.views) {
+    return { lift: null, zScore: null, pValue: null, significant: false };
+  }
+
+  const p1 = control.redirects / control.views;
+  const p2 = variant.redirects / variant.views;
+  const pooled = (control.redirects + variant.redirects) / (control.views + variant.views);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / control.views + 1 / variant.views));
+  const lift = p1 ? (p2 - p1) / p1 : null;
+  if (!se) {
+    return { lift: lift, zScore: null, pValue: null, significant: false };
+  }
+
+  const zScore = (p2 - p1) / se;
+  const pValue = 2 * (1 - normalCDF(Math.abs(zScore)));
+  return { lift: lift, zScore: zScore, pValue: pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+function round(value, digits) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+// Results for one experiment over the last `days` days (default 30):
+// {
+//   experiment, active, from, to, control,
+//   variants: [{ name, settings, views, redirects, rate,
+//                lift, zScore, pValue, significant }]     against the control
+// }
+// Views and redirects only count people, bots never join an experiment.
+// null for an experiment that isn't configured.
+async function getExperimentResults(name, options = {}) {
+  const experiments = options.experiments || EXPERIMENTS;
+  const experiment = Object.hasOwn(experiments, name) ? experiments[name] : null;
+  if (!experiment) return null;
+
+  const days = Math.min(parseInt(options.days, 10) || 30, MAX_STATS_DAYS);
+  const stats = await getClickStats({ ...options, days: days });
+  const counts = stats.experiments[name] || Object.create(null);
+
+  // Configured variants first, then any the log knows that were since removed
+  const names = [...new Set([...variantNames(experiment), ...Object.keys(counts)])];
+  const variants = names.map(variant => {
+    const { views = 0, redirects = 0 } = counts[variant] || {};
+    return {
+      name: variant,
+      settings: experiment.variants && Object.hasOwn(experiment.variants, variant) ? experiment.variants[variant] : null,
+      views: views,
+      redirects: redirects,
+      rate: views ? round(redirects / views, 4) : null
+    };
+  });
+
+  const control = variants[0];
+  for (const variant of variants.slice(1)) {
+    const comparison = compareRates(control, variant);
+    Object.assign(variant, {
+      lift: round(comparison.lift, 4),
+      zScore: round(comparison.zScore, 3),
+      pValue: round(comparison.pValue, 4),
+      significant: comparison.significant
+    });
+  }
+
+  return {
+    experiment: name,
+    active: experiment.active !== false,
+    from: stats.from,
+    to: stats.to,
+    control: control ? control.name : null,
+    variants: variants
+  };
+}
+
+// Configured experiments: [{ name, active, running, variants }]. running is
+// the one product pages use.
+function listExperiments(experiments = EXPERIMENTS) {
+  const active = activeExperiment(experiments);
+  return Object.entries(experiments).map(([name, experiment]) => ({
+    name: name,
+    active: !!experiment && experiment.active !== false,
+    running: !!active && active[0] === name,
+    variants: (experiment && experiment.variants) || {}
+  }));
+}
+
+module.exports = {
+  EXPERIMENTS,
+  assignVariant,
+  assignExperiment,
+  experimentHeaders,
+  trackedURL,
+  recordRedirect,
+  handleOutRequest,
+  compareRates,
+  getExperimentResults,
+  listExperiments
+};
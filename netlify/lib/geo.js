@@ -0,0 +1,128 @@
+const { parseMap } = require('./config');
+const {
+  getMarketplace,
+  isMarketplaceCode,
+  hasPartnerTag,
+  buildAffiliateURL,
+  buildSearchURL
+} = require('./marketplaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('geo');
+
+// Visitor country (ISO 3166-1 alpha-2) -> the Amazon store that ships there
+const DEFAULT_COUNTRY_MARKETPLACES = {
+  US: 'us', PR: 'us',
+  CA: 'ca',
+  MX: 'mx',
+  BR: 'br',
+  GB: 'uk', IE: 'uk',
+  DE: 'de', AT: 'de', CH: 'de', LU: 'de',
+  FR: 'fr',
+  IT: 'it',
+  ES: 'es', PT: 'es',
+  NL: 'nl',
+  BE: 'be',
+  SE: 'se',
+  PL: 'pl',
+  TR: 'tr',
+  AE: 'ae',
+  SA: 'sa',
+  EG: 'eg',
+  IN: 'in',
+  JP: 'jp',
+  AU: 'au', NZ: 'au',
+  SG: 'sg'
+};
+
+// GEO_REDIRECT=off disables localisation entirely
+const GEO_REDIRECT = process.env.GEO_REDIRECT !== 'off';
+
+// COUNTRY_MARKETPLACES="IE:uk,CH:fr" overrides or extends the defaults
+const COUNTRY_MARKETPLACES = {
+  ...DEFAULT_COUNTRY_MARKETPLACES,
+  ...parseMap(process.env.COUNTRY_MARKETPLACES)
+};
+
+// How to link into a store other than the one the link was made for:
+// "search" (default) searches the local store, since the ASIN may not exist
+// there; "dp" links the product page directly.
+const GEO_LOCAL_LINK = process.env.GEO_LOCAL_LINK || 'search';
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// Two-letter country code, or null for anything else found in a header
+function normalizeCountry(code) {
+  if (typeof code !== 'string') return null;
+  const country = code.trim().toUpperCase();
+  return COUNTRY_PATTERN.test(country) ? country : null;
+}
+
+// Country from Netlify's request headers: x-country, or the base64 JSON in x-nf-geo
+function getCountry(headers = {}) {
+  const lower = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    lower[name.toLowerCase()] = value;
+  }
+
+  const country = normalizeCountry(lower['x-country']);
+  if (country) return country;
+
+  if (typeof lower['x-nf-geo'] === 'string') {
+    try {
+      const geo = JSON.parse(Buffer.from(lower['x-nf-geo'], 'base64').toString('utf8'));
+      if (geo && geo.country) return normalizeCountry(geo.country.code);
+    } catch (e) {
+      log.warn('Could not decode x-nf-geo header', { error: e });
+    }
+  }
+
+  return null;
+}
+
+// Store for a country, if it has one (and COUNTRY_MARKETPLACES names a real one)
+function countryToMarketplace(country, countryMarketplaces = COUNTRY_MARKETPLACES) {
+  const code = normalizeCountry(country);
+  if (!code || !Object.hasOwn(countryMarketplaces, code)) return null;
+  return isMarketplaceCode(countryMarketplaces[code]) ? countryMarketplaces[code].toLowerCase() : null;
+}
+
+// Where to send a visitor for a link made for `marketplace`. Returns
+// { marketplace, url, localized }. The link's own store is kept unless the
+// visitor's country maps to a different store we hold a partner tag for.
+function localizeDestination({ asin, marketplace, country, keywords }, options = {}) {
+  const enabled = options.enabled ?? GEO_REDIRECT;
+  const countryMarketplaces = options.countryMarketplaces || COUNTRY_MARKETPLACES;
+  const partnerTags = options.partnerTags;
+  const localLink = options.localLink || GEO_LOCAL_LINK;
+
+  const linkMarketplace = getMarketplace(marketplace).code;
+  const destination = {
+    marketplace: linkMarketplace,
+    url: buildAffiliateURL(asin, linkMarketplace, partnerTags),
+    localized: false
+  };
+
+  if (!enabled) return destination;
+
+  const local = countryToMarketplace(country, countryMarketplaces);
+  if (!local || getMarketplace(local).code === linkMarketplace || !hasPartnerTag(local, partnerTags)) {
+    return destination;
+  }
+
+  const localMarketplace = getMarketplace(local).code;
+  return {
+    marketplace: localMarketplace,
+    url: localLink === 'dp'
+      ? buildAffiliateURL(asin, localMarketplace, partnerTags)
+      : buildSearchURL((keywords || asin).split(/\s+/).slice(0, 10).join(' '), localMarketplace, partnerTags),
+    localized: true
+  };
+}
+
+module.exports = {
+  DEFAULT_COUNTRY_MARKETPLACES,
+  getCountry,
+  countryToMarketplace,
+  localizeDestination
+};
@@ -0,0 +1,258 @@
+const { getStore } = require('./store');
+const { isASIN } = require('./amazon-url');
+const { getMarketplace, parsePriceAmount, linkPath } = require('./marketplaces');
+const { getCacheEntry } = require('./product-cache');
+const { getProducts } = require('./products');
+const { BATCH_SIZE, BATCH_INTERVAL, hasCredentials } = require('./paapi');
+const { listLinks } = require('./links');
+const { getHealth, updateHealth } = require('./health');
+const { html } = require('./html');
+
+// Products checked per scheduled run, least recently checked first, and the
+// seconds a run may spend fetching them. A run has to finish inside the
+// scheduled function's 30 second limit: PA-API checks 10 products per GetItems
+// call, but the scraper fetches one page at a time at a few seconds each, so
+// the default limit depends on the data source. Whatever the limit, no fetch
+// starts once HEALTH_CHECK_BUDGET is spent; what's left is then the least
+// recently checked and goes first next time. The CLI checks everything
+// unless told otherwise.
+const HEALTH_CHECK_LIMIT = parseInt(process.env.HEALTH_CHECK_LIMIT, 10) || (hasCredentials() ? 100 : 10);
+const HEALTH_CHECK_BUDGET = parseInt(process.env.HEALTH_CHECK_BUDGET, 10) || 15;
+
+// Reports kept in the "reports" store: health-check/latest plus one per run
+const REPORT_PREFIX = 'health-check/';
+
+// Every product we know of: saved links (and their fallback products), the
+// product cache and the health store. Returns [{ asin, marketplace, links }]
+// where links are the slugs pointing at the product.
+async function collectKnownProducts() {
+  const products = new Map();
+  const add = (asin, marketplace, slug) => {
+    if (!isASIN(asin)) return;
+    const code = getMarketplace(marketplace).code;
+    const key = `${code}:${asin.toUpperCase()}`;
+    if (!products.has(key)) products.set(key, { asin: asin.toUpperCase(), marketplace: code, links: [] });
+    if (slug) products.get(key).links.push(slug);
+  };
+
+  for (const link of await listLinks()) {
+    add(link.asin, link.marketplace, link.slug);
+    if (link.fallback && link.fallback.type === 'asin') {
+      add(link.fallback.asin, link.fallback.marketplace || link.marketplace);
+    }
+  }
+
+  // Cache and health keys are "<marketplace>:<ASIN>"
+  for (const name of ['products', 'health']) {
+    for (const key of await getStore(name).list()) {
+      const [marketplace, asin] = key.split(':');
+      add(asin, marketplace);
+    }
+  }
+
+  return [...products.values()];
+}
+
+function priceChange(before, after) {
+  const from = before && before.price ? before.price : null;
+  const to = after && after.price ? after.price : null;
+  if (!from || from === to) return null;
+
+  const fromAmount = parsePriceAmount(from);
+  const toAmount = to ? parsePriceAmount(to) : null;
+  return {
+    from: from,
+    to: to,
+    percent: fromAmount && toAmount ? Math.round((toAmount - fromAmount) / fromAmount * 1000) / 10 : null
+  };
+}
+
+// Re-fetch known products through the normal PA-API/cache path and report
+// what changed. options.limit caps the products and options.budget the
+// seconds spent (0 for no limit); checked says how many were reached.
+// {
+//   generatedAt, checked, total,
+//   counts: { missing, unavailable, placeholder, priceChanges, failed, ok },
+//   missing:      [{ asin, marketplace, link, links, reason }]          dead on Amazon
+//   unavailable:  [{ ..., availability }]                              listing can't be bought
+//   placeholder:  [{ ..., title }]                                     stuck on "Amazon Product <ASIN>"
+//   priceChanges: [{ ..., title, from, to, percent }]                  to is null when the price is gone
+//   failed:       [{ ..., reason }]                                    fetch failed, status unknown
+// }
+async function runHealthCheck(options = {}) {
+  const limit = options.limit ?? HEALTH_CHECK_LIMIT;
+  const budget = options.budget ?? HEALTH_CHECK_BUDGET;
+  const usePAAPI = options.paapi ?? hasCredentials();
+  const interval = options.batchInterval ?? BATCH_INTERVAL;
+  const now = options.now || Date.now;
+  const started = now();
+  const known = await collectKnownProducts();
+
+  // Never-checked products first, then the longest unchecked
+  const withHealth = await Promise.all(known.map(async item => ({ ...item, health: await getHealth(item.asin, item.marketplace) })));
+  withHealth.sort((a, b) => (a.health ? a.health.checkedAt : '').localeCompare(b.health ? b.health.checkedAt : ''));
+  const batch = limit > 0 ? withHealth.slice(0, limit) : withHealth;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    checked: 0,
+    total: known.length,
+    counts: {},
+    missing: [],
+    unavailable: [],
+    placeholder: [],
+    priceChanges: [],
+    failed: []
+  };
+  let ok = 0;
+
+  const byMarketplace = {};
+  for (const item of batch) {
+    (byMarketplace[item.marketplace] = byMarketplace[item.marketplace] || []).push(item);
+  }
+
+  // One GetItems call, or one scraped page, at a time until the budget is spent
+  const chunkSize = usePAAPI ? BATCH_SIZE : 1;
+  const outOfTime = () => budget > 0 && now() - started >= budget * 1000;
+
+  for (const [marketplace, marketplaceItems] of Object.entries(byMarketplace)) {
+    for (let i = 0; i < marketplaceItems.length && !outOfTime(); i += chunkSize) {
+      const items = marketplaceItems.slice(i, i + chunkSize);
+      if (usePAAPI && report.checked > 0 && interval > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+
+      const before = {};
+      for (const item of items) {
+        const entry = await getCacheEntry(item.asin, marketplace).catch(() => null);
+        before[item.asin] = entry ? entry.product : null;
+      }
+
+      const results = await getProducts(items.map(item => item.asin), marketplace, { force: true, paapi: usePAAPI });
+      report.checked += items.length;
+
+      for (const item of items) {
+        const result = results[item.asin] || { product: null, error: 'Not checked' };
+        const row = { asin: item.asin, marketplace: marketplace, link: linkPath(item.asin, marketplace), links: item.links };
+
+        if (result.health) {
+          await updateHealth(item.asin, marketplace, result.health, result.health === 'dead' ? result.error : result.product && result.product.availability, { touch: true });
+        }
+
+        if (result.health === 'dead') {
+          report.missing.push({ ...row, reason: result.error || null });
+          continue;
+        }
+        if (result.health === 'unavailable') {
+          report.unavailable.push({ ...row, title: result.product.title, availability: result.product.availability });
+          continue;
+        }
+        if (!result.product || result.cache === 'expired') {
+          report.failed.push({ ...row, reason: result.error || 'No product data' });
+          continue;
+        }
+        if (result.source === 'placeholder' || result.product.title === `Amazon Product ${item.asin}`) {
+          report.placeholder.push({ ...row, title: result.product.title });
+          continue;
+        }
+
+        const change = priceChange(before[item.asin], result.product);
+        if (change) {
+          report.priceChanges.push({ ...row, title: result.product.title, ...change });
+        } else {
+          ok++;
+        }
+      }
+    }
+  }
+
+  report.counts = {
+    missing: report.missing.length,
+    unavailable: report.unavailable.length,
+    placeholder: report.placeholder.length,
+    priceChanges: report.priceChanges.length,
+    failed: report.failed.length,
+    ok: ok
+  };
+  return report;
+}
+
+async function saveHealthReport(report, options = {}) {
+  const store = options.store || getStore('reports');
+  await store.set(`${REPORT_PREFIX}latest`, report);
+  await store.set(`${REPORT_PREFIX}${report.generatedAt}`, report);
+}
+
+async function getLatestHealthReport(options = {}) {
+  const store = options.store || getStore('reports');
+  return store.get(`${REPORT_PREFIX}latest`);
+}
+
+function reportSection(title, rows, columns) {
+  if (rows.length === 0) return '';
+
+  return html`
+    <h2>${title} (${rows.length})</h2>
+    <table>
+      <tr><th>ASIN</th><th>Links</th>${columns.map(column => html`<th>${column.label}</th>`)}</tr>
+      ${rows.map(row => html`<tr>
+        <td><a href="https://${getMarketplace(row.marketplace).domain}/dp/${row.asin}">${row.marketplace}:${row.asin}</a></td>
+        <td>${row.links.length > 0 ? row.links.join(', ') : row.link}</td>
+        ${columns.map(column => html`<td>${column.value(row)}</td>`)}
+      </tr>`)}
+    </table>`;
+}
+
+// Stand-alone HTML summary of a report
+function renderHealthReport(report) {
+  const percent = row => (row.percent === null ? '' : `${row.percent > 0 ? '+' : ''}${row.percent}%`);
+
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Link health report - ${report.generatedAt}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 24px; color: #0F1111; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 24px; font-size: 14px; }
+        th, td { border: 1px solid #D5D9D9; padding: 6px 8px; text-align: left; }
+        th { background: #EAEDED; }
+        .counts span { display: inline-block; margin-right: 16px; }
+    </style>
+</head>
+<body>
+    <h1>Link health report</h1>
+    <p>${report.generatedAt}: checked ${report.checked} of ${report.total} known products.</p>
+    <p class="counts">
+        <span>Missing: ${report.counts.missing}</span>
+        <span>Unavailable: ${report.counts.unavailable}</span>
+        <span>Fallback title: ${report.counts.placeholder}</span>
+        <span>Price changes: ${report.counts.priceChanges}</span>
+        <span>Failed: ${report.counts.failed}</span>
+        <span>OK: ${report.counts.ok}</span>
+    </p>
+    ${reportSection('Missing products', report.missing, [{ label: 'Reason', value: row => row.reason }])}
+    ${reportSection('Unavailable', report.unavailable, [
+      { label: 'Title', value: row => row.title },
+      { label: 'Availability', value: row => row.availability }
+    ])}
+    ${reportSection('Stuck on the fallback title', report.placeholder, [{ label: 'Title', value: row => row.title }])}
+    ${reportSection('Price changes', report.priceChanges, [
+      { label: 'Title', value: row => row.title },
+      { label: 'Was', value: row => row.from },
+      { label: 'Now', value: row => row.to || 'no price' },
+      { label: 'Change', value: percent }
+    ])}
+    ${reportSection('Could not check', report.failed, [{ label: 'Reason', value: row => row.reason }])}
+</body>
+</html>`.toString();
+}
+
+module.exports = {
+  HEALTH_CHECK_LIMIT,
+  collectKnownProducts,
+  runHealthCheck,
+  saveHealthReport,
+  getLatestHealthReport,
+  renderHealthReport
+};
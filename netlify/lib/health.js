@@ -0,0 +1,166 @@
+const { getStore } = require('./store');
+const { cacheKey, getCacheEntry } = require('./product-cache');
+const { buildSearchURL, buildCategoryURL, getMarketplace } = require('./marketplaces');
+const { listLinks } = require('./links');
+const { createLogger } = require('./logger');
+
+const log = createLogger('health');
+
+// Whether each product can still be bought, kept in the "health" store as
+//   { asin, marketplace, status, reason, since, checkedAt }
+// status is "ok", "unavailable" (listing says currently unavailable) or
+// "dead" (PA-API says the item is not accessible, or there is no product
+// page any more). It is updated whenever product data is fetched live.
+
+// PA-API item error codes (and the scraper's 404) that mean the ASIN is gone
+const DEAD_ERROR_CODES = ['ItemNotAccessible', 'InvalidParameterValue', 'ItemNotFound'];
+
+// Availability text of a listing nobody can buy from
+const UNAVAILABLE_PATTERN = /currently unavailable|no longer available|derzeit nicht verfügbar|actuellement indisponible|non disponibile|no disponible|現在在庫切れ/i;
+
+// Where dead links go when they don't name a fallback of their own:
+// "search" (Amazon search for the product's title) or "none"
+const DEAD_LINK_FALLBACK = process.env.DEAD_LINK_FALLBACK === 'none' ? null : { type: 'search' };
+
+// Seconds a dead or unavailable status is trusted before the product is
+// checked against Amazon again: listings come back in stock, and a redirect
+// to the fallback should not outlive the reason for it.
+const HEALTH_RECHECK_INTERVAL = parseInt(process.env.HEALTH_RECHECK_INTERVAL, 10) || 60 * 60;
+
+function isDeadError(error) {
+  return !!error && DEAD_ERROR_CODES.includes(error.code);
+}
+
+function productStatus(product) {
+  return UNAVAILABLE_PATTERN.test(product.availability || '') ? 'unavailable' : 'ok';
+}
+
+function isUnhealthy(health) {
+  return !!health && (health.status === 'dead' || health.status === 'unavailable');
+}
+
+// Whether an unhealthy record is old enough to be checked live again
+function isDueForRecheck(health, options = {}) {
+  if (!isUnhealthy(health) || !health.checkedAt) return false;
+  const interval = options.interval ?? HEALTH_RECHECK_INTERVAL;
+  const now = (options.now || Date.now)();
+  return now - Date.parse(health.checkedAt) >= interval * 1000;
+}
+
+async function getHealth(asin, marketplace, options = {}) {
+  const store = options.store || getStore('health');
+  try {
+    return await store.get(cacheKey(asin, marketplace));
+  } catch (error) {
+    log.error('Health read failed', { error: error });
+    return null;
+  }
+}
+
+// Record the outcome of a live fetch. Only writes when something changed, when
+// a recheck confirmed an unhealthy status (so the next one waits another
+// HEALTH_RECHECK_INTERVAL), or always with options.touch (the scheduled
+// checker, to keep checkedAt current).
+async function updateHealth(asin, marketplace, status, reason, options = {}) {
+  const store = options.store || getStore('health');
+  const now = new Date((options.now || Date.now)()).toISOString();
+  const key = cacheKey(asin, marketplace);
+
+  try {
+    const existing = await store.get(key);
+    const unchanged = existing && existing.status === status && existing.reason === (reason || null);
+    if (unchanged && !options.touch && !isDueForRecheck(existing, { now: options.now })) {
+      return existing;
+    }
+
+    const health = {
+      asin: asin.toUpperCase(),
+      marketplace: marketplace,
+      status: status,
+      reason: reason || null,
+      since: existing && existing.status === status ? existing.since : now,
+      checkedAt: now
+    };
+    if (status !== 'ok' && (!existing || existing.status !== status)) {
+      log.warn('Product health changed', { asin: asin, marketplace: marketplace, status: status, reason: reason || null });
+    }
+    await store.set(key, health);
+    return health;
+  } catch (error) {
+    log.error('Health write failed', { error: error });
+    return null;
+  }
+}
+
+async function listHealth(options = {}) {
+  const store = options.store || getStore('health');
+  const keys = await store.list();
+  return (await Promise.all(keys.map(key => store.get(key)))).filter(Boolean);
+}
+
+// Dead and unavailable products, dead first, each with the saved links that
+// point at it and their fallbacks:
+// { generatedAt, checked, unhealthy: [{ asin, marketplace, status, reason, since,
+//   checkedAt, links: [{ slug, fallback }] }] }
+async function healthReport(options = {}) {
+  const [entries, links] = await Promise.all([listHealth(options), listLinks()]);
+
+  const unhealthy = entries
+    .filter(isUnhealthy)
+    .map(health => ({
+      ...health,
+      links: links
+        .filter(link => link.asin === health.asin && link.marketplace === health.marketplace)
+        .map(link => ({ slug: link.slug, fallback: link.fallback || null }))
+    }))
+    .sort((a, b) => (a.status === b.status ? a.since.localeCompare(b.since) : a.status === 'dead' ? -1 : 1));
+
+  return { generatedAt: new Date().toISOString(), checked: entries.length, unhealthy: unhealthy };
+}
+
+// Where to send visitors of an unhealthy product. `spec` is the link's own
+// fallback (see lib/links.js) or the DEAD_LINK_FALLBACK default:
+//   { type: "asin", asin, marketplace }   another product; returns { asin, marketplace }
+//   { type: "search", keywords }          Amazon search; returns { url }
+//   { type: "category", node }            browse node page; returns { url }
+// Returns null when there is nowhere better to go.
+async function resolveFallback(spec, { asin, marketplace, partnerTags }) {
+  const fallback = spec || DEAD_LINK_FALLBACK;
+  if (!fallback) return null;
+
+  if (fallback.type === 'asin') {
+    if (fallback.asin === asin) return null;
+    return { type: 'asin', asin: fallback.asin, marketplace: getMarketplace(fallback.marketplace || marketplace).code };
+  }
+
+  if (fallback.type === 'category') {
+    return { type: 'category', url: buildCategoryURL(fallback.node, marketplace, partnerTags) };
+  }
+
+  // Search for what the product was, if we ever knew its title
+  let keywords = fallback.keywords;
+  if (!keywords) {
+    try {
+      const entry = await getCacheEntry(asin, marketplace);
+      if (entry && entry.product.title !== `Amazon Product ${asin}`) keywords = entry.product.title;
+    } catch (error) {
+      log.error('Product cache read failed', { error: error });
+    }
+  }
+  const terms = (keywords || asin).split(/\s+/).slice(0, 10).join(' ');
+  return { type: 'search', url: buildSearchURL(terms, marketplace, partnerTags) };
+}
+
+module.exports = {
+  DEAD_ERROR_CODES,
+  isDeadError,
+  HEALTH_RECHECK_INTERVAL,
+  productStatus,
+  isUnhealthy,
+  isDueForRecheck,
+  getHealth,
+  updateHealth,
+  listHealth,
+  healthReport,
+  resolveFallback
+};
@@ -0,0 +1,109 @@
+// HTML templating with escaping on by default.
+//
+// Everything interpolated into an html`` template is escaped for HTML text and
+// double-quoted attribute values, unless it is already SafeHTML (a nested
+// html`` template, or one of the helpers below). Product data comes from
+// scraped third-party pages, so nothing may be interpolated unescaped:
+//
+//   html`<meta content="${title}">`        text / attribute value
+//   html`<a href="${url(link)}">`          URL attribute (http/https only)
+//   html`<script>go(${js(link)})</script>`   JS string or value inside <script>
+//   html`<style>b{color:${css(color)}}</style>`   single CSS value
+class SafeHTML {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Mark a string as already safe. Only for markup we wrote ourselves.
+function raw(value) {
+  return new SafeHTML(String(value));
+}
+
+function render(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHTML) return value.value;
+  if (Array.isArray(value)) return value.map(render).join('');
+  return escapeHTML(value);
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    out += render(values[i]) + strings[i + 1];
+  }
+  return new SafeHTML(out);
+}
+
+// URL for an href/src/content attribute. Anything that isn't http(s) or a
+// relative path (javascript:, data:, ...) is replaced with about:blank.
+function safeURL(value) {
+  const text = String(value || '').trim();
+  if (/^https?:\/\//i.test(text) || /^\/(?!\/)/.test(text) || text.startsWith('#')) {
+    return text;
+  }
+  return 'about:blank';
+}
+
+function url(value) {
+  return new SafeHTML(escapeHTML(safeURL(value)));
+}
+
+// JSON literal that is safe inside an inline <script>: it can't close the
+// script element, open a comment or break the line.
+function jsLiteral(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// A quoted JS string (or any JSON value) for use inside <script>
+function js(value) {
+  return new SafeHTML(jsLiteral(value));
+}
+
+// A single CSS value (colour, length, font name) inside <style>. Characters
+// that could end the declaration or the style element are dropped.
+function css(value) {
+  return new SafeHTML(String(value === undefined || value === null ? '' : value).replace(/[<>{};\\"'`]/g, ''));
+}
+
+// Custom property declarations for a :root block, from { 'brand-cyan': '#00E5E0' }
+function cssVariables(vars) {
+  return new SafeHTML(Object.entries(vars || {})
+    .map(([name, value]) => `--${name.replace(/[^a-z0-9-]/gi, '')}: ${css(value)};`)
+    .join('\n            '));
+}
+
+module.exports = {
+  SafeHTML,
+  html,
+  raw,
+  escapeHTML,
+  safeURL,
+  url,
+  js,
+  jsLiteral,
+  css,
+  cssVariables
+};
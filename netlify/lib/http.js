@@ -0,0 +1,55 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal promise wrapper around http/https.request. Everything that talks to
+// the network takes a `request` option defaulting to this one, so callers can
+// swap in a stub or point at a local server. The body is a string, or a
+// Buffer with options.binary; options.maxBytes aborts larger responses.
+function request(url, options = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const timeout = options.timeout || 10000;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (options.maxBytes && size > options.maxBytes) {
+          req.destroy();
+          reject(new Error(`Response too large: ${target.host}`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: options.binary ? data : data.toString('utf8')
+        });
+      });
+    });
+
+    req.on('error', reject);
+
+    req.setTimeout(timeout, () => {
+      req.destroy();
+      reject(new Error(`Request timeout: ${target.host}`));
+    });
+
+    if (options.body) {
+      req.write(options.body, 'utf8');
+    }
+    req.end();
+  });
+}
+
+module.exports = { request };
@@ -0,0 +1,216 @@
+const { isASIN, parseProductPath } = require('./amazon-url');
+const { getMarketplace, isMarketplaceCode, PARTNER_TAGS } = require('./marketplaces');
+const { getStore } = require('./store');
+const { REDIRECT_MODES } = require('./redirect');
+const { createLogger } = require('./logger');
+
+const log = createLogger('links');
+
+// Named links on top of the raw ASIN paths, kept in the "links" store:
+//   /airpods-deal            custom slug for any product
+//   /B09P21T2GC/ig-story     campaign variant of a product link
+// Each record is
+//   { slug, asin, marketplace, tag, note, theme, mode, fallback, disabled,
+//     previousAsins, createdAt, updatedAt }
+// where tag is an optional tracking ID used instead of the partner tag, so
+// Associates reports can be broken down by channel, and theme/mode pick the
+// page theme (lib/templates.js) and redirect mode (lib/redirect.js). A link's
+// ASIN can be rotated when the product goes away (previousAsins keeps the
+// old ones), so a campaign link may end up pointing at a different ASIN than
+// the one in its slug. fallback says where visitors go while the product is
+// dead or unavailable (see resolveFallback in lib/health.js):
+//   { "type": "asin", "asin": "B0...", "marketplace": "us" }
+//   { "type": "search", "keywords": "wireless earbuds" }   keywords default to the title
+//   { "type": "category", "node": "172282" }
+// Links are managed through /admin/api/links (see
+// lib/admin-links.js) or scripts/links.js.
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{2,63}$/;
+const CAMPAIGN_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const TAG_PATTERN = /^[A-Za-z0-9-]{3,64}$/;
+const FALLBACK_TYPES = ['asin', 'search', 'category'];
+const MAX_NOTE_LENGTH = 500;
+const MAX_THEME_LENGTH = 64;
+
+// First path segments that belong to other routes
+const RESERVED_SLUGS = ['api', 'admin', 'card', 'cart', 'create', 'out', 'favicon.ico', 'robots.txt'];
+
+// Store key for a slug: "airpods-deal" or "B09P21T2GC/ig-story". Returns null
+// for anything that can't be a link name.
+function normalizeSlug(slug) {
+  if (typeof slug !== 'string') return null;
+
+  const parts = slug.trim().replace(/^\/+|\/+$/g, '').split('/');
+  if (parts.length === 2 && isASIN(parts[0]) && CAMPAIGN_PATTERN.test(parts[1].toLowerCase())) {
+    return `${parts[0].toUpperCase()}/${parts[1].toLowerCase()}`;
+  }
+
+  const name = parts[0].toLowerCase();
+  if (parts.length !== 1 || !SLUG_PATTERN.test(name)) return null;
+  if (isASIN(name) || isMarketplaceCode(name) || RESERVED_SLUGS.includes(name)) return null;
+  return name;
+}
+
+function isCampaignSlug(slug) {
+  return slug.includes('/');
+}
+
+// Normalized fallback target, or { error }
+function validateFallback(fallback) {
+  if (!fallback || typeof fallback !== 'object' || !FALLBACK_TYPES.includes(fallback.type)) {
+    return { error: `Fallback type must be one of: ${FALLBACK_TYPES.join(', ')}` };
+  }
+
+  if (fallback.type === 'asin') {
+    if (!isASIN(fallback.asin)) return { error: 'Fallback needs a valid ASIN' };
+    if (fallback.marketplace && !isMarketplaceCode(fallback.marketplace)) {
+      return { error: `Unknown marketplace: ${fallback.marketplace}` };
+    }
+    return { fallback: { type: 'asin', asin: fallback.asin.toUpperCase(), marketplace: fallback.marketplace ? fallback.marketplace.toLowerCase() : null } };
+  }
+
+  if (fallback.type === 'category') {
+    if (!/^\d{1,20}$/.test(String(fallback.node || ''))) return { error: 'Fallback needs a numeric browse node' };
+    return { fallback: { type: 'category', node: String(fallback.node) } };
+  }
+
+  return { fallback: { type: 'search', keywords: fallback.keywords ? String(fallback.keywords).slice(0, 200) : null } };
+}
+
+// Checks a link definition and fills in defaults. Returns { link } or { error }.
+function validateLink(input) {
+  const slug = normalizeSlug(input.slug);
+  if (!slug) {
+    return { error: 'Slug must be 3-64 lowercase letters, digits or dashes (not an ASIN or reserved word), or ASIN/campaign' };
+  }
+
+  // Campaign links point at the ASIN in their slug unless told otherwise
+  const asin = (input.asin || (isCampaignSlug(slug) ? slug.split('/')[0] : '')).toUpperCase();
+  if (!isASIN(asin)) {
+    return { error: 'A valid ASIN is required' };
+  }
+  if (input.marketplace && !isMarketplaceCode(input.marketplace)) {
+    return { error: `Unknown marketplace: ${input.marketplace}` };
+  }
+  if (input.tag && (typeof input.tag !== 'string' || !TAG_PATTERN.test(input.tag))) {
+    return { error: `Not a tracking ID: ${input.tag}` };
+  }
+  if (input.mode && !REDIRECT_MODES.includes(input.mode)) {
+    return { error: `Redirect mode must be one of: ${REDIRECT_MODES.join(', ')}` };
+  }
+  if (input.theme && (typeof input.theme !== 'string' || input.theme.length > MAX_THEME_LENGTH)) {
+    return { error: `Theme must be a theme name of at most ${MAX_THEME_LENGTH} characters` };
+  }
+  if (input.note && (typeof input.note !== 'string' || input.note.length > MAX_NOTE_LENGTH)) {
+    return { error: `Notes are text of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+
+  let fallback = null;
+  if (input.fallback) {
+    const checked = validateFallback(input.fallback);
+    if (checked.error) return { error: checked.error };
+    fallback = checked.fallback;
+  }
+
+  return {
+    link: {
+      slug: slug,
+      asin: asin,
+      marketplace: getMarketplace(input.marketplace).code,
+      tag: input.tag || null,
+      note: input.note || null,
+      theme: input.theme || null,
+      mode: input.mode || null,
+      fallback: fallback,
+      disabled: !!input.disabled,
+      previousAsins: input.previousAsins || []
+    }
+  };
+}
+
+async function getLink(slug, options = {}) {
+  const key = normalizeSlug(slug);
+  if (!key) return null;
+
+  const store = options.store || getStore('links');
+  return store.get(key);
+}
+
+// Create or replace a link. Throws on an invalid definition.
+async function saveLink(input, options = {}) {
+  const { link, error } = validateLink(input);
+  if (error) throw new Error(error);
+
+  const store = options.store || getStore('links');
+  const now = new Date((options.now || Date.now)()).toISOString();
+  const existing = await store.get(link.slug);
+  const record = { ...link, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+
+  await store.set(link.slug, record);
+  return record;
+}
+
+async function deleteLink(slug, options = {}) {
+  const key = normalizeSlug(slug);
+  if (!key) return false;
+
+  const store = options.store || getStore('links');
+  if (!await store.get(key)) return false;
+  await store.delete(key);
+  return true;
+}
+
+async function listLinks(options = {}) {
+  const store = options.store || getStore('links');
+  const keys = await store.list();
+  const links = await Promise.all(keys.map(key => store.get(key)));
+  return links.filter(Boolean).sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+// { asin, marketplace, link } for a request path. Handles the plain product
+// paths (/B09P21T2GC, /uk/B09P21T2GC), campaign variants
+// (/B09P21T2GC/ig-story, /uk/B09P21T2GC/ig-story) and custom slugs
+// (/airpods-deal). An unknown campaign still opens the plain product link.
+async function resolveLinkPath(path, options = {}) {
+  const product = parseProductPath(path);
+  const segments = path.split('/').filter(Boolean);
+
+  let slug = null;
+  if (product.asin) {
+    const campaign = segments[product.marketplace ? 2 : 1];
+    if (campaign) slug = `${product.asin}/${campaign}`;
+  } else if (segments.length === 1) {
+    slug = segments[0];
+  }
+
+  let link = null;
+  if (slug) {
+    try {
+      link = await getLink(slug, options);
+    } catch (error) {
+      log.error('Link lookup failed', { error: error });
+    }
+  }
+
+  if (link) {
+    return { asin: link.asin, marketplace: link.marketplace || product.marketplace, link: link };
+  }
+  return { asin: product.asin, marketplace: product.marketplace, link: null };
+}
+
+// Partner tags to build a link's Amazon URLs with: its own tracking ID for its
+// marketplace, the configured tags everywhere else (e.g. after geo redirects)
+function linkPartnerTags(link, tags = PARTNER_TAGS) {
+  if (!link || !link.tag) return tags;
+  return { ...tags, [getMarketplace(link.marketplace).code]: link.tag };
+}
+
+module.exports = {
+  normalizeSlug,
+  validateLink,
+  getLink,
+  saveLink,
+  deleteLink,
+  listLinks,
+  resolveLinkPath,
+  linkPartnerTags
+};
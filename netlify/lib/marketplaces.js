@@ -0,0 +1,181 @@
+const { parseMap } = require('./config');
+
+// Amazon storefronts and the PA-API 5.0 host/region each one is served from.
+// https://webservices.amazon.com/paapi5/documentation/common-request-parameters.html#host-and-region
+const MARKETPLACES = {
+  us: { domain: 'www.amazon.com', host: 'webservices.amazon.com', region: 'us-east-1', currency: 'USD', language: 'en-US' },
+  ca: { domain: 'www.amazon.ca', host: 'webservices.amazon.ca', region: 'us-east-1', currency: 'CAD', language: 'en-CA' },
+  mx: { domain: 'www.amazon.com.mx', host: 'webservices.amazon.com.mx', region: 'us-east-1', currency: 'MXN', language: 'es-MX' },
+  br: { domain: 'www.amazon.com.br', host: 'webservices.amazon.com.br', region: 'us-east-1', currency: 'BRL', language: 'pt-BR' },
+  uk: { domain: 'www.amazon.co.uk', host: 'webservices.amazon.co.uk', region: 'eu-west-1', currency: 'GBP', language: 'en-GB' },
+  de: { domain: 'www.amazon.de', host: 'webservices.amazon.de', region: 'eu-west-1', currency: 'EUR', language: 'de-DE' },
+  fr: { domain: 'www.amazon.fr', host: 'webservices.amazon.fr', region: 'eu-west-1', currency: 'EUR', language: 'fr-FR' },
+  it: { domain: 'www.amazon.it', host: 'webservices.amazon.it', region: 'eu-west-1', currency: 'EUR', language: 'it-IT' },
+  es: { domain: 'www.amazon.es', host: 'webservices.amazon.es', region: 'eu-west-1', currency: 'EUR', language: 'es-ES' },
+  nl: { domain: 'www.amazon.nl', host: 'webservices.amazon.nl', region: 'eu-west-1', currency: 'EUR', language: 'nl-NL' },
+  be: { domain: 'www.amazon.com.be', host: 'webservices.amazon.com.be', region: 'eu-west-1', currency: 'EUR', language: 'fr-BE' },
+  se: { domain: 'www.amazon.se', host: 'webservices.amazon.se', region: 'eu-west-1', currency: 'SEK', language: 'sv-SE' },
+  pl: { domain: 'www.amazon.pl', host: 'webservices.amazon.pl', region: 'eu-west-1', currency: 'PLN', language: 'pl-PL' },
+  tr: { domain: 'www.amazon.com.tr', host: 'webservices.amazon.com.tr', region: 'eu-west-1', currency: 'TRY', language: 'tr-TR' },
+  ae: { domain: 'www.amazon.ae', host: 'webservices.amazon.ae', region: 'eu-west-1', currency: 'AED', language: 'en-AE' },
+  sa: { domain: 'www.amazon.sa', host: 'webservices.amazon.sa', region: 'eu-west-1', currency: 'SAR', language: 'en-AE' },
+  eg: { domain: 'www.amazon.eg', host: 'webservices.amazon.eg', region: 'eu-west-1', currency: 'EGP', language: 'en-AE' },
+  in: { domain: 'www.amazon.in', host: 'webservices.amazon.in', region: 'eu-west-1', currency: 'INR', language: 'en-IN' },
+  jp: { domain: 'www.amazon.co.jp', host: 'webservices.amazon.co.jp', region: 'us-west-2', currency: 'JPY', language: 'ja-JP' },
+  au: { domain: 'www.amazon.com.au', host: 'webservices.amazon.com.au', region: 'us-west-2', currency: 'AUD', language: 'en-AU' },
+  sg: { domain: 'www.amazon.sg', host: 'webservices.amazon.sg', region: 'us-west-2', currency: 'SGD', language: 'en-SG' }
+};
+
+// Symbols the scraper accepts as a price for each currency
+const CURRENCY_SYMBOLS = {
+  USD: ['$'],
+  CAD: ['$'],
+  MXN: ['$'],
+  BRL: ['R$'],
+  GBP: ['£'],
+  EUR: ['€'],
+  SEK: ['kr'],
+  PLN: ['zł'],
+  TRY: ['TL', '₺'],
+  AED: ['AED'],
+  SAR: ['SAR', 'ريال'],
+  EGP: ['EGP', 'جنيه'],
+  INR: ['₹'],
+  JPY: ['￥', '¥'],
+  AUD: ['$'],
+  SGD: ['$']
+};
+
+const DEFAULT_MARKETPLACE = process.env.DEFAULT_MARKETPLACE || 'us';
+const PARTNER_TAG = process.env.PARTNER_TAG || 'onelastlynx-20';
+
+// Per-marketplace tags, e.g. PARTNER_TAGS="uk:mytag-21,de:mytag0c-21".
+// Marketplaces without an entry fall back to PARTNER_TAG.
+const PARTNER_TAGS = parseMap(process.env.PARTNER_TAGS);
+
+// Settings for a marketplace code. Anything that isn't one (a non-string,
+// an unknown code, "constructor") gets DEFAULT_MARKETPLACE, or us.
+function getMarketplace(code) {
+  const fallback = isMarketplaceCode(DEFAULT_MARKETPLACE) ? DEFAULT_MARKETPLACE.toLowerCase() : 'us';
+  const key = isMarketplaceCode(code) ? code.toLowerCase() : fallback;
+  return { code: key, ...MARKETPLACES[key] };
+}
+
+function isMarketplaceCode(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(MARKETPLACES, code.toLowerCase());
+}
+
+// Map a hostname like "amazon.co.uk" or "www.amazon.de" to its marketplace code
+function marketplaceFromHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^(www|smile)\./, '');
+  for (const [code, marketplace] of Object.entries(MARKETPLACES)) {
+    if (marketplace.domain.replace(/^www\./, '') === host) {
+      return code;
+    }
+  }
+  return null;
+}
+
+function getPartnerTag(code, tags = PARTNER_TAGS) {
+  return tags[getMarketplace(code).code] || PARTNER_TAG;
+}
+
+// PARTNER_TAG belongs to the default marketplace; other stores need their own entry
+function hasPartnerTag(code, tags = PARTNER_TAGS) {
+  const marketplace = getMarketplace(code);
+  return marketplace.code === DEFAULT_MARKETPLACE || !!tags[marketplace.code];
+}
+
+function buildAffiliateURL(asin, code, tags = PARTNER_TAGS) {
+  const marketplace = getMarketplace(code);
+  return `https://${marketplace.domain}/dp/${asin}?tag=${getPartnerTag(marketplace.code, tags)}`;
+}
+
+function buildSearchURL(keywords, code, tags = PARTNER_TAGS) {
+  const marketplace = getMarketplace(code);
+  return `https://${marketplace.domain}/s?k=${encodeURIComponent(keywords)}&tag=${getPartnerTag(marketplace.code, tags)}`;
+}
+
+// Category (browse node) page, e.g. node 172282 for Electronics on amazon.com
+function buildCategoryURL(node, code, tags = PARTNER_TAGS) {
+  const marketplace = getMarketplace(code);
+  return `https://${marketplace.domain}/b?node=${encodeURIComponent(node)}&tag=${getPartnerTag(marketplace.code, tags)}`;
+}
+
+// Amazon's add-to-cart form: one click puts every item in the visitor's cart.
+// items: [{ asin, quantity }]
+function buildCartURL(items, code, tags = PARTNER_TAGS) {
+  const marketplace = getMarketplace(code);
+  const query = new URLSearchParams({ AssociateTag: getPartnerTag(marketplace.code, tags) });
+  items.forEach((item, i) => {
+    query.set(`ASIN.${i + 1}`, item.asin);
+    query.set(`Quantity.${i + 1}`, String(item.quantity || 1));
+  });
+  return `https://${marketplace.domain}/gp/aws/cart/add.html?${query}`;
+}
+
+// Display name of a storefront: "Amazon.com", "Amazon.co.uk"
+function getStoreName(code) {
+  return `Amazon.${getMarketplace(code).domain.split('.amazon.')[1]}`;
+}
+
+// Origin of our own cloaked links
+const LINK_BASE = 'https://go.onelastlink.com';
+
+// Path of our own cloaked link: /B09P21T2GC for the default store, /uk/B09P21T2GC otherwise
+function linkPath(asin, code) {
+  const marketplace = getMarketplace(code);
+  return marketplace.code === DEFAULT_MARKETPLACE ? `/${asin}` : `/${marketplace.code}/${asin}`;
+}
+
+// Does this text look like a price in the marketplace's currency?
+function isPriceText(text, code) {
+  const symbols = CURRENCY_SYMBOLS[getMarketplace(code).currency] || [];
+  return /\d/.test(text) && symbols.some(symbol => text.includes(symbol));
+}
+
+// Numeric amount from a display price: "$1,299.99" -> "1299.99", "1.299,99 €" -> "1299.99"
+function parsePriceAmount(text) {
+  if (!text) return '';
+
+  const digits = text.replace(/[^\d.,]/g, '');
+  const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+
+  // A separator followed by exactly three digits groups thousands (e.g. "￥1,234")
+  if (lastSeparator === -1 || digits.length - lastSeparator - 1 === 3) {
+    return digits.replace(/[.,]/g, '');
+  }
+
+  const whole = digits.slice(0, lastSeparator).replace(/[.,]/g, '');
+  const fraction = digits.slice(lastSeparator + 1);
+  return `${whole || '0'}.${fraction}`;
+}
+
+// Whole percent saved against the list price, or null when it can't be worked out
+function computeSavingsPercent(price, listPrice) {
+  const current = parseFloat(parsePriceAmount(price));
+  const list = parseFloat(parsePriceAmount(listPrice));
+  if (!current || !list || list <= current) return null;
+  return Math.round((1 - current / list) * 100);
+}
+
+module.exports = {
+  MARKETPLACES,
+  DEFAULT_MARKETPLACE,
+  PARTNER_TAGS,
+  LINK_BASE,
+  getMarketplace,
+  isMarketplaceCode,
+  marketplaceFromHost,
+  getPartnerTag,
+  hasPartnerTag,
+  buildAffiliateURL,
+  buildSearchURL,
+  buildCategoryURL,
+  buildCartURL,
+  getStoreName,
+  linkPath,
+  isPriceText,
+  parsePriceAmount,
+  computeSavingsPercent
+};
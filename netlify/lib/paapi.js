@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const { request: defaultRequest } = require('./http');
+const { getMarketplace, getPartnerTag, computeSavingsPercent } = require('./marketplaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('paapi');
+
+// Amazon API Configuration - Using correct variable names
+const ACCESS_KEY = process.env.ACCESS_KEY;
+const SECRET_KEY = process.env.SECRET_KEY;
+
+// Overrides the PA-API base URL, e.g. to point at a local mock
+const PAAPI_ENDPOINT = process.env.PAAPI_ENDPOINT;
+
+// GetItems accepts at most 10 ItemIds per call. Batches are spaced out to
+// stay under the PA-API request rate (1 per second for new accounts).
+const BATCH_SIZE = 10;
+const BATCH_INTERVAL = parseInt(process.env.PAAPI_BATCH_INTERVAL, 10) || 1100;
+
+function hasCredentials() {
+  return !!(ACCESS_KEY && SECRET_KEY);
+}
+
+// Amazon Product Advertising API 5.0 Implementation - CORRECTED
+//
+// Signed GetItems call for up to 10 ASINs, resolving to the parsed JSON
+// response. Per-item errors are left in response.Errors for the caller.
+//
+// options.request replaces the HTTP client and options.endpoint the base URL
+// requests are sent to (PAAPI_ENDPOINT), e.g. a local mock. The request is
+// still signed for the marketplace's real host.
+async function getItems(asins, marketplaceCode, options = {}) {
+  const marketplace = getMarketplace(marketplaceCode);
+  const request = options.request || defaultRequest;
+  const accessKey = options.accessKey || ACCESS_KEY;
+  const secretKey = options.secretKey || SECRET_KEY;
+  const method = 'POST';
+  const service = 'ProductAdvertisingAPI';
+  const target = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.GetItems';
+  const region = marketplace.region;
+  const host = marketplace.host;
+  const endpoint = (options.endpoint || PAAPI_ENDPOINT || `https://${host}`).replace(/\/+$/, '');
+  
+  // Request payload for PA-API 5.0
+  const payload = JSON.stringify({
+    ItemIds: asins,
+    Resources: [
+      'ItemInfo.Title',
+      'ItemInfo.Features', 
+      'Images.Primary.Large',
+      'Images.Primary.Medium',
+      'Images.Primary.Small',
+      'Offers.Listings.Price',
+      'Offers.Listings.SavingBasis',
+      'Offers.Listings.Availability.Message',
+      'Offers.Listings.Availability.Type',
+      'Offers.Listings.DeliveryInfo.IsPrimeEligible',
+      'CustomerReviews.Count',
+      'CustomerReviews.StarRating',
+      'ItemInfo.ProductInfo'
+    ],
+    PartnerTag: getPartnerTag(marketplace.code),
+    PartnerType: 'Associates',
+    Marketplace: marketplace.domain
+  });
+  
+  // Create timestamp FIRST - use consistent timing
+  const timestamp = options.now ? new Date(options.now()) : new Date();
+  const dateStamp = timestamp.toISOString().substring(0, 10).replace(/-/g, '');
+  const amzDate = timestamp.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  
+  // Create AWS Signature Version 4 - FIXED canonical request
+  const canonicalUri = '/paapi5/getitems';
+  const canonicalQuerystring = '';
+  // CRITICAL: Headers must be in alphabetical order and lowercase
+  const canonicalHeaders = [
+    `content-type:application/json; charset=utf-8`,
+    `host:${host}`,
+    `x-amz-date:${amzDate}`,
+    `x-amz-target:${target}`
+  ].join('\n') + '\n';
+  
+  const signedHeaders = 'content-type;host;x-amz-date;x-amz-target';
+  const payloadHash = crypto.createHash('sha256').update(payload, 'utf8').digest('hex');
+  
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuerystring,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    credentialScope,
+    crypto.createHash('sha256').update(canonicalRequest, 'utf8').digest('hex')
+  ].join('\n');
+  
+  // Signing inputs for debugging signature mismatches; they hold no secrets
+  log.debug('PA-API request signed', { asins: asins, canonicalRequest: canonicalRequest, stringToSign: stringToSign });
+  
+  // Create signing key - FIXED: Use binary encoding properly
+  const kDate = crypto.createHmac('sha256', `AWS4${secretKey}`).update(dateStamp).digest();
+  const kRegion = crypto.createHmac('sha256', kDate).update(region).digest();
+  const kService = crypto.createHmac('sha256', kRegion).update(service).digest();
+  const kSigning = crypto.createHmac('sha256', kService).update('aws4_request').digest();
+  
+  const signature = crypto.createHmac('sha256', kSigning).update(stringToSign, 'utf8').digest('hex');
+  
+  const authorization = `AWS4-HMAC-SHA256 Credential=${accessKey}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  
+  let res;
+  try {
+    res = await request(endpoint + canonicalUri, {
+      method: method,
+      headers: {
+        'Authorization': authorization,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Host': host,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Target': target,
+        'Content-Length': Buffer.byteLength(payload, 'utf8')
+      },
+      body: payload,
+      timeout: 10000
+    });
+  } catch (error) {
+    log.error('PA-API request failed', { asins: asins, marketplace: marketplace.code, error: error });
+    throw error;
+  }
+  
+  log.info('PA-API response', { asins: asins, marketplace: marketplace.code, status: res.statusCode });
+  log.debug('PA-API response headers', { headers: res.headers });
+  
+  let response;
+  try {
+    response = JSON.parse(res.body);
+  } catch (parseError) {
+    log.error('PA-API response is not JSON', { status: res.statusCode, error: parseError, body: res.body.substring(0, 500) });
+    throw parseError;
+  }
+  
+  log.debug('PA-API response body', { response: response });
+  
+  // Check for internal failure
+  if (response.Output && response.Output.__type && response.Output.__type.includes('InternalFailure')) {
+    log.error('PA-API internal failure, likely an authentication issue. Check ACCESS_KEY, SECRET_KEY and PARTNER_TAG', {
+      status: res.statusCode,
+      response: response
+    });
+    throw new Error('PA-API Authentication Failed - Check your credentials');
+  }
+  
+  return response;
+}
+
+async function fetchAmazonProductAPI(asin, marketplaceCode, options = {}) {
+  const response = await getItems([asin], marketplaceCode, options);
+  
+  // Check for errors in response
+  if (response.Errors && response.Errors.length > 0) {
+    log.error('PA-API item error', { asin: asin, code: response.Errors[0].Code, message: response.Errors[0].Message });
+    const error = new Error(`PA-API Error: ${response.Errors[0].Message}`);
+    error.code = response.Errors[0].Code;
+    throw error;
+  }
+  
+  const productData = parsePAAPI5Response(response, asin, marketplaceCode);
+  log.debug('Parsed product data', { product: productData });
+  return productData;
+}
+
+// Batched lookup: splits the ASINs into GetItems calls of 10 and returns
+// { products, errors }, both keyed by ASIN. An ASIN missing from products has
+// an entry in errors ({ code, message }).
+async function fetchAmazonProductsAPI(asins, marketplaceCode, options = {}) {
+  const interval = options.batchInterval ?? BATCH_INTERVAL;
+  const unique = [...new Set(asins.map(asin => asin.toUpperCase()))];
+  const products = {};
+  const errors = {};
+  
+  for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+    const batch = unique.slice(i, i + BATCH_SIZE);
+    
+    if (i > 0 && interval > 0) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    
+    let response;
+    try {
+      response = await getItems(batch, marketplaceCode, options);
+    } catch (error) {
+      for (const asin of batch) {
+        errors[asin] = { code: 'RequestFailed', message: error.message };
+      }
+      continue;
+    }
+    
+    for (const item of getResponseItems(response)) {
+      products[item.ASIN] = parsePAAPI5Item(item, item.ASIN, marketplaceCode);
+    }
+    
+    // Item errors name the ASIN in their message ("The ItemId B0... is not accessible ...")
+    for (const error of response.Errors || []) {
+      const asin = batch.find(candidate => (error.Message || '').includes(candidate));
+      const targets = asin ? [asin] : batch;
+      for (const target of targets) {
+        if (!products[target]) {
+          errors[target] = { code: error.Code, message: error.Message };
+        }
+      }
+    }
+    
+    for (const asin of batch) {
+      if (!products[asin] && !errors[asin]) {
+        errors[asin] = { code: 'ItemNotReturned', message: `PA-API returned no data for ${asin}` };
+      }
+    }
+  }
+  
+  return { products: products, errors: errors };
+}
+
+function getResponseItems(response) {
+  return (response.ItemsResult && response.ItemsResult.Items) || [];
+}
+
+// Parse PA-API 5.0 JSON response for one ASIN
+function parsePAAPI5Response(response, asin, marketplace) {
+  const items = getResponseItems(response);
+  const item = items.find(candidate => candidate.ASIN === asin) || items[0];
+  return parsePAAPI5Item(item, asin, marketplace);
+}
+
+function parsePAAPI5Item(item, asin, marketplace) {
+  let title = '';
+  let image = '';
+  let price = '';
+  let listPrice = '';
+  let savings = '';
+  let savingsPercent = null;
+  let availability = '';
+  let isPrime = false;
+  let rating = null;
+  let reviewCount = null;
+  
+  try {
+    if (item) {
+      // Extract title
+      if (item.ItemInfo && item.ItemInfo.Title && item.ItemInfo.Title.DisplayValue) {
+        title = item.ItemInfo.Title.DisplayValue;
+      }
+      
+      // Extract image - try multiple sizes
+      if (item.Images && item.Images.Primary) {
+        if (item.Images.Primary.Large && item.Images.Primary.Large.URL) {
+          image = item.Images.Primary.Large.URL;
+        } else if (item.Images.Primary.Medium && item.Images.Primary.Medium.URL) {
+          image = item.Images.Primary.Medium.URL;
+        } else if (item.Images.Primary.Small && item.Images.Primary.Small.URL) {
+          image = item.Images.Primary.Small.URL;
+        }
+      }
+      
+      // Extract price
+      if (item.Offers && item.Offers.Listings && item.Offers.Listings.length > 0) {
+        const listing = item.Offers.Listings[0];
+        if (listing.Price && listing.Price.DisplayAmount) {
+          price = listing.Price.DisplayAmount;
+        }
+        
+        // Extract list price and savings
+        if (listing.SavingBasis && listing.SavingBasis.DisplayAmount) {
+          listPrice = listing.SavingBasis.DisplayAmount;
+        }
+        if (listing.Price && listing.Price.Savings) {
+          savings = listing.Price.Savings.DisplayAmount || '';
+          savingsPercent = listing.Price.Savings.Percentage ?? null;
+        }
+        if (savingsPercent === null) {
+          savingsPercent = computeSavingsPercent(price, listPrice);
+        }
+        
+        // Extract availability and Prime
+        if (listing.Availability && listing.Availability.Message) {
+          availability = listing.Availability.Message;
+        }
+        if (listing.DeliveryInfo) {
+          isPrime = !!listing.DeliveryInfo.IsPrimeEligible;
+        }
+      }
+      
+      // Extract customer reviews
+      if (item.CustomerReviews) {
+        if (item.CustomerReviews.StarRating && item.CustomerReviews.StarRating.Value) {
+          rating = item.CustomerReviews.StarRating.Value;
+        }
+        if (item.CustomerReviews.Count) {
+          reviewCount = item.CustomerReviews.Count;
+        }
+      }
+    }
+  } catch (parseError) {
+    log.error('Could not parse PA-API item', { asin: asin, error: parseError });
+  }
+  
+  return {
+    title: title || `Amazon Product ${asin}`,
+    image: image || `https://images-na.ssl-images-amazon.com/images/P/${asin}.01._SL1500_.jpg`,
+    price: price,
+    listPrice: listPrice,
+    savings: savings,
+    savingsPercent: savingsPercent,
+    availability: availability,
+    isPrime: isPrime,
+    rating: rating,
+    reviewCount: reviewCount,
+    asin: asin,
+    marketplace: getMarketplace(marketplace).code,
+    source: 'paapi'
+  };
+}
+
+module.exports = {
+  BATCH_SIZE,
+  BATCH_INTERVAL,
+  hasCredentials,
+  getItems,
+  fetchAmazonProductAPI,
+  fetchAmazonProductsAPI,
+  parsePAAPI5Response,
+  parsePAAPI5Item
+};
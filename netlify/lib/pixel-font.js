@@ -0,0 +1,150 @@
+// 5x9 bitmap font for the share cards: printable ASCII plus the currency
+// signs Amazon prices use. Each glyph is nine rows of five pixels, top to
+// bottom, as two hex digits per row (0x10 is the leftmost pixel). Rows 0-6
+// sit on the baseline; rows 7-8 hold descenders.
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 9;
+const BASELINE = 7;
+
+const GLYPHS = {
+  ' ': '000000000000000000',
+  '!': '040404040400040000',
+  '"': '0a0a00000000000000',
+  '#': '0a0a1f0a1f0a0a0000',
+  '$': '040f140e051e040000',
+  '%': '181902040813030000',
+  '&': '0c12140815120d0000',
+  "'": '040400000000000000',
+  '(': '020408080804020000',
+  ')': '080402020204080000',
+  '*': '0004150e1504000000',
+  '+': '0004041f0404000000',
+  ',': '000000000c04080000',
+  '-': '0000001f0000000000',
+  '.': '00000000000c0c0000',
+  '/': '000102040810000000',
+  '0': '0e11131519110e0000',
+  '1': '040c040404040e0000',
+  '2': '0e11010204081f0000',
+  '3': '1f02040201110e0000',
+  '4': '02060a121f02020000',
+  '5': '1f101e0101110e0000',
+  '6': '0608101e11110e0000',
+  '7': '1f0102040808080000',
+  '8': '0e11110e11110e0000',
+  '9': '0e11110f01020c0000',
+  ':': '000c0c000c0c000000',
+  ';': '000c0c000c04080000',
+  '<': '020408100804020000',
+  '=': '00001f001f00000000',
+  '>': '080402010204080000',
+  '?': '0e1101020400040000',
+  '@': '0e11010d15150e0000',
+  'A': '0e11111f1111110000',
+  'B': '1e11111e11111e0000',
+  'C': '0e11101010110e0000',
+  'D': '1c12111111121c0000',
+  'E': '1f10101e10101f0000',
+  'F': '1f10101e1010100000',
+  'G': '0e11101711110f0000',
+  'H': '1111111f1111110000',
+  'I': '0e04040404040e0000',
+  'J': '0702020202120c0000',
+  'K': '111214181412110000',
+  'L': '1010101010101f0000',
+  'M': '111b15151111110000',
+  'N': '111119151311110000',
+  'O': '0e11111111110e0000',
+  'P': '1e11111e1010100000',
+  'Q': '0e11111115120d0000',
+  'R': '1e11111e1412110000',
+  'S': '0f10100e01011e0000',
+  'T': '1f0404040404040000',
+  'U': '1111111111110e0000',
+  'V': '11111111110a040000',
+  'W': '1111111515150a0000',
+  'X': '11110a040a11110000',
+  'Y': '1111110a0404040000',
+  'Z': '1f01020408101f0000',
+  '[': '0e08080808080e0000',
+  '\\': '001008040201000000',
+  ']': '0e02020202020e0000',
+  '^': '040a11000000000000',
+  '_': '0000000000001f0000',
+  '`': '080400000000000000',
+  'a': '00000e010f110f0000',
+  'b': '1010161911111e0000',
+  'c': '00000e1010110e0000',
+  'd': '01010d1311110f0000',
+  'e': '00000e111f100e0000',
+  'f': '0609081c0808080000',
+  'g': '00000f11110f010e00',
+  'h': '101016191111110000',
+  'i': '04000c0404040e0000',
+  'j': '02000602020202120c',
+  'k': '101012141814120000',
+  'l': '0c04040404040e0000',
+  'm': '00001a151511110000',
+  'n': '000016191111110000',
+  'o': '00000e1111110e0000',
+  'p': '00001e11111e101000',
+  'q': '00000f11110f010100',
+  'r': '000016191010100000',
+  's': '00000f100e011e0000',
+  't': '08081c080809060000',
+  'u': '0000111111130d0000',
+  'v': '00001111110a040000',
+  'w': '0000111115150a0000',
+  'x': '0000110a040a110000',
+  'y': '00001111110f010e00',
+  'z': '00001f0204081f0000',
+  '{': '020404080404020000',
+  '|': '040404040404040000',
+  '}': '080404020404080000',
+  '~': '000008150200000000',
+  '£': '0609081c08081f0000',
+  '€': '07081e081e08070000',
+  '¥': '110a041f041f040000',
+  '₹': '1f021f0c0402010000'
+};
+
+// Typographic punctuation and accented letters folded into what the font has
+const REPLACEMENTS = {
+  '\u2018': "'", '\u2019': "'", '\u201c': '"', '\u201d': '"',
+  '\u2013': '-', '\u2014': '-', '\u2026': '...', '\u00d7': 'x',
+  '\uffe5': '\u00a5', '\u00a0': ' ', '\u00df': 'ss'
+};
+
+// Text reduced to characters the font can draw. Trademark signs and anything
+// else unknown are dropped.
+function fontText(text) {
+  return String(text || '')
+    .replace(/[\u2018\u2019\u201c\u201d\u2013\u2014\u2026\u00d7\uffe5\u00a0\u00df]/g, char => REPLACEMENTS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split('')
+    .filter(char => GLYPHS[char])
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Rows of a glyph as numbers, or null
+function glyph(char) {
+  const hex = GLYPHS[char];
+  if (!hex) return null;
+
+  const rows = [];
+  for (let i = 0; i < GLYPH_HEIGHT; i++) {
+    rows.push(parseInt(hex.substr(i * 2, 2), 16));
+  }
+  return rows;
+}
+
+module.exports = {
+  GLYPH_WIDTH,
+  GLYPH_HEIGHT,
+  BASELINE,
+  fontText,
+  glyph
+};
@@ -0,0 +1,124 @@
+const { getStore } = require('./store');
+const { BUILTIN_TEMPLATES, PLATFORMS } = require('./posts');
+
+// Named post templates saved by the team, in the "post-templates" store:
+//   { name, description, text, variants: { x, threads, instagram, telegram },
+//     createdBy, createdAt, updatedAt }
+// text uses the placeholders and sections described in lib/posts.js; a
+// variant replaces it on that platform. Managed through
+// /admin/api/templates, used by name in /api/post.
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const MAX_TEMPLATE_LENGTH = 5000;
+
+function normalizeName(name) {
+  const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  return NAME_PATTERN.test(key) ? key : null;
+}
+
+// Template text and per-platform variants from user input, as
+// { text, variants } or { error }. Used for saved templates and for the
+// ad-hoc ones /api/post takes.
+function validateTemplateText(input) {
+  if (typeof input.text !== 'string' || !input.text.trim() || input.text.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `Template text is required (at most ${MAX_TEMPLATE_LENGTH} characters)` };
+  }
+  if (input.variants != null && (typeof input.variants !== 'object' || Array.isArray(input.variants))) {
+    return { error: 'Variants must be an object of platform names to text' };
+  }
+
+  const variants = {};
+  for (const [platform, text] of Object.entries(input.variants || {})) {
+    if (!Object.hasOwn(PLATFORMS, platform)) {
+      return { error: `Unknown platform: ${platform}. Use one of: ${Object.keys(PLATFORMS).join(', ')}` };
+    }
+    if (typeof text !== 'string' || text.length > MAX_TEMPLATE_LENGTH) {
+      return { error: `Variant for ${platform} must be text (at most ${MAX_TEMPLATE_LENGTH} characters)` };
+    }
+    if (text.trim()) variants[platform] = text;
+  }
+
+  return { text: input.text, variants: variants };
+}
+
+// Template from user input, or { error }
+function validatePostTemplate(input) {
+  const name = normalizeName(input.name);
+  if (!name) {
+    return { error: 'Name must be 2-40 lowercase letters, digits or dashes' };
+  }
+  if (Object.hasOwn(BUILTIN_TEMPLATES, name) || name === 'custom') {
+    return { error: `${name} is a built-in template` };
+  }
+
+  const { text, variants, error } = validateTemplateText(input);
+  if (error) return { error: error };
+
+  return {
+    template: {
+      name: name,
+      description: input.description || null,
+      text: text,
+      variants: variants
+    }
+  };
+}
+
+async function getPostTemplate(name, options = {}) {
+  const key = normalizeName(name);
+  if (!key) return null;
+
+  const store = options.store || getStore('post-templates');
+  return store.get(key);
+}
+
+// Built-in template or a saved one, or null
+async function resolvePostTemplate(name, options = {}) {
+  if (typeof name === 'string' && Object.hasOwn(BUILTIN_TEMPLATES, name)) return BUILTIN_TEMPLATES[name];
+  return getPostTemplate(name, options);
+}
+
+// Create or replace a template. Throws on an invalid definition.
+async function savePostTemplate(input, options = {}) {
+  const { template, error } = validatePostTemplate(input);
+  if (error) throw new Error(error);
+
+  const store = options.store || getStore('post-templates');
+  const now = new Date((options.now || Date.now)()).toISOString();
+  const existing = await store.get(template.name);
+  const record = {
+    ...template,
+    createdBy: existing ? existing.createdBy : options.actor || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await store.set(template.name, record);
+  return record;
+}
+
+async function deletePostTemplate(name, options = {}) {
+  const key = normalizeName(name);
+  if (!key) return false;
+
+  const store = options.store || getStore('post-templates');
+  if (!await store.get(key)) return false;
+  await store.delete(key);
+  return true;
+}
+
+async function listPostTemplates(options = {}) {
+  const store = options.store || getStore('post-templates');
+  const keys = await store.list();
+  const templates = await Promise.all(keys.map(key => store.get(key)));
+  return templates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  validateTemplateText,
+  validatePostTemplate,
+  getPostTemplate,
+  resolvePostTemplate,
+  savePostTemplate,
+  deletePostTemplate,
+  listPostTemplates
+};
@@ -0,0 +1,172 @@
+const { POST_DISCLOSURE } = require('./disclosure');
+
+// Post text for a product, shared by /api/post (and through it create.html)
+// and the deal alerts. A template is plain text with placeholders:
+//   {title} {price} {list} {discount} {link} {note} {disclosure}
+//   {lowest} {days}     historical low and its window, only set when the
+//                       current price really is the lowest (lib/price-history.js)
+// and conditional sections for fields that may be missing:
+//   {#list}(List: {list}){/list}       only when there is a list price
+//   {^note}Great deal!{/note}          only when there is no note
+// Unknown placeholders are left as they are. The affiliate disclosure is
+// added to every post that doesn't already carry it.
+const BUILTIN_TEMPLATES = {
+  detailed: {
+    text: '{title} now only {price}{#list}{#discount} (List: {list}, {discount}){/discount}{/list}{#note}\n\n{note}{/note}\n\n{link}'
+  },
+  clean: {
+    text: '{title} now only {price}{#list}{#discount} (List: {list}, {discount}){/discount}{/list}{#note}\n\n{note}{/note}\n{link}'
+  },
+  steal: {
+    text: 'STEAL! 🚨\n{title} only {price}!{#note}\n\n{note}{/note}{^note}{#lowest}\nLowest price in {days} days! ({days}-day low: {lowest}){/lowest}{/note}\n\n{link}'
+  }
+};
+
+const POST_TEMPLATES = Object.keys(BUILTIN_TEMPLATES);
+
+// Character limits per platform. X counts every link as 23 characters and
+// most characters outside Latin scripts (emoji, CJK) as two.
+const PLATFORMS = {
+  x: { name: 'X', limit: 280, weighted: true },
+  threads: { name: 'Threads', limit: 500 },
+  instagram: { name: 'Instagram caption', limit: 2200 },
+  telegram: { name: 'Telegram', limit: 4096 }
+};
+
+// Titles are never shortened below this many characters to fit a limit
+const MIN_TITLE_LENGTH = 20;
+
+const SECTION_PATTERN = /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/;
+const URL_PATTERN = /https?:\/\/\S+/g;
+
+function renderTemplate(text, fields) {
+  let out = text;
+  let match;
+  while ((match = SECTION_PATTERN.exec(out))) {
+    const [section, type, name, body] = match;
+    const keep = (type === '#') === !!(Object.hasOwn(fields, name) && fields[name]);
+    out = out.slice(0, match.index) + (keep ? body : '') + out.slice(match.index + section.length);
+  }
+
+  return out.replace(/\{(\w+)\}/g, (placeholder, name) => (Object.hasOwn(fields, name) ? fields[name] : placeholder));
+}
+
+// X's weighting: code points in these ranges count once, everything else twice
+function weightedLength(text) {
+  let length = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    const single = code <= 0x10FF || (code >= 0x2000 && code <= 0x200D) ||
+      (code >= 0x2010 && code <= 0x201F) || (code >= 0x2032 && code <= 0x2037);
+    length += single ? 1 : 2;
+  }
+  return length;
+}
+
+// Length of a post as the platform counts it
+function postLength(text, platform) {
+  if (platform && Object.hasOwn(PLATFORMS, platform) && PLATFORMS[platform].weighted) {
+    const urls = text.match(URL_PATTERN) || [];
+    return weightedLength(text.replace(URL_PATTERN, '')) + urls.length * 23;
+  }
+  return [...text].length;
+}
+
+// Post data for a product as /api/product returns it
+function postData(product, link, history) {
+  return {
+    title: product.title,
+    price: product.price || 'Check Amazon',
+    listPrice: product.listPrice || '',
+    discount: product.savingsPercent || '',
+    link: link,
+    history: history || null
+  };
+}
+
+function postFields(data, note) {
+  const history = data.history;
+  const lowest = history && history.isLowest && history.current && history.current.price === data.price;
+
+  return {
+    title: data.title || '',
+    price: data.price || '',
+    list: data.listPrice || '',
+    discount: data.discount ? `${data.discount}% off` : '',
+    link: data.link || '',
+    note: note || '',
+    disclosure: data.disclosure || POST_DISCLOSURE,
+    lowest: lowest ? history.lowest.price : '',
+    days: lowest ? String(history.days) : ''
+  };
+}
+
+function renderPost(text, fields) {
+  let post = renderTemplate(text, fields);
+
+  // Notes go at the end of templates that don't place them
+  if (fields.note && !/\{note\}/.test(text)) {
+    post += `\n\n${fields.note}`;
+  }
+
+  // Every post discloses the affiliate link (FTC / Amazon Associates)
+  if (!post.includes(fields.disclosure)) {
+    post += `\n\n${fields.disclosure}`;
+  }
+
+  return post;
+}
+
+// Render a post. template is a built-in name or a { text, variants } object
+// (lib/post-templates.js), where variants holds per-platform text. With a
+// platform whose limit the post exceeds, the title is shortened to fit.
+// Returns { post, platform, length, limit, truncated, fits }.
+function buildPost(data, template = 'detailed', options = {}) {
+  const definition = typeof template === 'string'
+    ? (Object.hasOwn(BUILTIN_TEMPLATES, template) ? BUILTIN_TEMPLATES[template] : BUILTIN_TEMPLATES.detailed)
+    : template;
+  const platform = typeof options.platform === 'string' && Object.hasOwn(PLATFORMS, options.platform) ? options.platform : null;
+  const variant = platform && definition.variants && Object.hasOwn(definition.variants, platform) ? definition.variants[platform] : null;
+  const text = (typeof variant === 'string' && variant) || definition.text;
+  const limit = platform ? PLATFORMS[platform].limit : null;
+  const fields = postFields(data, options.note);
+
+  let post = renderPost(text, fields);
+  let truncated = false;
+
+  if (limit) {
+    const title = [...fields.title];
+    let keep = title.length;
+    while (postLength(post, platform) > limit && keep > MIN_TITLE_LENGTH) {
+      keep = Math.max(MIN_TITLE_LENGTH, keep - (postLength(post, platform) - limit) - 1);
+      post = renderPost(text, { ...fields, title: `${title.slice(0, keep).join('').trimEnd()}…` });
+      truncated = true;
+    }
+  }
+
+  const length = postLength(post, platform);
+  return {
+    post: post,
+    platform: platform,
+    length: length,
+    limit: limit,
+    truncated: truncated,
+    fits: !limit || length <= limit
+  };
+}
+
+// Just the text, in one of the built-in templates
+function generatePost(data, template = 'detailed', customNote = '') {
+  return buildPost(data, template, { note: customNote }).post;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  POST_TEMPLATES,
+  PLATFORMS,
+  renderTemplate,
+  postLength,
+  postData,
+  buildPost,
+  generatePost
+};
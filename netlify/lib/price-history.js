@@ -0,0 +1,104 @@
+const { getStore } = require('./store');
+const { cacheKey } = require('./product-cache');
+const { parsePriceAmount } = require('./marketplaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('price-history');
+
+// Every live product fetch appends the price it saw to a per-ASIN history in
+// the "prices" store, so "lowest price" claims in posts have data behind them.
+// Points older than PRICE_HISTORY_RETENTION days are dropped.
+const PRICE_HISTORY_RETENTION = parseInt(process.env.PRICE_HISTORY_RETENTION, 10) || 365;
+
+// Default window for the lowest-price check, in days (PRICE_HISTORY_DAYS)
+const PRICE_HISTORY_DAYS = parseInt(process.env.PRICE_HISTORY_DAYS, 10) || 90;
+
+// A price is only called the lowest once we have been watching the product
+// for at least this many days; one fresh data point is always "the lowest".
+const PRICE_HISTORY_MIN_DAYS = parseInt(process.env.PRICE_HISTORY_MIN_DAYS, 10) || 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "$1,299.99" -> 1299.99, or null when there is no usable price
+function priceAmount(price) {
+  const amount = parseFloat(parsePriceAmount(price));
+  return amount > 0 ? amount : null;
+}
+
+// Append the product's current price. Products without a price (and
+// placeholders) are skipped. Never throws: a failed write must not cost the
+// visitor their page.
+async function recordPrice(product, options = {}) {
+  if (!product || product.source === 'placeholder') return null;
+
+  const amount = priceAmount(product.price);
+  if (amount === null) return null;
+
+  const store = options.store || getStore('prices');
+  const now = (options.now || Date.now)();
+  const key = cacheKey(product.asin, product.marketplace);
+  const point = { price: product.price, amount: amount, at: new Date(now).toISOString(), source: product.source || null };
+
+  try {
+    const history = await store.get(key) || { asin: product.asin.toUpperCase(), marketplace: product.marketplace, points: [] };
+    const cutoff = new Date(now - PRICE_HISTORY_RETENTION * DAY).toISOString();
+    history.points = history.points.filter(existing => existing.at >= cutoff);
+    history.points.push(point);
+    await store.set(key, history);
+  } catch (error) {
+    log.error('Price history write failed', { error: error });
+  }
+  return point;
+}
+
+// Price history over the last `days` days (PRICE_HISTORY_DAYS by default):
+// {
+//   asin, marketplace, days,
+//   points: [{ price, amount, at, source }],   oldest first
+//   current: { price, amount, at },            latest observation, or null
+//   lowest, highest,                           within the window
+//   trackedSince: "2024-05-01T...",            first observation we still hold
+//   isLowest: true                             current price is the window's low and
+//                                              we have tracked it for PRICE_HISTORY_MIN_DAYS
+// }
+async function getPriceHistory(asin, marketplace, options = {}) {
+  const store = options.store || getStore('prices');
+  const now = (options.now || Date.now)();
+  const days = Math.min(Math.max(parseInt(options.days, 10) || PRICE_HISTORY_DAYS, 1), PRICE_HISTORY_RETENTION);
+
+  const history = await store.get(cacheKey(asin, marketplace));
+  const all = history ? history.points : [];
+  const cutoff = new Date(now - days * DAY).toISOString();
+  const points = all.filter(point => point.at >= cutoff);
+
+  const summary = {
+    asin: asin.toUpperCase(),
+    marketplace: marketplace,
+    days: days,
+    points: points,
+    current: null,
+    lowest: null,
+    highest: null,
+    trackedSince: all.length > 0 ? all[0].at : null,
+    isLowest: false
+  };
+  if (points.length === 0) return summary;
+
+  const brief = point => ({ price: point.price, amount: point.amount, at: point.at });
+  summary.current = brief(points[points.length - 1]);
+  // Earliest occurrence of the low and the high
+  summary.lowest = brief(points.reduce((low, point) => (point.amount < low.amount ? point : low)));
+  summary.highest = brief(points.reduce((high, point) => (point.amount > high.amount ? point : high)));
+
+  const trackedDays = (now - Date.parse(summary.trackedSince)) / DAY;
+  summary.isLowest = summary.current.amount <= summary.lowest.amount && trackedDays >= PRICE_HISTORY_MIN_DAYS;
+  return summary;
+}
+
+module.exports = {
+  PRICE_HISTORY_DAYS,
+  PRICE_HISTORY_MIN_DAYS,
+  priceAmount,
+  recordPrice,
+  getPriceHistory
+};
@@ -0,0 +1,127 @@
+const { getStore } = require('./store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('product-cache');
+
+// Seconds a cached product is served without refreshing (PRODUCT_CACHE_TTL),
+// and how long past that it may still be served while a refresh runs
+// (PRODUCT_CACHE_STALE). Older entries are refetched before responding.
+const PRODUCT_CACHE_TTL = parseInt(process.env.PRODUCT_CACHE_TTL, 10) || 6 * 60 * 60;
+const PRODUCT_CACHE_STALE = parseInt(process.env.PRODUCT_CACHE_STALE, 10) || 7 * 24 * 60 * 60;
+
+// Refreshes currently running in this instance, so concurrent hits share one fetch
+const refreshing = new Map();
+
+function cacheKey(asin, marketplace) {
+  return `${marketplace}:${asin.toUpperCase()}`;
+}
+
+// The scraper's "Amazon blocked us" placeholder is not worth keeping
+function isCacheable(product) {
+  return !!product && product.title !== `Amazon Product ${product.asin}`;
+}
+
+async function refreshProduct(key, fetcher, store, now) {
+  if (refreshing.has(key)) {
+    return refreshing.get(key);
+  }
+
+  const pending = (async () => {
+    try {
+      const product = await fetcher();
+      if (isCacheable(product)) {
+        await store.set(key, { product: product, fetchedAt: now() });
+      }
+      return product;
+    } finally {
+      refreshing.delete(key);
+    }
+  })();
+
+  refreshing.set(key, pending);
+  return pending;
+}
+
+// Returns { product, status, age } where status is "hit", "stale", "miss" or
+// "expired" and age is the number of seconds since the product was fetched.
+//
+// Stale entries are returned straight away and refreshed in the background.
+// Lambda freezes the instance once the response is sent, so that refresh may
+// only finish on the instance's next invocation; the stale entry keeps being
+// served until then. If fetching fails, an entry past the stale window is
+// still returned ("expired") rather than nothing.
+async function getCachedProduct(asin, marketplace, fetcher, options = {}) {
+  const store = options.store || getStore('products');
+  const ttl = options.ttl ?? PRODUCT_CACHE_TTL;
+  const staleTtl = options.staleTtl ?? PRODUCT_CACHE_STALE;
+  const now = options.now || Date.now;
+  const key = cacheKey(asin, marketplace);
+
+  let entry = null;
+  try {
+    entry = await store.get(key);
+  } catch (error) {
+    log.error('Product cache read failed', { error: error });
+  }
+
+  if (entry) {
+    const age = Math.floor((now() - entry.fetchedAt) / 1000);
+
+    if (age < ttl) {
+      return { product: entry.product, status: 'hit', age: age };
+    }
+
+    if (age < ttl + staleTtl) {
+      refreshProduct(key, fetcher, store, now).catch(error => {
+        log.error('Background product refresh failed', { key: key, error: error });
+      });
+      return { product: entry.product, status: 'stale', age: age };
+    }
+  }
+
+  try {
+    const product = await refreshProduct(key, fetcher, store, now);
+    return { product: product, status: 'miss', age: 0 };
+  } catch (error) {
+    if (!entry) throw error;
+
+    log.warn('Product fetch failed, serving expired cache entry', { key: key, error: error });
+    return {
+      product: entry.product,
+      status: 'expired',
+      age: Math.floor((now() - entry.fetchedAt) / 1000)
+    };
+  }
+}
+
+// Raw cache entry with its age in seconds, or null
+async function getCacheEntry(asin, marketplace, options = {}) {
+  const store = options.store || getStore('products');
+  const now = options.now || Date.now;
+  const entry = await store.get(cacheKey(asin, marketplace));
+  if (!entry) return null;
+  return { ...entry, age: Math.floor((now() - entry.fetchedAt) / 1000) };
+}
+
+async function setCachedProduct(asin, marketplace, product, options = {}) {
+  if (!isCacheable(product)) return false;
+
+  const store = options.store || getStore('products');
+  const now = options.now || Date.now;
+  await store.set(cacheKey(asin, marketplace), { product: product, fetchedAt: now() });
+  return true;
+}
+
+async function invalidateProduct(asin, marketplace, options = {}) {
+  const store = options.store || getStore('products');
+  await store.delete(cacheKey(asin, marketplace));
+}
+
+module.exports = {
+  PRODUCT_CACHE_TTL,
+  cacheKey,
+  getCachedProduct,
+  getCacheEntry,
+  setCachedProduct,
+  invalidateProduct
+};
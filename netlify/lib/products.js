@@ -0,0 +1,191 @@
+const { BATCH_SIZE, hasCredentials, fetchAmazonProductAPI, fetchAmazonProductsAPI } = require('./paapi');
+const { fetchAmazonProductScrapingWithRetry } = require('./scraper');
+const {
+  PRODUCT_CACHE_TTL,
+  getCachedProduct,
+  getCacheEntry,
+  setCachedProduct
+} = require('./product-cache');
+const { isDeadError, productStatus, updateHealth } = require('./health');
+const { recordPrice } = require('./price-history');
+const { createLogger } = require('./logger');
+
+const log = createLogger('products');
+
+// Products a collection or cart page view may fetch live (PAGE_LIVE_FETCHES):
+// one GetItems call with PA-API, a couple of scraped pages without. The rest
+// are shown from older cache entries, or without data, and fetched on later
+// views, so a cold cache can't hold one request up for a minute.
+const PAGE_LIVE_FETCHES = parseInt(process.env.PAGE_LIVE_FETCHES, 10) || (hasCredentials() ? BATCH_SIZE : 2);
+
+function labelScraped(product) {
+  const placeholder = product.title === `Amazon Product ${product.asin}`;
+  return { ...product, source: placeholder ? 'placeholder' : 'scrape' };
+}
+
+// Wraps a live fetcher so every answer from Amazon updates the product's
+// health (lib/health.js) and price history (lib/price-history.js).
+// Placeholders say nothing either way. Returns the wrapped fetcher;
+// observed.status is set once it has run.
+function observeLive(asin, marketplace, fetcher, observed = {}) {
+  return async () => {
+    try {
+      const product = await fetcher();
+      if (product.source !== 'placeholder') {
+        observed.status = productStatus(product);
+        await updateHealth(asin, marketplace, observed.status, product.availability);
+        await recordPrice(product);
+      }
+      return product;
+    } catch (error) {
+      if (isDeadError(error)) {
+        observed.status = 'dead';
+        await updateHealth(asin, marketplace, 'dead', error.message);
+      }
+      throw error;
+    }
+  };
+}
+
+// Product data pipeline, best source first:
+//   1. the product cache while the entry is fresh (or stale and refreshing)
+//   2. PA-API 5.0 when ACCESS_KEY/SECRET_KEY are configured, otherwise the scraper
+//   3. the last cached copy however old, if the live source fails
+//   4. the scraper, if PA-API failed and nothing was cached
+//   5. nothing at all: the caller renders the fallback page
+//
+// Returns { product, source, cache, age, degraded, health }. source is
+// "paapi", "scrape", "placeholder" (the scraper was blocked) or "none";
+// anything that is not fresh PA-API data is flagged as degraded. health is the
+// status Amazon reported if this call fetched live ("ok", "unavailable",
+// "dead"), otherwise null.
+async function getProduct(asin, marketplace, options = {}) {
+  const usePAAPI = options.paapi ?? hasCredentials();
+  const observed = { status: null };
+  const live = observeLive(asin, marketplace, usePAAPI
+    ? () => fetchAmazonProductAPI(asin, marketplace, options.paapiOptions)
+    : async () => labelScraped(await fetchAmazonProductScrapingWithRetry(asin, marketplace)), observed);
+
+  try {
+    const cached = await getCachedProduct(asin, marketplace, live, options.cacheOptions);
+    const source = cached.product.source || 'scrape';
+    return {
+      product: cached.product,
+      source: source,
+      cache: cached.status,
+      age: cached.age,
+      degraded: source !== 'paapi' || cached.status === 'expired',
+      health: observed.status
+    };
+  } catch (error) {
+    log.error(`${usePAAPI ? 'PA-API' : 'Scraping'} failed`, { asin: asin, marketplace: marketplace, error: error });
+  }
+
+  if (usePAAPI && observed.status !== 'dead') {
+    try {
+      // Not cached: the next request should try PA-API again
+      const product = await observeLive(asin, marketplace,
+        async () => labelScraped(await fetchAmazonProductScrapingWithRetry(asin, marketplace)), observed)();
+      return { product: product, source: product.source, cache: 'bypass', age: 0, degraded: true, health: observed.status };
+    } catch (error) {
+      log.error('Scraping fallback failed', { asin: asin, marketplace: marketplace, error: error });
+    }
+  }
+
+  return { product: null, source: 'none', cache: 'bypass', age: 0, degraded: true, health: observed.status };
+}
+
+// Batched getProduct for many ASINs in one marketplace. Fresh cache entries
+// are used as-is (unless options.force); everything else is fetched with
+// batched GetItems calls, or one by one through getProduct without PA-API.
+// options.liveLimit caps how many are fetched: ASINs never cached go first,
+// the others past the limit get their old entry as an "expired" result.
+// Returns an object of getProduct-style results keyed by ASIN; failed ASINs
+// also carry an `error` message.
+async function getProducts(asins, marketplace, options = {}) {
+  const usePAAPI = options.paapi ?? hasCredentials();
+  const cacheOptions = options.cacheOptions || {};
+  const ttl = cacheOptions.ttl ?? PRODUCT_CACHE_TTL;
+  const unique = [...new Set(asins.map(asin => asin.toUpperCase()))];
+  const results = {};
+  const entries = {};
+  const pending = [];
+
+  for (const asin of unique) {
+    let entry = null;
+    try {
+      entry = await getCacheEntry(asin, marketplace, cacheOptions);
+    } catch (error) {
+      log.error('Product cache read failed', { error: error });
+    }
+
+    if (entry && entry.age < ttl && !options.force) {
+      const source = entry.product.source || 'scrape';
+      results[asin] = { product: entry.product, source: source, cache: 'hit', age: entry.age, degraded: source !== 'paapi' };
+    } else {
+      entries[asin] = entry;
+      pending.push(asin);
+    }
+  }
+
+  if (options.liveLimit > 0 && pending.length > options.liveLimit) {
+    pending.sort((a, b) => (entries[a] ? 1 : 0) - (entries[b] ? 1 : 0));
+    for (const asin of pending.splice(options.liveLimit)) {
+      results[asin] = expiredResult(entries[asin], 'Not fetched, over the live fetch limit');
+    }
+  }
+
+  if (pending.length === 0) return results;
+
+  if (!usePAAPI) {
+    for (const asin of pending) {
+      const observed = { status: null };
+      try {
+        const product = await observeLive(asin, marketplace,
+          async () => labelScraped(await fetchAmazonProductScrapingWithRetry(asin, marketplace)), observed)();
+        const cached = await setCachedProduct(asin, marketplace, product, cacheOptions);
+        results[asin] = { product: product, source: product.source, cache: cached ? 'miss' : 'bypass', age: 0, degraded: true, health: observed.status };
+        if (!cached) results[asin].error = 'Scraper was blocked';
+      } catch (error) {
+        results[asin] = { ...expiredResult(entries[asin], error.message), health: observed.status };
+      }
+    }
+    return results;
+  }
+
+  const { products, errors } = await fetchAmazonProductsAPI(pending, marketplace, options.paapiOptions);
+
+  for (const asin of pending) {
+    if (products[asin]) {
+      const status = productStatus(products[asin]);
+      await setCachedProduct(asin, marketplace, products[asin], cacheOptions);
+      await updateHealth(asin, marketplace, status, products[asin].availability);
+      await recordPrice(products[asin]);
+      results[asin] = { product: products[asin], source: 'paapi', cache: 'miss', age: 0, degraded: false, health: status };
+    } else {
+      const error = errors[asin];
+      const dead = isDeadError(error);
+      if (dead) await updateHealth(asin, marketplace, 'dead', error.message);
+      results[asin] = {
+        ...expiredResult(entries[asin], error ? `${error.code}: ${error.message}` : 'Unknown error'),
+        health: dead ? 'dead' : null
+      };
+    }
+  }
+
+  return results;
+}
+
+// Result for an ASIN that could not be fetched: the old cache entry if any
+function expiredResult(entry, error) {
+  if (entry) {
+    return { product: entry.product, source: entry.product.source || 'scrape', cache: 'expired', age: entry.age, degraded: true, error: error };
+  }
+  return { product: null, source: 'none', cache: 'bypass', age: 0, degraded: true, error: error };
+}
+
+module.exports = {
+  PAGE_LIVE_FETCHES,
+  getProduct,
+  getProducts
+};
@@ -0,0 +1,61 @@
+const { localizeDestination } = require('./geo');
+const { getCacheEntry } = require('./product-cache');
+const { createLogger } = require('./logger');
+
+const log = createLogger('redirect');
+
+// How human visitors reach Amazon:
+//   interstitial  preview page with the countdown (default)
+//   instant       server-side 302 straight to Amazon; preview bots still get the page
+//   manual        preview page without auto-redirect, the visitor clicks through
+// Set globally with REDIRECT_MODE, per theme with "redirectMode" (see
+// lib/templates.js), per saved link (lib/links.js) or per request with ?mode=.
+const REDIRECT_MODES = ['interstitial', 'instant', 'manual'];
+const REDIRECT_MODE = REDIRECT_MODES.includes(process.env.REDIRECT_MODE) ? process.env.REDIRECT_MODE : 'interstitial';
+
+// Mode for a request: ?mode=, then the link's own mode, the theme's, REDIRECT_MODE
+function getRedirectMode(event, settings = {}, linkMode = null) {
+  const requested = event.queryStringParameters?.mode;
+  if (REDIRECT_MODES.includes(requested)) return requested;
+  if (REDIRECT_MODES.includes(linkMode)) return linkMode;
+  if (REDIRECT_MODES.includes(settings.redirectMode)) return settings.redirectMode;
+  return REDIRECT_MODE;
+}
+
+// Affiliate URL for an instant redirect. Only the product cache is consulted
+// (for the local-store search keywords) so the redirect never waits on Amazon.
+async function instantDestination({ asin, marketplace, partnerTags }, country) {
+  let keywords = asin;
+  try {
+    const entry = await getCacheEntry(asin, marketplace);
+    if (entry && entry.product.title) keywords = entry.product.title;
+  } catch (error) {
+    log.error('Product cache read failed', { error: error });
+  }
+
+  return localizeDestination(
+    { asin: asin, marketplace: marketplace, country: country, keywords: keywords },
+    { partnerTags: partnerTags }
+  ).url;
+}
+
+// Depends on the visitor (bots get the page at the same URL), so it must
+// never be stored by the CDN
+function redirectResponse(location) {
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': location,
+      'Cache-Control': 'private, no-store'
+    },
+    body: ''
+  };
+}
+
+module.exports = {
+  REDIRECT_MODES,
+  REDIRECT_MODE,
+  getRedirectMode,
+  instantDestination,
+  redirectResponse
+};
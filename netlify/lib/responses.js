@@ -0,0 +1,39 @@
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode: statusCode,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...headers
+    },
+    body: JSON.stringify(body, null, 2)
+  };
+}
+
+// Parsed JSON request body, or null when it is missing or malformed
+function parseJSONBody(event) {
+  if (!event.body) return null;
+
+  try {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Percent-decoded path segment, or null when its encoding is malformed
+// (a stray "%" or a truncated UTF-8 sequence would throw a URIError)
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  jsonResponse,
+  parseJSONBody,
+  decodePathSegment
+};
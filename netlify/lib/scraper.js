@@ -0,0 +1,262 @@
+const { request: defaultRequest } = require('./http');
+const { getMarketplace, isPriceText, computeSavingsPercent } = require('./marketplaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scraper');
+
+// Product pages run to a couple of megabytes; anything far past that isn't one
+const MAX_PAGE_BYTES = 8 * 1024 * 1024;
+
+// Wrapper function with retry logic
+async function fetchAmazonProductScrapingWithRetry(asin, marketplace, options = {}) {
+  // First attempt
+  let result = await fetchAmazonProductScraping(asin, marketplace, options);
+  
+  // If we got a generic result, try ONE more time
+  if (result.title === `Amazon Product ${asin}` || !result.image) {
+    log.info('First scrape failed, retrying after a delay', { asin: asin });
+    
+    // Wait 1 second before retry
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    
+    // Second attempt
+    result = await fetchAmazonProductScraping(asin, marketplace, options);
+  }
+  
+  return result;
+}
+
+// Helper function to force high-res images
+function forceHighResImage(imageUrl) {
+  if (!imageUrl) return null;
+  
+  const imageIdMatch = imageUrl.match(/\/images\/I\/([A-Z0-9+]+)\./i);
+  
+  if (imageIdMatch) {
+    const imageId = imageIdMatch[1];
+    return `https://m.media-amazon.com/images/I/${imageId}._AC_SL1500_.jpg`;
+  }
+  
+  if (imageUrl.includes('/images/P/')) {
+    return imageUrl
+      .replace(/\._[A-Z0-9,_]*\./g, '._SL1500_.')
+      .replace(/\.jpg.*$/, '.jpg');
+  }
+  
+  return imageUrl;
+}
+
+// IMPROVED Fallback scraping function with high-res image forcing.
+// options.request replaces the HTTP client (lib/http.js), e.g. with a stub.
+async function fetchAmazonProductScraping(asin, marketplaceCode, options = {}) {
+  const { parse } = require('node-html-parser');
+  const request = options.request || defaultRequest;
+  const marketplace = getMarketplace(marketplaceCode);
+  
+  const userAgents = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  ];
+  
+  const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
+  
+  let res;
+  try {
+    res = await request(`https://${marketplace.domain}/dp/${asin}`, {
+      headers: {
+        'User-Agent': randomUserAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': `${marketplace.language},${marketplace.language.split('-')[0]};q=0.9`,
+        'Connection': 'keep-alive'
+      },
+      timeout: 12000,
+      maxBytes: MAX_PAGE_BYTES
+    });
+  } catch (error) {
+    log.error('Product page request failed', { asin: asin, error: error });
+    throw error;
+  }
+
+  // No product page at all: the ASIN is gone (see lib/health.js)
+  if (res.statusCode === 404) {
+    const error = new Error(`Amazon has no product page for ${asin}`);
+    error.code = 'ItemNotFound';
+    throw error;
+  }
+
+  const data = res.body;
+  try {
+    if (data.includes('Robot Check') || data.length < 1000) {
+      log.warn('Amazon blocked the scraper, using the placeholder', { asin: asin });
+      
+      return {
+        title: `Amazon Product ${asin}`,
+        image: `https://m.media-amazon.com/images/I/${asin}._AC_SL1500_.jpg`,
+        price: '',
+        asin: asin,
+        marketplace: marketplace.code
+      };
+    }
+    
+    const root = parse(data);
+    let title = '';
+    let image = '';
+    let price = '';
+    
+    // Extract title
+    const titleSelectors = ['#productTitle', 'h1.a-size-large', 'span#productTitle'];
+    for (const selector of titleSelectors) {
+      const element = root.querySelector(selector);
+      if (element && element.text.trim()) {
+        title = element.text.trim()
+          .replace(/\s+/g, ' ')
+          .replace(/\s*[-:|]\s*Amazon\.[a-z.]+$/i, '')
+          .trim();
+        if (title.length > 10) break;
+      }
+    }
+    
+    // Extract ANY image URL - we'll fix it with forceHighResImage
+    const imageSelectors = [
+      '#landingImage',
+      'img[data-old-hires]',
+      '.a-dynamic-image',
+      'img[data-a-dynamic-image]',
+      'img[src*="images-na.ssl-images-amazon"]',
+      'img[src*="m.media-amazon"]'
+    ];
+    
+    for (const selector of imageSelectors) {
+      const element = root.querySelector(selector);
+      if (element) {
+        let rawImage = element.getAttribute('data-old-hires') || 
+                      element.getAttribute('src') ||
+                      element.getAttribute('data-a-dynamic-image');
+        
+        if (rawImage) {
+          // Handle JSON format
+          if (rawImage.startsWith('{')) {
+            try {
+              const imageData = JSON.parse(rawImage);
+              const imageUrls = Object.keys(imageData);
+              rawImage = imageUrls[0];
+            } catch (e) {
+              const match = rawImage.match(/"([^"]*\.(?:jpg|jpeg)[^"]*)"/i);
+              if (match) rawImage = match[1];
+            }
+          }
+          
+          // FORCE HIGH-RES using image ID
+          if (rawImage && rawImage.includes('amazon')) {
+            image = forceHighResImage(rawImage);
+            log.debug('Forced high-res image', { image: image });
+            break;
+          }
+        }
+      }
+    }
+    
+    // If still no image, use ASIN-based fallback
+    if (!image) {
+      image = `https://m.media-amazon.com/images/I/${asin}._AC_SL1500_.jpg`;
+    }
+    
+    // Extract price
+    const priceSelectors = [
+      '.a-price .a-offscreen',
+      '.a-price-whole',
+      '#priceblock_ourprice'
+    ];
+    
+    for (const selector of priceSelectors) {
+      const element = root.querySelector(selector);
+      if (element && isPriceText(element.text, marketplace.code)) {
+        price = element.text.trim();
+        break;
+      }
+    }
+    
+    // Extract list price (the struck-through "List Price" / "Typical price")
+    let listPrice = '';
+    const listPriceSelectors = [
+      '.basisPrice .a-offscreen',
+      '.a-price.a-text-price[data-a-strike="true"] .a-offscreen',
+      '.a-price.a-text-price .a-offscreen',
+      '#listPrice',
+      '.priceBlockStrikePriceString'
+    ];
+    
+    for (const selector of listPriceSelectors) {
+      const element = root.querySelector(selector);
+      if (element && isPriceText(element.text, marketplace.code) && element.text.trim() !== price) {
+        listPrice = element.text.trim();
+        break;
+      }
+    }
+    
+    // Extract savings percentage ("-23%")
+    let savingsPercent = null;
+    const savingsElement = root.querySelector('.savingsPercentage');
+    const savingsMatch = savingsElement && savingsElement.text.match(/(\d+)\s*%/);
+    if (savingsMatch) {
+      savingsPercent = parseInt(savingsMatch[1], 10);
+    } else {
+      savingsPercent = computeSavingsPercent(price, listPrice);
+    }
+    
+    // Extract star rating ("4.6 out of 5 stars", "4,6 von 5 Sternen")
+    let rating = null;
+    const ratingElement = root.querySelector('#acrPopover');
+    const ratingAlt = root.querySelector('i.a-icon-star span.a-icon-alt, i.a-icon-star-small span.a-icon-alt');
+    const ratingText = (ratingElement && ratingElement.getAttribute('title')) || (ratingAlt && ratingAlt.text) || '';
+    const ratingMatch = ratingText.match(/(\d(?:[.,]\d)?)/);
+    if (ratingMatch) {
+      rating = parseFloat(ratingMatch[1].replace(',', '.'));
+    }
+    
+    // Extract review count ("12,345 ratings")
+    let reviewCount = null;
+    const reviewElement = root.querySelector('#acrCustomerReviewText');
+    if (reviewElement && /\d/.test(reviewElement.text)) {
+      reviewCount = parseInt(reviewElement.text.replace(/[^\d]/g, ''), 10);
+    }
+    
+    // Extract availability ("In Stock", "Currently unavailable.")
+    const availabilityElement = root.querySelector('#availability span') || root.querySelector('#availability');
+    const availability = availabilityElement ? availabilityElement.text.replace(/\s+/g, ' ').trim() : '';
+    
+    // Prime badge anywhere in the buy box
+    const isPrime = !!root.querySelector('#prime-badge, #primeBadge, i.a-icon-prime');
+    
+    return {
+      title: title || `Amazon Product ${asin}`,
+      image: image,
+      price: price,
+      listPrice: listPrice,
+      savings: '',
+      savingsPercent: savingsPercent,
+      availability: availability,
+      isPrime: isPrime,
+      rating: rating,
+      reviewCount: reviewCount,
+      asin: asin,
+      marketplace: marketplace.code
+    };
+    
+  } catch (parseError) {
+    log.error('Could not parse the product page', { asin: asin, error: parseError });
+    return {
+      title: `Amazon Product ${asin}`,
+      image: `https://m.media-amazon.com/images/I/${asin}._AC_SL1500_.jpg`,
+      price: '',
+      asin: asin,
+      marketplace: marketplace.code
+    };
+  }
+}
+
+module.exports = {
+  fetchAmazonProductScraping,
+  fetchAmazonProductScrapingWithRetry,
+  forceHighResImage
+};
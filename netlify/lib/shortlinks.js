@@ -0,0 +1,106 @@
+const { request: defaultRequest } = require('./http');
+const { getStore } = require('./store');
+const { extractASINFromURL, extractMarketplaceFromURL } = require('./amazon-url');
+const { createLogger } = require('./logger');
+
+const log = createLogger('shortlinks');
+
+const SHORT_LINK_HOSTS = ['amzn.to', 'a.co', 'amzn.eu', 'amzn.asia'];
+const DEFAULT_MAX_HOPS = parseInt(process.env.SHORTLINK_MAX_HOPS, 10) || 5;
+
+function parseURL(url) {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+function isShortLink(url) {
+  const parsed = parseURL(url);
+  return !!parsed && SHORT_LINK_HOSTS.includes(parsed.hostname.toLowerCase());
+}
+
+// Store key for a short link: host + path, without scheme, query or trailing slash
+function shortLinkKey(url) {
+  const parsed = parseURL(url);
+  return `${parsed.hostname.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+}
+
+// Follow a short link's redirects until a Location header yields an ASIN.
+// Resolved links are saved to the `shortlinks` store, so each one only costs
+// network hops the first time it is seen. Returns the stored record
+// ({ asin, url, resolvedAt }) or null.
+async function resolveShortLink(url, options = {}) {
+  const request = options.request || defaultRequest;
+  const maxHops = options.maxHops ?? DEFAULT_MAX_HOPS;
+  const store = options.store || getStore('shortlinks');
+  const key = shortLinkKey(url);
+
+  const known = await store.get(key);
+  if (known && known.asin) {
+    return known;
+  }
+
+  let current = parseURL(url).href;
+
+  for (let hop = 0; hop < maxHops; hop++) {
+    const response = await request(current, {
+      method: 'GET',
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LinkResolver/1.0)' },
+      timeout: 5000
+    });
+
+    const location = response.headers && response.headers.location;
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+      break;
+    }
+
+    current = new URL(location, current).href;
+
+    const asin = extractASINFromURL(current);
+    if (asin) {
+      log.info('Resolved short link', { link: key, asin: asin, hops: hop + 1 });
+      const record = {
+        asin: asin,
+        url: current,
+        resolvedAt: new Date().toISOString()
+      };
+      await store.set(key, record);
+      return record;
+    }
+  }
+
+  log.warn('Could not resolve short link', { link: key });
+  return null;
+}
+
+// Find the ASIN and marketplace a pasted Amazon URL points at. Returns
+// { asin, marketplace }, with nulls for anything that can't be worked out.
+async function resolveProductFromURL(url, options = {}) {
+  // amzn.to / a.co links have to be followed to find the product
+  if (isShortLink(url)) {
+    try {
+      const resolved = await resolveShortLink(url, options);
+      return resolved
+        ? { asin: resolved.asin, marketplace: extractMarketplaceFromURL(resolved.url) }
+        : { asin: null, marketplace: null };
+    } catch (error) {
+      log.error('Short link resolution failed', { error: error });
+      return { asin: null, marketplace: null };
+    }
+  }
+
+  return {
+    asin: extractASINFromURL(url),
+    marketplace: extractMarketplaceFromURL(url)
+  };
+}
+
+module.exports = {
+  SHORT_LINK_HOSTS,
+  isShortLink,
+  shortLinkKey,
+  resolveShortLink,
+  resolveProductFromURL
+};
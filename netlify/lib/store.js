@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+// Key/value storage for anything that has to survive a cold start.
+// Values are plain JSON. On Netlify we use Blobs; locally a directory of JSON
+// files (STORE_DIR) or, failing that, an in-memory map. Scripts run outside
+// Netlify reach the site's Blobs with NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN.
+const stores = new Map();
+
+function createMemoryStore() {
+  const data = new Map();
+
+  return {
+    async get(key) {
+      return data.has(key) ? JSON.parse(data.get(key)) : null;
+    },
+    async set(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list(prefix = '') {
+      return [...data.keys()].filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+function createFileStore(dir) {
+  // Keys may contain slashes or colons, so encode them into safe file names
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, value) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify(value));
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+    async list(prefix = '') {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -5)))
+        .filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+function createBlobStore(name) {
+  const { getStore: getBlobStore } = require('@netlify/blobs');
+  const blobs = process.env.NETLIFY_SITE_ID && process.env.NETLIFY_AUTH_TOKEN
+    ? getBlobStore({ name: name, siteID: process.env.NETLIFY_SITE_ID, token: process.env.NETLIFY_AUTH_TOKEN })
+    : getBlobStore(name);
+
+  return {
+    async get(key) {
+      return (await blobs.get(key, { type: 'json' })) ?? null;
+    },
+    async set(key, value) {
+      await blobs.setJSON(key, value);
+    },
+    async delete(key) {
+      await blobs.delete(key);
+    },
+    async list(prefix = '') {
+      const { blobs: entries } = await blobs.list({ prefix });
+      return entries.map(entry => entry.key);
+    }
+  };
+}
+
+function selectBackend() {
+  if (process.env.STORE_BACKEND) return process.env.STORE_BACKEND;
+  if (process.env.NETLIFY_BLOBS_CONTEXT || globalThis.netlifyBlobsContext) return 'blobs';
+  if (process.env.NETLIFY_SITE_ID && process.env.NETLIFY_AUTH_TOKEN) return 'blobs';
+  if (process.env.STORE_DIR) return 'file';
+  return 'memory';
+}
+
+// Returns the named store, creating it with the configured backend on first use
+function getStore(name) {
+  if (!stores.has(name)) {
+    const backend = selectBackend();
+    let store;
+
+    if (backend === 'blobs') {
+      store = createBlobStore(name);
+    } else if (backend === 'file') {
+      store = createFileStore(path.join(process.env.STORE_DIR || '.data', name));
+    } else {
+      store = createMemoryStore();
+    }
+
+    stores.set(name, store);
+  }
+
+  return stores.get(name);
+}
+
+// Replace a named store, e.g. with a memory store in tests
+function setStore(name, store) {
+  stores.set(name, store);
+}
+
+// Lambda-compatible handlers have to hand the Blobs context over explicitly
+function connectStores(event) {
+  if (event && event.blobs) {
+    require('@netlify/blobs').connectLambda(event);
+  }
+}
+
+module.exports = {
+  getStore,
+  setStore,
+  connectStores,
+  createMemoryStore,
+  createFileStore,
+  createBlobStore
+};
@@ -0,0 +1,89 @@
+const { parseMap } = require('./config');
+const { BRANDING, normalizeBranding } = require('./disclosure');
+const TEMPLATES = require('../templates');
+const { createLogger } = require('./logger');
+
+const log = createLogger('templates');
+
+// Named themes, each a template plus settings that override the template's
+// defaults (see templates/default.js) and the site-wide branding
+// (siteName, disclosure, disclosurePlacement; see lib/disclosure.js):
+//   THEMES='{"deals": {"template": "default", "countdown": 0, "analyticsId": "G-XXXX",
+//            "vars": {"brand-cyan": "#E91E63"}, "brand": {"name": "DEALS", "url": "https://deals.example"}}}'
+// A theme is chosen per request (?theme=deals) or saved link (lib/links.js),
+// else by the host the link was opened on (DOMAIN_THEMES='deals.example:deals'),
+// else DEFAULT_THEME.
+const THEMES = parseMap(process.env.THEMES);
+const DOMAIN_THEMES = parseMap(process.env.DOMAIN_THEMES);
+const DEFAULT_THEME = process.env.DEFAULT_THEME || 'default';
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Theme settings win over template defaults; nested objects (vars, brand,
+// footer) are merged key by key so a theme can change a single colour.
+function mergeSettings(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key])
+      ? { ...defaults[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+// Theme name for a request: explicit name, then the host's theme, then the default
+function selectTheme({ name, host } = {}, options = {}) {
+  const themes = options.themes || THEMES;
+  const domainThemes = options.domainThemes || DOMAIN_THEMES;
+
+  if (name && (Object.hasOwn(themes, name) || Object.hasOwn(TEMPLATES, name))) return name;
+
+  const hostname = (host || '').toLowerCase().split(':')[0];
+  if (Object.hasOwn(domainThemes, hostname)) return domainThemes[hostname];
+
+  return options.defaultTheme || DEFAULT_THEME;
+}
+
+// Returns { name, template, settings } for a theme name. A template name works
+// as a theme with no overrides; unknown names (including "constructor" and
+// other Object.prototype keys) get the default theme.
+function getTheme(requested, options = {}) {
+  const themes = options.themes || THEMES;
+  const known = Object.hasOwn(themes, requested) || Object.hasOwn(TEMPLATES, requested);
+  const name = known ? requested : 'default';
+  const theme = (Object.hasOwn(themes, name) && themes[name]) || {};
+  const templateName = theme.template || (Object.hasOwn(TEMPLATES, name) ? name : 'default');
+  let template = Object.hasOwn(TEMPLATES, templateName) ? TEMPLATES[templateName] : null;
+
+  if (!template) {
+    log.warn('Unknown page template', { template: templateName, theme: name });
+    template = TEMPLATES.default;
+  }
+
+  const overrides = { ...theme };
+  delete overrides.template;
+
+  return {
+    name: name,
+    template: template,
+    settings: normalizeBranding(mergeSettings({ ...template.defaults, ...BRANDING }, overrides))
+  };
+}
+
+// Theme for an incoming request (?theme=, options.theme from a saved link, or
+// the Host header)
+function themeForRequest(event, options = {}) {
+  const headers = event.headers || {};
+  return getTheme(selectTheme({
+    name: event.queryStringParameters?.theme || options.theme,
+    host: headers['x-forwarded-host'] || headers.host || headers.Host
+  }, options), options);
+}
+
+module.exports = {
+  selectTheme,
+  getTheme,
+  themeForRequest
+};
@@ -0,0 +1,83 @@
+const { parseProductPath } = require('./amazon-url');
+const { resolveProductFromURL } = require('./shortlinks');
+const { getMarketplace } = require('./marketplaces');
+const { getProducts } = require('./products');
+const { createLogger } = require('./logger');
+
+const log = createLogger('warm');
+
+// Links or bare ASINs in a pasted post: Amazon URLs, amzn.to/a.co short links,
+// our own go.onelastlink.com/ASIN links and ASINs on their own
+const LINK_PATTERN = /(?:https?:\/\/)?(?:[a-z0-9-]+\.)*(?:amazon\.[a-z.]+|amzn\.to|amzn\.eu|amzn\.asia|a\.co|onelastlink\.com)\/[^\s"'<>)\]]*/gi;
+const BARE_ASIN_PATTERN = /\b(B0[A-Z0-9]{8})\b/g;
+
+// Find every product referenced in free text. Returns [{ asin, marketplace }]
+// without duplicates; short links are resolved along the way.
+async function collectProductsFromText(text, options = {}) {
+  const found = [];
+  const links = text.match(LINK_PATTERN) || [];
+
+  for (const link of links) {
+    // Our own links carry the marketplace as an optional path prefix (/uk/B0...)
+    const item = /onelastlink\.com/i.test(link)
+      ? parseProductPath(new URL(/^https?:\/\//i.test(link) ? link : `https://${link}`).pathname)
+      : await resolveProductFromURL(link, options);
+
+    if (item.asin) found.push(item);
+  }
+
+  // Bare ASINs outside of links
+  const withoutLinks = text.replace(LINK_PATTERN, ' ');
+  for (const match of withoutLinks.matchAll(BARE_ASIN_PATTERN)) {
+    found.push({ asin: match[1], marketplace: null });
+  }
+
+  const seen = new Set();
+  return found
+    .map(item => ({ asin: item.asin.toUpperCase(), marketplace: getMarketplace(item.marketplace).code }))
+    .filter(item => {
+      const key = `${item.marketplace}:${item.asin}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Fill the product cache for a list of { asin, marketplace } items. Fresh
+// entries are skipped unless options.force. Returns
+// { warmed, skipped, failed }, each a list of { asin, marketplace, ... }.
+async function warmProducts(items, options = {}) {
+  const byMarketplace = {};
+  for (const item of items) {
+    const marketplace = getMarketplace(item.marketplace).code;
+    (byMarketplace[marketplace] = byMarketplace[marketplace] || []).push(item.asin);
+  }
+
+  const summary = { warmed: [], skipped: [], failed: [] };
+
+  for (const [marketplace, asins] of Object.entries(byMarketplace)) {
+    const results = await getProducts(asins, marketplace, options);
+
+    for (const [asin, result] of Object.entries(results)) {
+      if (result.error) {
+        summary.failed.push({ asin: asin, marketplace: marketplace, error: result.error });
+      } else if (result.cache === 'hit') {
+        summary.skipped.push({ asin: asin, marketplace: marketplace, age: result.age });
+      } else {
+        summary.warmed.push({ asin: asin, marketplace: marketplace, title: result.product.title, source: result.source });
+      }
+    }
+  }
+
+  log.info('Cache warm finished', {
+    warmed: summary.warmed.length,
+    skipped: summary.skipped.length,
+    failed: summary.failed.length
+  });
+  return summary;
+}
+
+module.exports = {
+  collectProductsFromText,
+  warmProducts
+};
@@ -0,0 +1,245 @@
+const { isASIN } = require('./amazon-url');
+const { LINK_BASE, getMarketplace, isMarketplaceCode, buildAffiliateURL, linkPath } = require('./marketplaces');
+const { getStore } = require('./store');
+const { cacheKey } = require('./product-cache');
+const { getProducts } = require('./products');
+const { BATCH_SIZE, BATCH_INTERVAL, hasCredentials } = require('./paapi');
+const { priceAmount, getPriceHistory } = require('./price-history');
+const { POST_TEMPLATES, generatePost, postData } = require('./posts');
+const { notify } = require('./notifiers');
+const { createLogger } = require('./logger');
+
+const log = createLogger('watchlist');
+
+// Products the editors want to hear about once they get cheap enough, kept in
+// the "watchlist" store under "<marketplace>:<ASIN>":
+//   { asin, marketplace, targetPrice, note, template, createdBy, createdAt,
+//     updatedAt, lastPrice, lastCheckedAt, alerted }
+// targetPrice is an amount in the marketplace's currency (19.99). alerted is
+// the { price, amount, at } last alerted on: a product is alerted once when it
+// reaches the target and again only if it drops further, or after it has
+// gone back above the target. lastCheckedAt is the last check, whether or not
+// it found a price. template picks the post text sent along (lib/posts.js).
+// Managed through /admin/api/watchlist or scripts/watchlist.js; checked by the
+// scheduled deal-alerts function.
+
+// Watches checked per run, least recently checked first, and the seconds a
+// run may spend fetching them, as for the link health check: PA-API fetches
+// 10 products per call, the scraper one page at a time. No fetch starts once
+// the budget is spent; the watches left over go first on the next run.
+const WATCHLIST_CHECK_LIMIT = parseInt(process.env.WATCHLIST_CHECK_LIMIT, 10) || (hasCredentials() ? 100 : 10);
+const WATCHLIST_CHECK_BUDGET = parseInt(process.env.WATCHLIST_CHECK_BUDGET, 10) || 15;
+
+// Notes go out with every alert and into its posts
+const MAX_NOTE_LENGTH = 500;
+
+// Watch entry from user input, or { error }
+function validateWatch(input) {
+  const asin = String(input.asin || '').toUpperCase();
+  if (!isASIN(asin)) {
+    return { error: 'A valid ASIN is required' };
+  }
+  if (input.marketplace && !isMarketplaceCode(input.marketplace)) {
+    return { error: `Unknown marketplace: ${input.marketplace}` };
+  }
+
+  const targetPrice = typeof input.targetPrice === 'number' ? input.targetPrice : priceAmount(String(input.targetPrice || ''));
+  if (!(targetPrice > 0)) {
+    return { error: 'targetPrice must be a positive amount' };
+  }
+  if (input.note && (typeof input.note !== 'string' || input.note.length > MAX_NOTE_LENGTH)) {
+    return { error: `Notes are text of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  if (input.template && !POST_TEMPLATES.includes(input.template)) {
+    return { error: `Template must be one of: ${POST_TEMPLATES.join(', ')}` };
+  }
+
+  return {
+    watch: {
+      asin: asin,
+      marketplace: getMarketplace(input.marketplace).code,
+      targetPrice: targetPrice,
+      note: input.note || null,
+      template: input.template || 'steal'
+    }
+  };
+}
+
+async function getWatch(asin, marketplace, options = {}) {
+  if (!isASIN(asin)) return null;
+
+  const store = options.store || getStore('watchlist');
+  return store.get(cacheKey(asin, getMarketplace(marketplace).code));
+}
+
+// Add a product or change its target. Throws on invalid input. Changing the
+// target re-arms the alert.
+async function saveWatch(input, options = {}) {
+  const { watch, error } = validateWatch(input);
+  if (error) throw new Error(error);
+
+  const store = options.store || getStore('watchlist');
+  const now = new Date((options.now || Date.now)()).toISOString();
+  const key = cacheKey(watch.asin, watch.marketplace);
+  const existing = await store.get(key);
+
+  const record = {
+    ...watch,
+    createdBy: existing ? existing.createdBy : options.actor || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    lastPrice: existing ? existing.lastPrice : null,
+    lastCheckedAt: existing ? existing.lastCheckedAt : null,
+    alerted: existing && existing.targetPrice === watch.targetPrice ? existing.alerted : null
+  };
+
+  await store.set(key, record);
+  return record;
+}
+
+async function deleteWatch(asin, marketplace, options = {}) {
+  if (!isASIN(asin)) return false;
+
+  const store = options.store || getStore('watchlist');
+  const key = cacheKey(asin, getMarketplace(marketplace).code);
+  if (!await store.get(key)) return false;
+  await store.delete(key);
+  return true;
+}
+
+async function listWatches(options = {}) {
+  const store = options.store || getStore('watchlist');
+  const keys = await store.list();
+  const watches = await Promise.all(keys.map(key => store.get(key)));
+  return watches.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Alert payload, as sent to the webhook:
+// {
+//   type: "deal", asin, marketplace, title, price, amount, targetPrice,
+//   listPrice, savingsPercent, image, note,
+//   link,                               our go.onelastlink.com link
+//   affiliateUrl,
+//   post,                               ready-made post in the watch's template
+//   posts: { detailed, clean, steal },  every template
+//   lowest: { price, amount, at, days } lowest price seen over PRICE_HISTORY_DAYS
+//   detectedAt
+// }
+async function buildAlert(watch, product, now) {
+  const link = `${LINK_BASE}${linkPath(watch.asin, watch.marketplace)}`;
+  const history = await getPriceHistory(watch.asin, watch.marketplace).catch(() => null);
+  const data = postData(product, link, history);
+
+  const posts = {};
+  for (const template of POST_TEMPLATES) {
+    posts[template] = generatePost(data, template);
+  }
+
+  return {
+    type: 'deal',
+    asin: watch.asin,
+    marketplace: watch.marketplace,
+    title: product.title,
+    price: product.price,
+    amount: priceAmount(product.price),
+    targetPrice: watch.targetPrice,
+    listPrice: product.listPrice || null,
+    savingsPercent: product.savingsPercent || null,
+    image: product.image || null,
+    note: watch.note,
+    link: link,
+    affiliateUrl: buildAffiliateURL(watch.asin, watch.marketplace),
+    post: posts[watch.template] || posts.steal,
+    posts: posts,
+    lowest: history && history.lowest ? { ...history.lowest, days: history.days } : null,
+    detectedAt: new Date(now).toISOString()
+  };
+}
+
+// Fetch watched products live, least recently checked first, and alert on
+// the ones at or under their target. Only fresh data is trusted: stale cache
+// entries and scraper placeholders never trigger an alert. options.limit caps
+// the watches and options.budget the seconds spent (0 for no limit). Returns
+// { checked, total, alerts: [{ ...alert, deliveries }], failed: [{ asin, marketplace, error }] }
+async function checkWatchlist(options = {}) {
+  const store = options.store || getStore('watchlist');
+  const limit = options.limit ?? WATCHLIST_CHECK_LIMIT;
+  const budget = options.budget ?? WATCHLIST_CHECK_BUDGET;
+  const usePAAPI = options.paapi ?? hasCredentials();
+  const interval = options.batchInterval ?? BATCH_INTERVAL;
+  const clock = options.now || Date.now;
+  const started = clock();
+  const watches = await listWatches({ store: store });
+  const summary = { checked: 0, total: watches.length, alerts: [], failed: [] };
+
+  // Never-checked watches first, then the longest unchecked
+  const queue = [...watches].sort((a, b) => (a.lastCheckedAt || '').localeCompare(b.lastCheckedAt || ''));
+  const batch = limit > 0 ? queue.slice(0, limit) : queue;
+
+  const byMarketplace = {};
+  for (const watch of batch) {
+    (byMarketplace[watch.marketplace] = byMarketplace[watch.marketplace] || []).push(watch);
+  }
+
+  // One GetItems call, or one scraped page, at a time until the budget is spent
+  const chunkSize = usePAAPI ? BATCH_SIZE : 1;
+  const outOfTime = () => budget > 0 && clock() - started >= budget * 1000;
+
+  for (const [marketplace, marketplaceWatches] of Object.entries(byMarketplace)) {
+    for (let i = 0; i < marketplaceWatches.length && !outOfTime(); i += chunkSize) {
+      const items = marketplaceWatches.slice(i, i + chunkSize);
+      if (usePAAPI && summary.checked > 0 && interval > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+
+      const results = await getProducts(items.map(watch => watch.asin), marketplace, { force: true, paapi: usePAAPI });
+      const now = clock();
+      summary.checked += items.length;
+
+      for (const watch of items) {
+        const result = results[watch.asin] || {};
+        const amount = result.product && result.cache !== 'expired' && result.source !== 'placeholder'
+          ? priceAmount(result.product.price)
+          : null;
+
+        // Failed checks count too, so a product that keeps failing can't hold up the rest
+        if (amount === null) {
+          summary.failed.push({ asin: watch.asin, marketplace: marketplace, error: result.error || 'No current price' });
+          await store.set(cacheKey(watch.asin, marketplace), { ...watch, lastCheckedAt: new Date(now).toISOString() });
+          continue;
+        }
+
+        const record = { ...watch, lastPrice: result.product.price, lastCheckedAt: new Date(now).toISOString() };
+
+        if (amount > watch.targetPrice) {
+          record.alerted = null;
+        } else if (!watch.alerted || amount < watch.alerted.amount) {
+          const alert = await buildAlert(watch, result.product, now);
+          const deliveries = await notify(alert, options);
+          summary.alerts.push({ ...alert, deliveries: deliveries });
+
+          // Try again on the next run if every notifier failed
+          if (deliveries.length === 0 || deliveries.some(delivery => delivery.ok)) {
+            record.alerted = { price: alert.price, amount: amount, at: alert.detectedAt };
+          }
+        }
+
+        await store.set(cacheKey(watch.asin, marketplace), record);
+      }
+    }
+  }
+
+  log.info('Watchlist checked', { checked: summary.checked, total: summary.total, alerts: summary.alerts.length, failed: summary.failed.length });
+  return summary;
+}
+
+module.exports = {
+  WATCHLIST_CHECK_LIMIT,
+  WATCHLIST_CHECK_BUDGET,
+  validateWatch,
+  getWatch,
+  saveWatch,
+  deleteWatch,
+  listWatches,
+  checkWatchlist
+};
@@ -0,0 +1,1149 @@
+const { html, url, js, cssVariables } = require('../lib/html');
+const { parsePriceAmount } = require('../lib/marketplaces');
+
+// The original One Last Link preview page: an Amazon-style product card that
+// forwards to Amazon after a short countdown.
+//
+// A template exports its default settings and four render functions (the
+// product page, the no-data fallback, the collection page and the add-to-cart
+// interstitial). Themes
+// (see lib/templates.js) override any of the settings:
+//   vars         CSS custom properties for the :root block
+//   countdown    seconds before forwarding to Amazon, 0 for no auto-redirect
+//   analyticsId  GA4 measurement ID, empty to leave analytics out
+//   brand        { name, url } shown in the header, or null
+//   footer       { prefix, name, url, suffix }, or null for no footer
+//   twitter      @handle for the Twitter card tags, or null
+// plus siteName, disclosure and disclosurePlacement from lib/disclosure.js.
+// Every page must show theme.disclosure wherever disclosurePlacement says.
+const defaults = {
+  vars: {
+    'amazon-orange': '#FF9900',
+    'amazon-dark': '#131921',
+    'amazon-light': '#EAEDED',
+    'amazon-blue': '#146EB4',
+    'brand-cyan': '#00E5E0',
+    'text-primary': '#0F1111',
+    'text-secondary': '#565959',
+    'border-color': '#D5D9D9',
+    'price-red': '#B12704'
+  },
+  countdown: 3,
+  analyticsId: 'G-V17N2H7EB8',
+  brand: { name: 'LYNX', url: 'https://onelastlink.com' },
+  footer: { prefix: 'Secured by', name: 'One Last Link', url: 'https://onelastlink.com', suffix: '• Trusted affiliate partner' },
+  twitter: '@lynxfindsdeals'
+};
+
+// GA4 loader followed by the page's own tracking calls. Without an analytics
+// ID gtag() is a no-op so the tracking calls in the page stay harmless.
+function analytics(theme, calls) {
+  if (!theme.analyticsId) {
+    return html`<script>function gtag(){}</script>`;
+  }
+
+  return html`<!-- Google Analytics 4 -->
+    <script async src="${url(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(theme.analyticsId)}`)}"></script>
+    <script>
+      window.dataLayer = window.dataLayer || [];
+      function gtag(){dataLayer.push(arguments);}
+      gtag('js', new Date());
+      ${calls}
+    </script>`;
+}
+
+// Product preview page
+function page(view, theme) {
+  const {
+    product,
+    asin,
+    marketplace,
+    affiliateUrl,
+    linkUrl,
+    pagePath,
+    storeName,
+    priceSummary,
+    ratingSummary,
+    roundedRating,
+    card
+  } = view;
+  
+  // The generated share card (lib/cards.js) when there is one, else the photo
+  // at whatever size Amazon serves it
+  const shareImage = card ? card.url : product.image;
+  
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    
+    ${analytics(theme, html`gtag('config', ${js(theme.analyticsId)}, {
+        'page_title': ${js(`Product Redirect - ${asin}`)},
+        'page_path': ${js(pagePath)}
+      });
+      
+      // Track redirect click event
+      gtag('event', 'product_view', {
+        'event_category': 'Product',
+        'event_label': ${js(asin)},
+        'product_title': ${js(product.title)},
+        'product_price': ${js(product.price || 'N/A')}
+      });`)}
+    
+<!-- OpenGraph Tags -->
+<meta property="og:title" content="${product.title}">
+<meta property="og:description" content="${priceSummary ? priceSummary + ' - ' : ''}${product.title}">
+<meta property="og:image" content="${url(shareImage)}">
+${card ? html`<meta property="og:image:type" content="image/png">
+<meta property="og:image:width" content="${card.width}">
+<meta property="og:image:height" content="${card.height}">` : ''}
+<meta property="og:image:alt" content="${product.title}">
+<meta property="og:url" content="${url(linkUrl)}">
+<meta property="og:type" content="product">
+<meta property="og:site_name" content="${theme.siteName}">
+${product.price ? html`<meta property="product:price:amount" content="${parsePriceAmount(product.price)}">
+<meta property="product:price:currency" content="${marketplace.currency}">` : ''}
+${product.listPrice ? html`<meta property="product:original_price:amount" content="${parsePriceAmount(product.listPrice)}">
+<meta property="product:original_price:currency" content="${marketplace.currency}">` : ''}
+
+<!-- Twitter Card Tags -->
+<!-- Twitter Card Tags (Required for X/Twitter) -->
+<meta name="twitter:card" content="summary_large_image">
+${theme.twitter ? html`<meta name="twitter:site" content="${theme.twitter}">
+<meta name="twitter:creator" content="${theme.twitter}">` : ''}
+<meta name="twitter:title" content="${product.title.substring(0, 70)}">
+<meta name="twitter:description" content="${priceSummary ? priceSummary + ' on Amazon' : 'Great deal on Amazon'}">
+<meta name="twitter:image" content="${url(shareImage)}">
+<meta name="twitter:image:alt" content="${product.title}">
+${priceSummary ? html`<meta name="twitter:label1" content="Price">
+<meta name="twitter:data1" content="${priceSummary}">` : ''}
+${ratingSummary ? html`<meta name="twitter:label2" content="Rating">
+<meta name="twitter:data2" content="${ratingSummary}">` : ''}
+
+<!-- Additional SEO -->
+<meta name="description" content="${priceSummary ? priceSummary + ' - ' : ''}${product.title} - Shop on Amazon">
+<link rel="canonical" href="${url(linkUrl)}">
+
+<title>${product.title}</title>
+
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+
+<style>
+
+        :root {
+            ${cssVariables(theme.vars)}
+        }
+        
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: 'Amazon Ember', Arial, sans-serif;
+            background: #FFFFFF;
+            min-height: 100vh;
+            display: flex;
+            flex-direction: column;
+        }
+        
+        .header {
+            background: var(--amazon-dark);
+            padding: 8px 20px;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+        }
+        
+        .logo-section {
+            display: flex;
+            align-items: center;
+            gap: 15px;
+        }
+        
+        .amazon-logo {
+            color: white;
+            font-size: 22px;
+            font-weight: bold;
+            letter-spacing: -1px;
+        }
+        
+        .divider-line {
+            height: 30px;
+            width: 1px;
+            background: #48525C;
+        }
+        
+        .powered-by {
+            color: #999;
+            font-size: 11px;
+        }
+        
+        .brand-link {
+            color: var(--brand-cyan);
+            text-decoration: none;
+            font-weight: 500;
+        }
+        
+        .main-container {
+            max-width: 1500px;
+            margin: 0 auto;
+            padding: 20px;
+            display: flex;
+            gap: 40px;
+            flex: 1;
+        }
+        
+        .image-section {
+            flex: 0 0 400px;
+        }
+        
+        .image-container {
+            position: sticky;
+            top: 20px;
+            background: white;
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            padding: 20px;
+            text-align: center;
+        }
+        
+        .product-image {
+            width: 100%;
+            max-width: 360px;
+            height: auto;
+            object-fit: contain;
+        }
+        
+        .details-section {
+            flex: 1;
+            max-width: 700px;
+        }
+        
+        .product-title {
+            font-size: 24px;
+            font-weight: 400;
+            line-height: 32px;
+            color: var(--text-primary);
+            margin-bottom: 8px;
+        }
+        
+        .rating-line {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            font-size: 14px;
+        }
+        
+        .stars {
+            color: var(--amazon-orange);
+        }
+        
+        .rating-link {
+            color: var(--amazon-blue);
+            text-decoration: none;
+        }
+        
+        .divider {
+            border: 0;
+            height: 1px;
+            background: #e7e7e7;
+            margin: 12px 0;
+        }
+        
+        .price-box {
+            background: var(--amazon-light);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            padding: 16px;
+            margin: 16px 0;
+        }
+        
+        .price-label {
+            font-size: 14px;
+            color: var(--text-secondary);
+            margin-bottom: 4px;
+        }
+        
+        .price {
+            font-size: 28px;
+            color: var(--price-red);
+            font-weight: 400;
+            line-height: 1.3;
+        }
+        
+        .savings-badge {
+            display: inline-block;
+            background: var(--price-red);
+            color: white;
+            font-size: 14px;
+            font-weight: 700;
+            padding: 2px 8px;
+            border-radius: 4px;
+            margin-right: 8px;
+            vertical-align: middle;
+        }
+        
+        .list-price {
+            font-size: 14px;
+            color: var(--text-secondary);
+            margin-top: 4px;
+        }
+        
+        .list-price s {
+            text-decoration: line-through;
+        }
+        
+        .availability {
+            font-size: 14px;
+            color: #007600;
+            margin-top: 8px;
+        }
+        
+        .prime-badge {
+            color: var(--amazon-blue);
+            font-weight: 700;
+            font-style: italic;
+            margin-left: 8px;
+        }
+        
+        .redirect-box {
+            background: #FFF8E1;
+            border: 1px solid #FFE082;
+            border-radius: 8px;
+            padding: 12px 16px;
+            margin: 16px 0;
+            display: flex;
+            align-items: center;
+            gap: 12px;
+        }
+        
+        .spinner {
+            width: 20px;
+            height: 20px;
+            border: 3px solid #FFA726;
+            border-top: 3px solid transparent;
+            border-radius: 50%;
+            animation: spin 1s linear infinite;
+        }
+        
+        @keyframes spin {
+            to { transform: rotate(360deg); }
+        }
+        
+        .redirect-text {
+            color: var(--text-primary);
+            font-size: 14px;
+        }
+        
+        .countdown {
+            font-weight: 700;
+            color: var(--price-red);
+        }
+        
+        .buy-button {
+            display: block;
+            width: 100%;
+            max-width: 300px;
+            background: var(--amazon-orange);
+            color: #111;
+            text-align: center;
+            padding: 10px 20px;
+            border-radius: 8px;
+            text-decoration: none;
+            font-size: 13px;
+            border: 1px solid #FFA724;
+            transition: background 0.15s;
+            box-shadow: 0 2px 5px rgba(213,217,217,.5);
+            margin-top: 8px;
+        }
+        
+        .buy-button:hover {
+            background: #F7CA00;
+            border-color: #F2C200;
+        }
+        
+        .footer {
+            background: var(--amazon-dark);
+            color: #999;
+            text-align: center;
+            padding: 16px;
+            font-size: 12px;
+            margin-top: auto;
+        }
+        
+        .footer-link {
+            color: var(--brand-cyan);
+            text-decoration: none;
+        }
+        
+        .disclosure-banner {
+            background: var(--amazon-light);
+            color: var(--text-primary);
+            text-align: center;
+            padding: 8px 20px;
+            font-size: 13px;
+            border-bottom: 1px solid var(--border-color);
+        }
+        
+        @media (max-width: 968px) {
+            .main-container {
+                flex-direction: column;
+            }
+            
+            .image-section {
+                flex: none;
+            }
+            
+            .image-container {
+                position: relative;
+                top: 0;
+            }
+        }
+        
+        @media (max-width: 480px) {
+            .header {
+                padding: 8px 12px;
+            }
+            
+            .main-container {
+                padding: 12px;
+                gap: 20px;
+            }
+            
+            .product-title {
+                font-size: 20px;
+                line-height: 28px;
+            }
+            
+            .price {
+                font-size: 24px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="logo-section">
+            <div class="amazon-logo">amazon</div>
+            <div class="divider-line"></div>
+            ${theme.brand ? html`<div class="powered-by">
+                via <a href="${url(theme.brand.url)}" class="brand-link">${theme.brand.name}</a>
+            </div>` : ''}
+        </div>
+    </div>
+    
+    ${theme.disclosurePlacement === 'top' ? html`<div class="disclosure-banner">${theme.disclosure}</div>` : ''}
+    
+    <div class="main-container">
+        <div class="image-section">
+            <div class="image-container">
+                <img src="${url(product.image)}" alt="${product.title}" class="product-image">
+            </div>
+        </div>
+        
+        <div class="details-section">
+            <h1 class="product-title">${product.title}</h1>
+            
+            ${product.rating ? html`
+            <div class="rating-line">
+                <span>${product.rating}</span>
+                <span class="stars">${'★'.repeat(roundedRating)}${'☆'.repeat(5 - roundedRating)}</span>
+                <a href="${url(affiliateUrl)}" class="rating-link">${product.reviewCount ? `${product.reviewCount.toLocaleString('en-US')} ratings` : 'See customer reviews'}</a>
+            </div>
+            ` : ''}
+            
+            <hr class="divider">
+            
+            ${product.price ? html`
+            <div class="price-box">
+                <div class="price-label">Price:</div>
+                <div class="price">${product.savingsPercent ? html`<span class="savings-badge">-${product.savingsPercent}%</span>` : ''}${product.price}</div>
+                ${product.listPrice ? html`<div class="list-price">List Price: <s>${product.listPrice}</s>${product.savings ? ` · You save ${product.savings}` : ''}</div>` : ''}
+                ${product.availability || product.isPrime ? html`<div class="availability">${product.availability || ''}${product.isPrime ? html`<span class="prime-badge">✓prime</span>` : ''}</div>` : ''}
+            </div>
+            ` : ''}
+            
+            ${theme.countdown > 0 ? html`<div class="redirect-box">
+                <div class="spinner"></div>
+                <div class="redirect-text">
+                    Redirecting to Amazon in <span id="countdown" class="countdown">${theme.countdown}</span> seconds
+                </div>
+            </div>` : ''}
+            
+            <a href="${url(affiliateUrl)}" class="buy-button" id="amazon-button">
+                Continue to Amazon
+            </a>
+            
+            <div style="margin-top: 16px; color: var(--text-secondary); font-size: 12px;">
+                ✓ Secure checkout on ${storeName}
+                ${theme.disclosurePlacement === 'button' ? html`<br>${theme.disclosure}` : ''}
+            </div>
+        </div>
+    </div>
+    
+    ${theme.footer || theme.disclosurePlacement === 'footer' ? html`<div class="footer">
+        ${theme.footer ? html`${theme.footer.prefix} <a href="${url(theme.footer.url)}" class="footer-link">${theme.footer.name}</a> ${theme.footer.suffix}` : ''}
+        ${theme.footer && theme.disclosurePlacement === 'footer' ? html`<br>` : ''}
+        ${theme.disclosurePlacement === 'footer' ? theme.disclosure : ''}
+    </div>` : ''}
+    
+    <script>
+        ${theme.countdown > 0 ? html`let countdown = ${js(theme.countdown)};
+        const el = document.getElementById('countdown');
+        
+        const timer = setInterval(() => {
+            countdown--;
+            el.textContent = countdown;
+            
+            if (countdown <= 0) {
+                clearInterval(timer);
+                
+                // Track outbound click before redirect
+                gtag('event', 'click', {
+                  'event_category': 'Outbound Link',
+                  'event_label': ${js(`Amazon Redirect - ${asin}`)},
+                  'transport_type': 'beacon',
+                  'event_callback': function() {
+                    window.location.href = ${js(affiliateUrl)};
+                  }
+                });
+                
+                // Fallback in case callback doesn't fire
+                setTimeout(function() {
+                  window.location.href = ${js(affiliateUrl)};
+                }, 250);
+            }
+        }, 1000);` : ''}
+        
+        // Track manual button clicks
+        document.getElementById('amazon-button').addEventListener('click', function(e) {
+            gtag('event', 'click', {
+              'event_category': 'Manual Click',
+              'event_label': ${js(`Amazon Button - ${asin}`)}
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+// Shown when no product data could be found at all
+function fallback(view, theme) {
+  const { asin, affiliateUrl, linkUrl, image } = view;
+  
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    
+    <meta property="og:title" content="Amazing Amazon Deal">
+    <meta property="og:description" content="Check out this great deal I found on Amazon!">
+    <meta property="og:image" content="${url(image)}">
+    <meta property="og:url" content="${url(linkUrl)}">
+    <meta property="og:type" content="product">
+    <meta property="og:site_name" content="${theme.siteName}">
+    
+    <title>Amazon Deal - ${asin}</title>
+    
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            background: #000000;
+            color: white;
+            text-align: center;
+            padding: 50px;
+            margin: 0;
+        }
+        .container {
+            max-width: 400px;
+            margin: 0 auto;
+            background: rgba(255, 255, 255, 0.1);
+            padding: 30px;
+            border-radius: 15px;
+        }
+        .button {
+            display: inline-block;
+            background: #0F9AA0;
+            color: white;
+            padding: 12px 24px;
+            text-decoration: none;
+            border-radius: 5px;
+            font-weight: bold;
+            margin-top: 20px;
+        }
+        .disclosure {
+            font-size: 12px;
+            opacity: 0.8;
+            margin: 16px 0;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${theme.disclosurePlacement === 'top' ? html`<p class="disclosure">${theme.disclosure}</p>` : ''}
+        <h2>🎯 Redirecting to Amazon...</h2>
+        <p>Taking you to your deal...</p>
+        <a href="${url(affiliateUrl)}" class="button">Go to Amazon</a>
+        ${theme.disclosurePlacement !== 'top' ? html`<p class="disclosure">${theme.disclosure}</p>` : ''}
+    </div>
+    ${theme.countdown > 0 ? html`<script>
+        setTimeout(() => {
+            window.location.href = ${js(affiliateUrl)};
+        }, ${js(theme.countdown * 1000)});
+    </script>` : ''}
+</body>
+</html>`;
+}
+
+// Collection page (lib/collections.js): one card per product, each linking
+// straight to its own tagged Amazon URL. No countdown, people pick a product.
+function collection(view, theme) {
+  const { collection, items, linkUrl, cartUrl, storeName, card } = view;
+  const description = collection.description || `${items.length} products picked by ${theme.siteName}`;
+  const shareImage = card ? card.url : items[0] && items[0].product.image;
+  
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    
+    ${analytics(theme, html`gtag('config', ${js(theme.analyticsId)}, {
+        'page_title': ${js(`Collection - ${collection.slug}`)},
+        'page_path': ${js(`/c/${collection.slug}`)}
+      });`)}
+    
+<!-- OpenGraph Tags -->
+<meta property="og:title" content="${collection.title}">
+<meta property="og:description" content="${description}">
+${shareImage ? html`<meta property="og:image" content="${url(shareImage)}">` : ''}
+${card ? html`<meta property="og:image:type" content="image/png">
+<meta property="og:image:width" content="${card.width}">
+<meta property="og:image:height" content="${card.height}">` : ''}
+<meta property="og:image:alt" content="${collection.title}">
+<meta property="og:url" content="${url(linkUrl)}">
+<meta property="og:type" content="website">
+<meta property="og:site_name" content="${theme.siteName}">
+
+<!-- Twitter Card Tags -->
+<meta name="twitter:card" content="summary_large_image">
+${theme.twitter ? html`<meta name="twitter:site" content="${theme.twitter}">
+<meta name="twitter:creator" content="${theme.twitter}">` : ''}
+<meta name="twitter:title" content="${collection.title.substring(0, 70)}">
+<meta name="twitter:description" content="${description}">
+${shareImage ? html`<meta name="twitter:image" content="${url(shareImage)}">` : ''}
+<meta name="twitter:image:alt" content="${collection.title}">
+
+<meta name="description" content="${description}">
+<link rel="canonical" href="${url(linkUrl)}">
+
+<title>${collection.title}</title>
+
+<style>
+
+        :root {
+            ${cssVariables(theme.vars)}
+        }
+        
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: 'Amazon Ember', Arial, sans-serif;
+            background: #FFFFFF;
+            color: var(--text-primary);
+            min-height: 100vh;
+            display: flex;
+            flex-direction: column;
+        }
+        
+        .header {
+            background: var(--amazon-dark);
+            padding: 8px 20px;
+            display: flex;
+            align-items: center;
+            gap: 15px;
+        }
+        
+        .amazon-logo {
+            color: white;
+            font-size: 22px;
+            font-weight: bold;
+            letter-spacing: -1px;
+        }
+        
+        .powered-by {
+            color: #999;
+            font-size: 11px;
+        }
+        
+        .brand-link,
+        .footer-link {
+            color: var(--brand-cyan);
+            text-decoration: none;
+        }
+        
+        .intro {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 24px 20px 8px;
+        }
+        
+        .intro h1 {
+            font-size: 28px;
+            font-weight: 400;
+            margin-bottom: 8px;
+        }
+        
+        .intro p {
+            color: var(--text-secondary);
+            font-size: 15px;
+        }
+        
+        .grid {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 20px;
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+            gap: 20px;
+            flex: 1;
+        }
+        
+        .item {
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            padding: 16px;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        
+        .item-rank {
+            color: var(--text-secondary);
+            font-size: 13px;
+        }
+        
+        .item-image {
+            width: 100%;
+            height: 200px;
+            object-fit: contain;
+        }
+        
+        .item-title {
+            font-size: 16px;
+            font-weight: 400;
+            line-height: 22px;
+        }
+        
+        .item-title a {
+            color: var(--text-primary);
+            text-decoration: none;
+        }
+        
+        .stars {
+            color: var(--amazon-orange);
+            font-size: 14px;
+        }
+        
+        .price {
+            font-size: 22px;
+            color: var(--price-red);
+        }
+        
+        .savings-badge {
+            display: inline-block;
+            background: var(--price-red);
+            color: white;
+            font-size: 13px;
+            font-weight: 700;
+            padding: 2px 6px;
+            border-radius: 4px;
+            margin-right: 6px;
+            vertical-align: middle;
+        }
+        
+        .intro .cart-button {
+            display: inline-block;
+            margin-top: 12px;
+        }
+        
+        .blurb {
+            font-size: 14px;
+            line-height: 20px;
+            color: var(--text-secondary);
+        }
+        
+        .buy-button {
+            display: block;
+            margin-top: auto;
+            background: var(--amazon-orange);
+            color: #111;
+            text-align: center;
+            padding: 10px 20px;
+            border-radius: 8px;
+            text-decoration: none;
+            font-size: 13px;
+            border: 1px solid #FFA724;
+        }
+        
+        .buy-button:hover {
+            background: #F7CA00;
+            border-color: #F2C200;
+        }
+        
+        .note {
+            max-width: 1200px;
+            margin: 0 auto 20px;
+            padding: 0 20px;
+            color: var(--text-secondary);
+            font-size: 12px;
+        }
+        
+        .footer {
+            background: var(--amazon-dark);
+            color: #999;
+            text-align: center;
+            padding: 16px;
+            font-size: 12px;
+            margin-top: auto;
+        }
+        
+        .disclosure-banner {
+            background: var(--amazon-light);
+            text-align: center;
+            padding: 8px 20px;
+            font-size: 13px;
+            border-bottom: 1px solid var(--border-color);
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="amazon-logo">amazon</div>
+        ${theme.brand ? html`<div class="powered-by">
+            via <a href="${url(theme.brand.url)}" class="brand-link">${theme.brand.name}</a>
+        </div>` : ''}
+    </div>
+    
+    ${theme.disclosurePlacement === 'top' ? html`<div class="disclosure-banner">${theme.disclosure}</div>` : ''}
+    
+    <div class="intro">
+        <h1>${collection.title}</h1>
+        ${collection.description ? html`<p>${collection.description}</p>` : ''}
+        ${cartUrl ? html`<a href="${url(cartUrl)}" class="buy-button cart-button">Add all to cart</a>` : ''}
+    </div>
+    
+    <div class="grid">
+        ${items.map((item, index) => html`<div class="item">
+            <div class="item-rank">#${index + 1}</div>
+            <a href="${url(item.affiliateUrl)}" data-asin="${item.asin}"><img src="${url(item.product.image)}" alt="${item.product.title}" class="item-image" loading="lazy"></a>
+            <h2 class="item-title"><a href="${url(item.affiliateUrl)}" data-asin="${item.asin}">${item.product.title}</a></h2>
+            ${item.product.rating ? html`<div class="stars">${'★'.repeat(item.roundedRating)}${'☆'.repeat(5 - item.roundedRating)} ${item.product.reviewCount ? item.product.reviewCount.toLocaleString('en-US') : ''}</div>` : ''}
+            ${item.product.price ? html`<div class="price">${item.product.savingsPercent ? html`<span class="savings-badge">-${item.product.savingsPercent}%</span>` : ''}${item.product.price}</div>` : ''}
+            ${item.blurb ? html`<p class="blurb">${item.blurb}</p>` : ''}
+            <a href="${url(item.affiliateUrl)}" class="buy-button" data-asin="${item.asin}">View on ${storeName}</a>
+        </div>`)}
+    </div>
+    
+    ${theme.disclosurePlacement === 'button' ? html`<p class="note">${theme.disclosure}</p>` : ''}
+    
+    ${theme.footer || theme.disclosurePlacement === 'footer' ? html`<div class="footer">
+        ${theme.footer ? html`${theme.footer.prefix} <a href="${url(theme.footer.url)}" class="footer-link">${theme.footer.name}</a> ${theme.footer.suffix}` : ''}
+        ${theme.footer && theme.disclosurePlacement === 'footer' ? html`<br>` : ''}
+        ${theme.disclosurePlacement === 'footer' ? theme.disclosure : ''}
+    </div>` : ''}
+    
+    <script>
+        // Track which product people picked
+        document.querySelectorAll('a[data-asin]').forEach(function(link) {
+            link.addEventListener('click', function() {
+                gtag('event', 'click', {
+                  'event_category': 'Collection Click',
+                  'event_label': ${js(collection.slug)} + ' - ' + link.getAttribute('data-asin')
+                });
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+// Add-to-cart interstitial (lib/cart.js): what is about to go into the
+// visitor's cart, then Amazon's cart page after the countdown
+function cart(view, theme) {
+  const { title, items, cartUrl, linkUrl, pagePath, storeName, totalQuantity, card } = view;
+  const description = `Add ${totalQuantity} ${totalQuantity === 1 ? 'item' : 'items'} to your ${storeName} cart in one click`;
+  const firstImage = items.map(item => item.product && item.product.image).find(Boolean);
+  const shareImage = card ? card.url : firstImage;
+  
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    
+    ${analytics(theme, html`gtag('config', ${js(theme.analyticsId)}, {
+        'page_title': ${js(`Cart - ${title}`)},
+        'page_path': ${js(pagePath)}
+      });`)}
+    
+<!-- OpenGraph Tags -->
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${description}">
+${shareImage ? html`<meta property="og:image" content="${url(shareImage)}">` : ''}
+${card ? html`<meta property="og:image:type" content="image/png">
+<meta property="og:image:width" content="${card.width}">
+<meta property="og:image:height" content="${card.height}">` : ''}
+<meta property="og:url" content="${url(linkUrl)}">
+<meta property="og:type" content="website">
+<meta property="og:site_name" content="${theme.siteName}">
+
+<!-- Twitter Card Tags -->
+<meta name="twitter:card" content="${shareImage ? 'summary_large_image' : 'summary'}">
+${theme.twitter ? html`<meta name="twitter:site" content="${theme.twitter}">` : ''}
+<meta name="twitter:title" content="${title.substring(0, 70)}">
+<meta name="twitter:description" content="${description}">
+${shareImage ? html`<meta name="twitter:image" content="${url(shareImage)}">` : ''}
+
+<meta name="description" content="${description}">
+<meta name="robots" content="noindex">
+
+<title>${title}</title>
+
+<style>
+
+        :root {
+            ${cssVariables(theme.vars)}
+        }
+        
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: 'Amazon Ember', Arial, sans-serif;
+            background: #FFFFFF;
+            color: var(--text-primary);
+            min-height: 100vh;
+            display: flex;
+            flex-direction: column;
+        }
+        
+        .header {
+            background: var(--amazon-dark);
+            padding: 8px 20px;
+            display: flex;
+            align-items: center;
+            gap: 15px;
+        }
+        
+        .amazon-logo {
+            color: white;
+            font-size: 22px;
+            font-weight: bold;
+            letter-spacing: -1px;
+        }
+        
+        .powered-by {
+            color: #999;
+            font-size: 11px;
+        }
+        
+        .brand-link,
+        .footer-link {
+            color: var(--brand-cyan);
+            text-decoration: none;
+        }
+        
+        .main-container {
+            max-width: 760px;
+            width: 100%;
+            margin: 0 auto;
+            padding: 24px 20px;
+            flex: 1;
+        }
+        
+        h1 {
+            font-size: 24px;
+            font-weight: 400;
+            margin-bottom: 16px;
+        }
+        
+        .item {
+            display: flex;
+            align-items: center;
+            gap: 16px;
+            padding: 12px 0;
+            border-bottom: 1px solid #e7e7e7;
+        }
+        
+        .item-image {
+            flex: 0 0 72px;
+            width: 72px;
+            height: 72px;
+            object-fit: contain;
+        }
+        
+        .item-details {
+            flex: 1;
+            font-size: 14px;
+            line-height: 20px;
+        }
+        
+        .item-title {
+            color: var(--text-primary);
+            text-decoration: none;
+        }
+        
+        .item-price {
+            color: var(--price-red);
+            font-size: 16px;
+        }
+        
+        .item-quantity {
+            color: var(--text-secondary);
+            white-space: nowrap;
+        }
+        
+        .redirect-box {
+            background: #FFF8E1;
+            border: 1px solid #FFE082;
+            border-radius: 8px;
+            padding: 12px 16px;
+            margin: 16px 0;
+            font-size: 14px;
+        }
+        
+        .countdown {
+            font-weight: 700;
+            color: var(--price-red);
+        }
+        
+        .buy-button {
+            display: block;
+            max-width: 300px;
+            background: var(--amazon-orange);
+            color: #111;
+            text-align: center;
+            padding: 10px 20px;
+            border-radius: 8px;
+            text-decoration: none;
+            font-size: 13px;
+            border: 1px solid #FFA724;
+            margin-top: 16px;
+        }
+        
+        .buy-button:hover {
+            background: #F7CA00;
+            border-color: #F2C200;
+        }
+        
+        .note {
+            margin-top: 16px;
+            color: var(--text-secondary);
+            font-size: 12px;
+        }
+        
+        .footer {
+            background: var(--amazon-dark);
+            color: #999;
+            text-align: center;
+            padding: 16px;
+            font-size: 12px;
+            margin-top: auto;
+        }
+        
+        .disclosure-banner {
+            background: var(--amazon-light);
+            text-align: center;
+            padding: 8px 20px;
+            font-size: 13px;
+            border-bottom: 1px solid var(--border-color);
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="amazon-logo">amazon</div>
+        ${theme.brand ? html`<div class="powered-by">
+            via <a href="${url(theme.brand.url)}" class="brand-link">${theme.brand.name}</a>
+        </div>` : ''}
+    </div>
+    
+    ${theme.disclosurePlacement === 'top' ? html`<div class="disclosure-banner">${theme.disclosure}</div>` : ''}
+    
+    <div class="main-container">
+        <h1>${title}</h1>
+        
+        ${items.map(item => html`<div class="item">
+            ${item.product && item.product.image ? html`<img src="${url(item.product.image)}" alt="" class="item-image">` : ''}
+            <div class="item-details">
+                <a href="${url(item.productUrl)}" class="item-title">${item.product ? item.product.title : `Amazon product ${item.asin}`}</a>
+                ${item.product && item.product.price ? html`<div class="item-price">${item.product.price}</div>` : ''}
+            </div>
+            <div class="item-quantity">Qty ${item.quantity}</div>
+        </div>`)}
+        
+        ${theme.countdown > 0 ? html`<div class="redirect-box">
+            Adding to your cart in <span id="countdown" class="countdown">${theme.countdown}</span> seconds
+        </div>` : ''}
+        
+        <a href="${url(cartUrl)}" class="buy-button" id="cart-button">
+            Add ${totalQuantity} ${totalQuantity === 1 ? 'item' : 'items'} to cart
+        </a>
+        
+        <div class="note">
+            Prices may have changed since this page was made; your ${storeName} cart shows the current ones.
+            ${theme.disclosurePlacement === 'button' ? html`<br>${theme.disclosure}` : ''}
+        </div>
+    </div>
+    
+    ${theme.footer || theme.disclosurePlacement === 'footer' ? html`<div class="footer">
+        ${theme.footer ? html`${theme.footer.prefix} <a href="${url(theme.footer.url)}" class="footer-link">${theme.footer.name}</a> ${theme.footer.suffix}` : ''}
+        ${theme.footer && theme.disclosurePlacement === 'footer' ? html`<br>` : ''}
+        ${theme.disclosurePlacement === 'footer' ? theme.disclosure : ''}
+    </div>` : ''}
+    
+    <script>
+        ${theme.countdown > 0 ? html`let countdown = ${js(theme.countdown)};
+        const el = document.getElementById('countdown');
+        
+        const timer = setInterval(() => {
+            countdown--;
+            el.textContent = countdown;
+            
+            if (countdown <= 0) {
+                clearInterval(timer);
+                window.location.href = ${js(cartUrl)};
+            }
+        }, 1000);` : ''}
+        
+        document.getElementById('cart-button').addEventListener('click', function() {
+            gtag('event', 'click', {
+              'event_category': 'Cart Click',
+              'event_label': ${js(pagePath)}
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  defaults,
+  page,
+  fallback,
+  collection,
+  cart
+};
@@ -0,0 +1,5 @@
+// Page templates by name. To add one, copy default.js, change what you need
+// and register it here; themes pick a template with "template": "<name>".
+module.exports = {
+  default: require('./default')
+};
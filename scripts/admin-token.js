@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// Issue a signed admin API token for one person.
+//
+//   ADMIN_SIGNING_SECRET=... node scripts/admin-token.js alice
+//   ADMIN_SIGNING_SECRET=... node scripts/admin-token.js alice --days 30
+//
+// Changes made with the token are recorded under the given name in the audit
+// log. Tokens stay valid until they expire or the signing secret changes.
+const { signToken } = require('../netlify/lib/auth');
+
+function main() {
+  const argv = process.argv.slice(2);
+  let subject = null;
+  let days = 0;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--days' || argv[i] === '-d') {
+      days = parseFloat(argv[++i]);
+    } else if (!subject) {
+      subject = argv[i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!process.env.ADMIN_SIGNING_SECRET) {
+    throw new Error('Set ADMIN_SIGNING_SECRET to the value configured on the site');
+  }
+  if (!subject) {
+    throw new Error('Usage: admin-token.js <name> [--days N]');
+  }
+
+  console.log(signToken(subject, process.env.ADMIN_SIGNING_SECRET, { ttl: Math.round(days * 24 * 60 * 60) }));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Check every known link for dead products, price changes and placeholder
+// titles, the same check the scheduled health-check function runs daily.
+//
+//   node scripts/check-links.js
+//   node scripts/check-links.js --limit 50 --out reports
+//
+// Writes health-check.json and health-check.html to --out (default: the
+// current directory) and saves the report where the admin API serves it.
+// Set NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN to check the deployed site's
+// links, and ACCESS_KEY/SECRET_KEY to fetch through PA-API.
+const fs = require('fs');
+const path = require('path');
+const { runHealthCheck, saveHealthReport, renderHealthReport } = require('../netlify/lib/health-check');
+
+function parseArgs(argv) {
+  // 0 checks every product; the scheduled function uses HEALTH_CHECK_LIMIT
+  // and stops after HEALTH_CHECK_BUDGET seconds, the CLI takes its time
+  const args = { limit: 0, out: '.' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--limit' || arg === '-l') {
+      args.limit = parseInt(argv[++i], 10) || 0;
+    } else if (arg === '--out' || arg === '-o') {
+      args.out = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await runHealthCheck({ limit: args.limit, budget: 0 });
+  await saveHealthReport(report);
+
+  fs.mkdirSync(args.out, { recursive: true });
+  fs.writeFileSync(path.join(args.out, 'health-check.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(args.out, 'health-check.html'), renderHealthReport(report));
+
+  console.log(JSON.stringify(report.counts, null, 2));
+  console.log('Report written to', path.join(args.out, 'health-check.html'));
+  const problems = report.counts.missing + report.counts.unavailable + report.counts.placeholder;
+  process.exit(problems > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
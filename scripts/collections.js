@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Manage collection pages (/c/:slug) from JSON definitions.
+//
+//   node scripts/collections.js list
+//   node scripts/collections.js show desk-setup
+//   node scripts/collections.js put desk-setup.json
+//   node scripts/collections.js remove desk-setup
+//
+// put creates or replaces the collection described in the file, see
+// lib/collections.js for the format. Set NETLIFY_SITE_ID and
+// NETLIFY_AUTH_TOKEN to use the deployed site's collections, or STORE_DIR for
+// a local store.
+const fs = require('fs');
+const os = require('os');
+const { getCollection, saveCollection, deleteCollection, listCollections } = require('../netlify/lib/collections');
+
+const ACTOR = `cli:${os.userInfo().username}`;
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  if (command === 'list') {
+    for (const collection of await listCollections()) {
+      console.log(`/c/${collection.slug}`, `(${collection.items.length} items)`, collection.title);
+    }
+  } else if (command === 'show' && arg) {
+    const collection = await getCollection(arg);
+    if (!collection) throw new Error(`No such collection: ${arg}`);
+    console.log(JSON.stringify(collection, null, 2));
+  } else if (command === 'put' && arg) {
+    const collection = await saveCollection(JSON.parse(fs.readFileSync(arg, 'utf8')), { actor: ACTOR });
+    console.log(JSON.stringify(collection, null, 2));
+  } else if (command === 'remove' && arg) {
+    if (!await deleteCollection(arg)) throw new Error(`No such collection: ${arg}`);
+    console.log('Removed', arg);
+  } else {
+    throw new Error('Usage: collections.js list | show <slug> | put <file.json> | remove <slug>');
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Manage custom slugs and campaign links.
+//
+//   node scripts/links.js list
+//   node scripts/links.js add airpods-deal B0BDHWDR12 --note "AirPods Pro sale"
+//   node scripts/links.js add B09P21T2GC/ig-story --tag mytag-ig-20
+//   node scripts/links.js add echo-uk B09B8V1LZ3 --marketplace uk --theme deals --mode instant
+//   node scripts/links.js remove airpods-deal
+//
+// Set NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN to manage the deployed site's
+// links, or STORE_DIR for a local store. Changes go into the audit log as
+// "cli:<your user name>".
+const os = require('os');
+const { getLink, saveLink, deleteLink, listLinks } = require('../netlify/lib/links');
+const { recordAudit } = require('../netlify/lib/audit');
+
+const ACTOR = `cli:${os.userInfo().username}`;
+
+const OPTIONS = {
+  '--marketplace': 'marketplace',
+  '-m': 'marketplace',
+  '--tag': 'tag',
+  '-t': 'tag',
+  '--note': 'note',
+  '-n': 'note',
+  '--theme': 'theme',
+  '--mode': 'mode'
+};
+
+function parseArgs(argv) {
+  const args = { command: argv[0], positional: [], options: {} };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (OPTIONS[arg]) {
+      args.options[OPTIONS[arg]] = argv[++i];
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.command === 'list') {
+    console.log(JSON.stringify(await listLinks(), null, 2));
+  } else if (args.command === 'add') {
+    const [slug, asin] = args.positional;
+    const before = await getLink(slug);
+    const link = await saveLink({ slug: slug, asin: asin, ...args.options });
+    await recordAudit({ actor: ACTOR, action: before ? 'update' : 'create', slug: link.slug, before: before, after: link });
+    console.log(JSON.stringify(link, null, 2));
+  } else if (args.command === 'remove') {
+    const before = await getLink(args.positional[0]);
+    if (!before || !await deleteLink(args.positional[0])) {
+      throw new Error(`No such link: ${args.positional[0]}`);
+    }
+    await recordAudit({ actor: ACTOR, action: 'delete', slug: before.slug, before: before, after: null });
+    console.log('Removed', before.slug);
+  } else {
+    throw new Error('Usage: links.js list | add <slug> [ASIN] [options] | remove <slug>');
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
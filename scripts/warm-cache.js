@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Pre-warm the product cache before publishing a post.
+//
+//   node scripts/warm-cache.js B09P21T2GC B0C33XXS56
+//   node scripts/warm-cache.js --marketplace uk B09P21T2GC
+//   node scripts/warm-cache.js --file roundup.txt
+//   pbpaste | node scripts/warm-cache.js
+//
+// Reads a post's text from --file or stdin when no ASINs are given. Set
+// NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN to fill the deployed site's cache,
+// and ACCESS_KEY/SECRET_KEY to fetch through PA-API.
+const fs = require('fs');
+const { isASIN } = require('../netlify/lib/amazon-url');
+const { isMarketplaceCode } = require('../netlify/lib/marketplaces');
+const { collectProductsFromText, warmProducts } = require('../netlify/lib/warm');
+
+function parseArgs(argv) {
+  const args = { asins: [], marketplace: null, file: null, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--marketplace' || arg === '-m') {
+      args.marketplace = argv[++i];
+      if (!isMarketplaceCode(args.marketplace)) throw new Error(`Unknown marketplace: ${args.marketplace}`);
+    } else if (arg === '--file' || arg === '-f') {
+      args.file = argv[++i];
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (isASIN(arg)) {
+      args.asins.push(arg.toUpperCase());
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const items = args.asins.map(asin => ({ asin: asin, marketplace: args.marketplace }));
+
+  if (items.length === 0) {
+    const text = args.file ? fs.readFileSync(args.file, 'utf8') : fs.readFileSync(0, 'utf8');
+    items.push(...await collectProductsFromText(text));
+  }
+
+  if (items.length === 0) {
+    console.error('No ASINs found');
+    process.exit(1);
+  }
+
+  const summary = await warmProducts(items, { force: args.force });
+  console.log(JSON.stringify(summary, null, 2));
+  process.exit(summary.failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
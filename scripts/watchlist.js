@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Manage the deal alert watchlist.
+//
+//   node scripts/watchlist.js list
+//   node scripts/watchlist.js add B0BDHWDR12 179.99 --note "AirPods Pro under $180"
+//   node scripts/watchlist.js add B09B8V1LZ3 24.99 --marketplace uk --template detailed
+//   node scripts/watchlist.js remove B0BDHWDR12
+//   node scripts/watchlist.js check
+//
+// check fetches every watched product and sends alerts like the scheduled
+// deal-alerts function (configure the ALERT_* variables, see
+// lib/notifiers.js). Set NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN to use the
+// deployed site's watchlist, or STORE_DIR for a local store.
+const os = require('os');
+const { saveWatch, deleteWatch, listWatches, checkWatchlist } = require('../netlify/lib/watchlist');
+
+const ACTOR = `cli:${os.userInfo().username}`;
+
+const OPTIONS = {
+  '--marketplace': 'marketplace',
+  '-m': 'marketplace',
+  '--note': 'note',
+  '-n': 'note',
+  '--template': 'template'
+};
+
+function parseArgs(argv) {
+  const args = { command: argv[0], positional: [], options: {} };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (OPTIONS[arg]) {
+      args.options[OPTIONS[arg]] = argv[++i];
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.command === 'list') {
+    console.log(JSON.stringify(await listWatches(), null, 2));
+  } else if (args.command === 'add') {
+    const [asin, targetPrice] = args.positional;
+    const watch = await saveWatch({ asin: asin, targetPrice: targetPrice, ...args.options }, { actor: ACTOR });
+    console.log(JSON.stringify(watch, null, 2));
+  } else if (args.command === 'remove') {
+    if (!await deleteWatch(args.positional[0], args.options.marketplace)) {
+      throw new Error(`Not on the watchlist: ${args.positional[0]}`);
+    }
+    console.log('Removed', args.positional[0]);
+  } else if (args.command === 'check') {
+    // Everything, however long it takes; the scheduled check works in batches
+    const summary = await checkWatchlist({ limit: 0, budget: 0 });
+    console.log(JSON.stringify(summary, null, 2));
+    process.exit(summary.failed.length > 0 ? 1 : 0);
+  } else {
+    throw new Error('Usage: watchlist.js list | add <ASIN> <target price> [options] | remove <ASIN> | check');
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
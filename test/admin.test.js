@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startPAAPIMock } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+process.env.ADMIN_TOKEN = 'shared-admin-token';
+
+let mock;
+let handleAdminRequest;
+
+test.before(async () => {
+  mock = await startPAAPIMock();
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  ({ handleAdminRequest } = require('../netlify/lib/admin'));
+});
+
+test.after(() => mock.close());
+
+async function warm(body) {
+  const response = await handleAdminRequest({
+    httpMethod: 'POST',
+    headers: { authorization: 'Bearer shared-admin-token' },
+    body: JSON.stringify(body)
+  }, '/admin/api/warm');
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('warm requests with a bad marketplace or field types are refused before fetching', async () => {
+  const calls = mock.calls.length;
+  const cases = [
+    [{ asins: ['B09P21T2GC'], marketplace: 'xx' }, 'Unknown marketplace: xx'],
+    [{ asins: ['B09P21T2GC'], marketplace: '__proto__' }, 'Unknown marketplace: __proto__'],
+    [{ asins: ['B09P21T2GC'], marketplace: 42 }, 'Unknown marketplace: 42'],
+    [{ asins: ['B09P21T2GC'], marketplace: { code: 'us' } }, 'Unknown marketplace: [object Object]'],
+    [{ asins: 'B09P21T2GC' }, 'asins must be a list of ASINs'],
+    [{ asins: ['B09P21T2GC', 'nope'] }, 'Not an ASIN: nope'],
+    [{ text: ['https://amzn.to/x'] }, 'text must be a string'],
+    [{}, 'No ASINs found']
+  ];
+  for (const [body, error] of cases) {
+    const response = await warm(body);
+    assert.strictEqual(response.statusCode, 400, JSON.stringify(body));
+    assert.strictEqual(response.body.error, error);
+  }
+  assert.strictEqual(mock.calls.length, calls);
+});
+
+test('warm requests fetch the products for the marketplace asked for', async () => {
+  const response = await warm({ asins: ['b09p21t2gc'], marketplace: 'UK' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(response.body.warmed.map(item => [item.asin, item.marketplace]), [['B09P21T2GC', 'uk']]);
+  assert.deepStrictEqual(mock.calls.at(-1), ['B09P21T2GC']);
+});
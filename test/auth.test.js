@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const { signToken, verifyToken, isAuthConfigured, authenticate } = require('../netlify/lib/auth');
+
+const SECRET = 'test-signing-secret';
+const NOW = Date.parse('2024-03-05T12:00:00Z');
+const now = () => NOW;
+
+function request(authorization) {
+  return { headers: authorization === undefined ? {} : { authorization: authorization } };
+}
+
+// Token with its payload swapped for another, keeping the old signature
+function withPayload(token, payload) {
+  const [version, , signature] = token.split('.');
+  return `${version}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+}
+
+test('a signed token verifies to its subject and expiry', () => {
+  const token = signToken('alice', SECRET, { ttl: 3600, now: now });
+  assert.match(token, /^v1\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(verifyToken(token, SECRET, { now: now }), { sub: 'alice', exp: NOW / 1000 + 3600 });
+});
+
+test('a token without a ttl never expires', () => {
+  const token = signToken('alice', SECRET, { now: now });
+  assert.deepStrictEqual(verifyToken(token, SECRET, { now: () => NOW + 10 * 365 * 24 * 3600 * 1000 }), { sub: 'alice' });
+});
+
+test('an expired token is refused', () => {
+  const token = signToken('alice', SECRET, { ttl: 60, now: now });
+  assert.ok(verifyToken(token, SECRET, { now: () => NOW + 59 * 1000 }));
+  assert.strictEqual(verifyToken(token, SECRET, { now: () => NOW + 60 * 1000 }), null);
+});
+
+test('tampered, foreign and malformed tokens are refused', () => {
+  const token = signToken('alice', SECRET, { ttl: 60, now: now });
+  const [version, payload, signature] = token.split('.');
+  const cases = {
+    'other subject': withPayload(token, { sub: 'root', exp: NOW / 1000 + 60 }),
+    'expiry removed': withPayload(token, { sub: 'alice' }),
+    'signature changed': `${version}.${payload}.${signature.slice(0, -2)}AA`,
+    'signature dropped': `${version}.${payload}.`,
+    'other version': `v2.${payload}.${signature}`,
+    'extra part': `${token}.x`,
+    'not a token': 'alice',
+    'empty': ''
+  };
+  for (const [name, forged] of Object.entries(cases)) {
+    assert.strictEqual(verifyToken(forged, SECRET, { now: now }), null, name);
+  }
+  assert.strictEqual(verifyToken(token, 'another-secret', { now: now }), null, 'other secret');
+  assert.strictEqual(verifyToken(token, '', { now: now }), null, 'no secret');
+});
+
+test('a signed payload without a subject or with bad JSON is refused', () => {
+  const sign = (encoded) => `v1.${encoded}.${crypto.createHmac('sha256', SECRET).update(`v1.${encoded}`).digest('base64url')}`;
+  assert.strictEqual(verifyToken(sign(Buffer.from('{"exp":0}').toString('base64url')), SECRET, { now: now }), null);
+  assert.strictEqual(verifyToken(sign(Buffer.from('not json').toString('base64url')), SECRET, { now: now }), null);
+});
+
+test('authenticate names the shared token "admin" and a signed token by its subject', () => {
+  const options = { token: 'shared-admin-token', signingSecret: SECRET, now: now };
+  const signed = signToken('alice', SECRET, { ttl: 60, now: now });
+
+  assert.strictEqual(authenticate(request('Bearer shared-admin-token'), options), 'admin');
+  assert.strictEqual(authenticate({ headers: { Authorization: 'bearer  shared-admin-token ' } }, options), 'admin');
+  assert.strictEqual(authenticate(request(`Bearer ${signed}`), options), 'alice');
+});
+
+test('authenticate refuses missing, wrong and expired credentials', () => {
+  const options = { token: 'shared-admin-token', signingSecret: SECRET, now: now };
+  const expired = signToken('alice', SECRET, { ttl: 60, now: () => NOW - 61 * 1000 });
+
+  assert.strictEqual(authenticate(request(), options), null);
+  assert.strictEqual(authenticate({}, options), null);
+  assert.strictEqual(authenticate(request('shared-admin-token'), options), null);
+  assert.strictEqual(authenticate(request('Basic shared-admin-token'), options), null);
+  assert.strictEqual(authenticate(request('Bearer shared-admin-tokenx'), options), null);
+  assert.strictEqual(authenticate(request(`Bearer ${expired}`), options), null);
+  // Signed tokens are only accepted once a signing secret is configured
+  assert.strictEqual(authenticate(request(`Bearer ${signToken('alice', SECRET)}`), { token: 'shared-admin-token', signingSecret: '' }), null);
+});
+
+test('auth counts as configured with either credential', () => {
+  assert.strictEqual(isAuthConfigured({ token: '', signingSecret: '' }), false);
+  assert.strictEqual(isAuthConfigured({ token: 'shared-admin-token', signingSecret: '' }), true);
+  assert.strictEqual(isAuthConfigured({ token: '', signingSecret: SECRET }), true);
+});
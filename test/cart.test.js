@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { testASINs, startPAAPIMock } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+
+const ASINS = testASINs(12);
+
+let mock;
+let calls;
+let go;
+
+test.before(async () => {
+  mock = await startPAAPIMock();
+  ({ calls } = mock);
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  go = require('../netlify/functions/go');
+});
+
+test.after(() => mock.close());
+
+function visit(path) {
+  return go.handler({ path: path, httpMethod: 'GET', headers: {}, queryStringParameters: {} }, {});
+}
+
+test('a cart of uncached products fetches one batch and lists the rest without data', async () => {
+  const response = await visit(`/cart/${ASINS.join(',')}`);
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(calls, [ASINS.slice(0, 10)]);
+
+  for (const asin of ASINS.slice(0, 10)) assert.ok(response.body.includes(`Product ${asin}`), `${asin} missing`);
+  // Still in the cart, just without a title yet
+  assert.strictEqual((response.body.match(/<div class="item">/g) || []).length, 12);
+  for (const asin of ASINS.slice(10)) {
+    assert.ok(!response.body.includes(`Product ${asin}`), `${asin} fetched past the limit`);
+    assert.ok(response.body.includes(`Amazon product ${asin}`), `${asin} left out of the cart`);
+  }
+  assert.match(response.headers['Cache-Control'], /max-age=60\b/);
+});
+
+test('a malformed cart path is a 404', async () => {
+  const response = await visit('/cart/%E0%A4%A');
+  assert.strictEqual(response.statusCode, 404);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const { recordClick, getClickStats } = require('../netlify/lib/clicks');
+const { createMemoryStore } = require('../netlify/lib/store');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const START = Date.parse('2024-03-05T12:00:00Z');
+
+// Memory store that counts reads of individual events
+function countingStore() {
+  const store = createMemoryStore();
+  const counting = { ...store, eventReads: 0 };
+  counting.get = async (key) => {
+    if (key.startsWith('events/')) counting.eventReads++;
+    return store.get(key);
+  };
+  return counting;
+}
+
+function click(store, time, asin = 'B09P21T2GC') {
+  const event = { headers: { 'user-agent': BROWSER, referer: 'https://news.ycombinator.com/item?id=1' } };
+  return recordClick(event, { asin: asin, marketplace: 'us' }, { enabled: true, store: store, now: () => time });
+}
+
+test('stats read only the events stored since the last call', async () => {
+  const store = countingStore();
+  const stats = (time) => getClickStats({ store: store, days: 1, now: () => time });
+
+  for (let i = 0; i < 5; i++) await click(store, START + i * 1000);
+  assert.strictEqual((await stats(START + 10000)).totals.clicks, 5);
+  assert.strictEqual(store.eventReads, 5);
+
+  // Nothing new: nothing read
+  store.eventReads = 0;
+  assert.strictEqual((await stats(START + 20000)).totals.clicks, 5);
+  assert.strictEqual(store.eventReads, 0);
+
+  store.eventReads = 0;
+  await click(store, START + 30000, 'B0BDHWDR12');
+  await click(store, START + 10 * 60 * 1000);
+  const later = await stats(START + 11 * 60 * 1000);
+  assert.strictEqual(store.eventReads, 2);
+  assert.strictEqual(later.totals.clicks, 7);
+  assert.deepStrictEqual(later.referrers, [{ host: 'news.ycombinator.com', clicks: 7 }]);
+  assert.deepStrictEqual(later.asins.map(entry => [entry.asin, entry.clicks]), [['B09P21T2GC', 6], ['B0BDHWDR12', 1]]);
+
+  // Only the keys that could still be listed late are kept
+  assert.strictEqual((await store.get('summary/2024-03-05')).recent.length, 1);
+  store.eventReads = 0;
+  assert.strictEqual((await stats(START + 12 * 60 * 1000)).totals.clicks, 7);
+  assert.strictEqual(store.eventReads, 0);
+});
+
+test('an event listed late but stamped just before the newest counted one is still counted', async () => {
+  const store = countingStore();
+  const stats = (time) => getClickStats({ store: store, days: 1, now: () => time });
+
+  await click(store, START + 5000);
+  assert.strictEqual((await stats(START + 6000)).totals.clicks, 1);
+
+  // Written by an invocation that started earlier and finished after the call above
+  await click(store, START + 2000);
+  store.eventReads = 0;
+  assert.strictEqual((await stats(START + 7000)).totals.clicks, 2);
+  assert.strictEqual(store.eventReads, 1);
+});
+
+test('a finished day is marked complete and no longer listed', async () => {
+  const store = countingStore();
+  const listed = [];
+  const list = store.list;
+  store.list = (prefix) => {
+    listed.push(prefix);
+    return list(prefix);
+  };
+
+  await click(store, START);
+  const nextDay = START + 24 * 60 * 60 * 1000;
+  assert.strictEqual((await getClickStats({ store: store, days: 2, now: () => nextDay })).totals.clicks, 1);
+  assert.strictEqual((await store.get('summary/2024-03-05')).complete, true);
+
+  listed.length = 0;
+  assert.strictEqual((await getClickStats({ store: store, days: 2, now: () => nextDay })).totals.clicks, 1);
+  assert.deepStrictEqual(listed, ['events/2024-03-06/']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { testASINs, startPAAPIMock } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+
+const ASINS = testASINs(15);
+// Cached a day ago: past the TTL, but still worth showing
+const STALE = ASINS.slice(0, 3);
+
+let mock;
+let calls;
+let go;
+let collections;
+
+test.before(async () => {
+  mock = await startPAAPIMock();
+  ({ calls } = mock);
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  go = require('../netlify/functions/go');
+  collections = require('../netlify/lib/collections');
+
+  const { setCachedProduct } = require('../netlify/lib/product-cache');
+  for (const asin of STALE) {
+    await setCachedProduct(asin, 'us', { title: `Old ${asin}`, price: '$24.99', asin: asin, marketplace: 'us', source: 'paapi' }, {
+      now: () => Date.now() - 24 * 60 * 60 * 1000
+    });
+  }
+  await collections.saveCollection({ slug: 'desk-setup', title: 'Desk setup', items: ASINS });
+});
+
+test.after(() => mock.close());
+
+test('a cold collection fetches one batch live and fills in on later views', async () => {
+  const first = await go.handler({ path: '/c/desk-setup', httpMethod: 'GET', headers: {}, queryStringParameters: {} }, {});
+  assert.strictEqual(first.statusCode, 200);
+  assert.deepStrictEqual(calls, [ASINS.slice(3, 13)]);
+  // 10 fetched, 3 from the old cache entries, 2 left for later
+  for (const asin of ASINS.slice(3, 13)) assert.ok(first.body.includes(`Product ${asin}`), `${asin} missing`);
+  for (const asin of STALE) assert.ok(first.body.includes(`Old ${asin}`), `${asin} missing`);
+  for (const asin of ASINS.slice(13)) assert.ok(!first.body.includes(`Product ${asin}`), `${asin} fetched past the limit`);
+  // Not kept long, so the rest shows up soon
+  assert.match(first.headers['Cache-Control'], /max-age=60\b/);
+
+  calls.length = 0;
+  const items = await collections.loadCollectionItems(await collections.getCollection('desk-setup'));
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].sort(), [...ASINS.slice(13), ...STALE].sort());
+  assert.deepStrictEqual(items.map(item => item.asin), ASINS);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const go = require('../netlify/functions/go');
+const { getTheme } = require('../netlify/lib/templates');
+const { linkPartnerTags } = require('../netlify/lib/links');
+const { setCachedProduct } = require('../netlify/lib/product-cache');
+const { saveCollection } = require('../netlify/lib/collections');
+const { BUILTIN_TEMPLATES, PLATFORMS } = require('../netlify/lib/posts');
+const { DISCLOSURE_TEXT, DISCLOSURE_PLACEMENTS, POST_DISCLOSURE, hasDisclosure } = require('../netlify/lib/disclosure');
+const TEMPLATES = require('../netlify/templates');
+
+const ASINS = ['B09P21T2GC', 'B0BDHWDR12'];
+
+const product = asin => ({
+  title: `Wireless Noise Cancelling Headphones ${asin}`,
+  image: `https://m.media-amazon.com/images/I/${asin}.jpg`,
+  price: '$19.99',
+  listPrice: '$29.99',
+  savings: '$10.00',
+  savingsPercent: 33,
+  availability: 'In Stock',
+  isPrime: true,
+  rating: 4.5,
+  reviewCount: 1234,
+  asin: asin,
+  marketplace: 'us',
+  source: 'paapi'
+});
+
+const collection = {
+  slug: 'desk-setup',
+  title: 'Desk setup',
+  description: 'Everything on my desk',
+  marketplace: 'us',
+  tag: null,
+  theme: null,
+  items: ASINS.map(asin => ({ asin: asin, blurb: 'Love it', quantity: 1 }))
+};
+
+// ensureDisclosure patches pages that lack the disclosure and logs an error;
+// a template has to render it itself, so its notice must not show up here.
+function assertDisclosed(page, settings, what) {
+  assert.ok(hasDisclosure(page, settings), `${what} is missing the affiliate disclosure`);
+  assert.ok(!page.includes('class="affiliate-disclosure"'), `${what} only has the disclosure ensureDisclosure added`);
+}
+
+for (const templateName of Object.keys(TEMPLATES)) {
+  for (const placement of DISCLOSURE_PLACEMENTS) {
+    const theme = getTheme('test', {
+      themes: {
+        test: {
+          template: templateName,
+          disclosure: 'Test disclosure: we earn from qualifying purchases.',
+          disclosurePlacement: placement
+        }
+      }
+    });
+    const name = `${templateName} template, disclosure ${placement}`;
+    const target = {
+      asin: ASINS[0],
+      marketplace: 'us',
+      path: `/${ASINS[0]}`,
+      slug: null,
+      partnerTags: linkPartnerTags(null),
+      assignment: null
+    };
+    const items = ASINS.map(asin => ({ asin: asin, blurb: 'Love it', quantity: 2, result: { product: product(asin) } }));
+
+    test(`${name}: product page`, () => {
+      assertDisclosed(go.generateHTML(product(ASINS[0]), target, 'US', theme), theme.settings, 'product page');
+    });
+
+    test(`${name}: fallback page`, () => {
+      assertDisclosed(go.generateFallbackHTML(target, 'US', theme), theme.settings, 'fallback page');
+    });
+
+    test(`${name}: collection page`, () => {
+      assertDisclosed(go.generateCollectionHTML(collection, items, 'US', theme), theme.settings, 'collection page');
+    });
+
+    test(`${name}: cart page`, () => {
+      const cart = { marketplace: 'us', items: items, collection: null };
+      assertDisclosed(go.generateCartHTML(cart, items, '/cart/B09P21T2GC:2', 'https://www.amazon.com/gp/aws/cart/add.html', linkPartnerTags(null), theme), theme.settings, 'cart page');
+    });
+  }
+}
+
+test('pages served by the go function carry the disclosure', async () => {
+  for (const asin of ASINS) {
+    await setCachedProduct(asin, 'us', product(asin));
+  }
+  await saveCollection(collection);
+
+  const settings = { disclosure: DISCLOSURE_TEXT };
+  for (const path of [`/${ASINS[0]}`, '/c/desk-setup', '/cart/B09P21T2GC:2,B0BDHWDR12', '/cart/desk-setup']) {
+    const response = await go.handler({ path: path, httpMethod: 'GET', headers: {}, queryStringParameters: {} }, {});
+    assert.strictEqual(response.statusCode, 200, path);
+    assertDisclosed(response.body, settings, path);
+  }
+});
+
+test('/api/post output carries the disclosure for every template and platform', async () => {
+  await setCachedProduct(ASINS[0], 'us', {
+    ...product(ASINS[0]),
+    // Long enough that the X and Threads limits shorten it
+    title: `Wireless Noise Cancelling Headphones ${'with extra long product title words '.repeat(20)}`
+  });
+
+  const templates = [...Object.keys(BUILTIN_TEMPLATES).map(name => ({ template: name })), { text: '{title} {price} {link}' }];
+  for (const fields of templates) {
+    for (const platform of [undefined, ...Object.keys(PLATFORMS)]) {
+      const response = await go.handler({
+        path: '/api/post',
+        httpMethod: 'POST',
+        headers: {},
+        queryStringParameters: {},
+        body: JSON.stringify({ asin: ASINS[0], platform: platform, ...fields })
+      }, {});
+      const what = `${fields.template || 'custom'} post${platform ? ` for ${platform}` : ''}`;
+      assert.strictEqual(response.statusCode, 200, what);
+      assert.ok(JSON.parse(response.body).post.includes(POST_DISCLOSURE), `${what} is missing the disclosure`);
+    }
+  }
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.EXPERIMENTS = JSON.stringify({ countdown: { variants: { control: {}, short: { countdown: 1 } } } });
+
+const go = require('../netlify/functions/go');
+const { getStore } = require('../netlify/lib/store');
+const { setCachedProduct } = require('../netlify/lib/product-cache');
+const { recordClick } = require('../netlify/lib/clicks');
+const { assignVariant, compareRates, getExperimentResults } = require('../netlify/lib/experiments');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const PREVIEW_BOT = 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)';
+const EXPERIMENT = { variants: { control: {}, short: { countdown: 1 } } };
+
+function visit(path, headers = {}, query = {}) {
+  return go.handler({ path: path, httpMethod: 'GET', headers: headers, queryStringParameters: query }, {});
+}
+
+// Visitor ID whose cookie puts them in `variant`
+function visitorIn(variant) {
+  for (let i = 0; ; i++) {
+    const id = i.toString(16).padStart(16, '0');
+    if (assignVariant('countdown', EXPERIMENT, id) === variant) return id;
+  }
+}
+
+function outQuery(fields = {}) {
+  return {
+    e: 'countdown',
+    v: 'short',
+    asin: 'B09P21T2GC',
+    mp: 'us',
+    to: 'https://www.amazon.com/dp/B09P21T2GC',
+    ...fields
+  };
+}
+
+const events = async () => (await getStore('clicks').list('events/')).length;
+
+test.before(async () => {
+  await setCachedProduct('B09P21T2GC', 'us', {
+    title: 'Wireless Noise Cancelling Headphones',
+    price: '$19.99',
+    image: 'https://m.media-amazon.com/images/I/example.jpg',
+    asin: 'B09P21T2GC',
+    marketplace: 'us',
+    source: 'paapi'
+  });
+});
+
+test('with click tracking off, pages outside an experiment stay cacheable and nothing is logged', async () => {
+  // Bots are left out of experiments
+  const response = await visit('/B09P21T2GC', { 'user-agent': PREVIEW_BOT });
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.headers['Cache-Control'], /^public, max-age=\d+/);
+  assert.strictEqual(await events(), 0);
+});
+
+test('visitors in an experiment are logged with click tracking off', async () => {
+  const response = await visit('/B09P21T2GC', { 'user-agent': BROWSER });
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.headers['Cache-Control'], /^private/);
+  const cookie = response.headers['Set-Cookie'].split(';')[0];
+
+  const outUrl = /href="(\/out\?[^"]+)"/.exec(response.body);
+  assert.ok(outUrl, 'Amazon link does not go through /out');
+  const query = Object.fromEntries(new URLSearchParams(outUrl[1].replace(/^\/out\?/, '').replace(/&amp;/g, '&')));
+  const out = await visit('/out', { 'user-agent': BROWSER, cookie: cookie }, query);
+  assert.strictEqual(out.statusCode, 302);
+
+  const results = await getExperimentResults('countdown');
+  const variant = results.variants.find(entry => entry.name === query.v);
+  assert.strictEqual(variant.views, 1);
+  assert.strictEqual(variant.redirects, 1);
+});
+
+test('/out answers 400 and logs nothing for links it did not build', async () => {
+  const before = await events();
+  const headers = { 'user-agent': BROWSER, cookie: `olv=${visitorIn('short')}` };
+  for (const fields of [
+    { e: 'made-up' },
+    { e: 'toString' },
+    { v: 'unknown' },
+    { v: '__proto__' },
+    { v: 'constructor' },
+    { asin: 'not-an-asin' },
+    { asin: undefined },
+    { mp: 'constructor' },
+    { mp: '__proto__' },
+    { slug: '../admin' }
+  ]) {
+    const out = await visit('/out', headers, outQuery(fields));
+    assert.strictEqual(out.statusCode, 400, JSON.stringify(fields));
+  }
+  assert.strictEqual(await events(), before);
+  assert.strictEqual(({}).redirects, undefined);
+});
+
+test('/out forwards but does not count visitors their cookie puts in another variant', async () => {
+  const before = await events();
+
+  const forged = await visit('/out', { 'user-agent': BROWSER, cookie: `olv=${visitorIn('control')}` }, outQuery({ v: 'short' }));
+  assert.strictEqual(forged.statusCode, 302);
+  const noCookie = await visit('/out', { 'user-agent': BROWSER }, outQuery());
+  assert.strictEqual(noCookie.statusCode, 302);
+  assert.strictEqual(await events(), before);
+
+  const counted = await visit('/out', { 'user-agent': BROWSER, cookie: `olv=${visitorIn('short')}` }, outQuery());
+  assert.strictEqual(counted.statusCode, 302);
+  assert.strictEqual(await events(), before + 1);
+});
+
+test('results compare the stored counts of each variant with the control', async () => {
+  const { createMemoryStore } = require('../netlify/lib/store');
+  const store = createMemoryStore();
+  const event = { headers: { 'user-agent': BROWSER } };
+  const log = async (variant, kind, times) => {
+    for (let i = 0; i < times; i++) {
+      await recordClick(event, { asin: 'B09P21T2GC', marketplace: 'us', kind: kind, experiment: 'countdown', variant: variant },
+        { enabled: true, store: store });
+    }
+  };
+  await log('control', 'view', 40);
+  await log('control', 'redirect', 10);
+  await log('short', 'view', 40);
+  await log('short', 'redirect', 24);
+  // Stored by hand, as if written before /out checked its input
+  await store.set(`events/${new Date().toISOString().substring(0, 10)}/${Date.now()}-proto`, {
+    asin: 'B09P21T2GC', marketplace: 'us', uaClass: 'desktop', bot: false, kind: 'redirect',
+    experiment: 'countdown', variant: '__proto__'
+  });
+
+  const results = await getExperimentResults('countdown', { store: store });
+  assert.strictEqual(results.control, 'control');
+  const [control, short] = results.variants;
+  assert.deepStrictEqual([control.views, control.redirects, control.rate], [40, 10, 0.25]);
+  assert.deepStrictEqual([short.views, short.redirects, short.rate], [40, 24, 0.6]);
+
+  const expected = compareRates({ views: 40, redirects: 10 }, { views: 40, redirects: 24 });
+  assert.strictEqual(short.lift, 1.4);
+  assert.strictEqual(short.zScore, Number(expected.zScore.toFixed(3)));
+  assert.strictEqual(short.pValue, Number(expected.pValue.toFixed(4)));
+  assert.strictEqual(short.significant, true);
+  assert.strictEqual(({}).redirects, undefined);
+  assert.strictEqual(await getExperimentResults('toString', { store: store }), null);
+});
+
+test('compareRates', () => {
+  assert.deepStrictEqual(compareRates({ views: 0, redirects: 0 }, { views: 10, redirects: 5 }),
+    { lift: null, zScore: null, pValue: null, significant: false });
+
+  const same = compareRates({ views: 100, redirects: 20 }, { views: 100, redirects: 20 });
+  assert.strictEqual(same.lift, 0);
+  assert.strictEqual(same.zScore, 0);
+  assert.ok(Math.abs(same.pValue - 1) < 1e-6);
+  assert.strictEqual(same.significant, false);
+
+  // 20% vs 30% of 1000: z = 0.1 / sqrt(0.25 * 0.75 * 2 / 1000) = 5.16
+  const better = compareRates({ views: 1000, redirects: 200 }, { views: 1000, redirects: 300 });
+  assert.ok(Math.abs(better.lift - 0.5) < 1e-9);
+  assert.ok(Math.abs(better.zScore - 5.164) < 0.001);
+  assert.ok(better.pValue < 0.001);
+  assert.strictEqual(better.significant, true);
+});
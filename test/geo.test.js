@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const { DEFAULT_COUNTRY_MARKETPLACES, getCountry, countryToMarketplace, localizeDestination } = require('../netlify/lib/geo');
+
+const TAGS = { us: 'ours-20', uk: 'ours-21', de: 'ours03-21' };
+
+function nfGeo(geo) {
+  return Buffer.from(JSON.stringify(geo)).toString('base64');
+}
+
+test('the country comes from x-country, then x-nf-geo, and only as a two-letter code', () => {
+  const cases = [
+    [{ 'x-country': 'DE' }, 'DE'],
+    [{ 'X-Country': ' gb ' }, 'GB'],
+    [{ 'x-nf-geo': nfGeo({ country: { code: 'fr', name: 'France' } }) }, 'FR'],
+    [{ 'x-country': 'IT', 'x-nf-geo': nfGeo({ country: { code: 'FR' } }) }, 'IT'],
+    // Hostile or broken values are ignored, falling back to x-nf-geo
+    [{ 'x-country': '<script>alert(1)</script>' }, null],
+    [{ 'x-country': 'USA' }, null],
+    [{ 'x-country': 'U' }, null],
+    [{ 'x-country': '__proto__' }, null],
+    [{ 'x-country': '../../etc' }, null],
+    [{ 'x-country': ['US', 'DE'] }, null],
+    [{ 'x-country': 'évil', 'x-nf-geo': nfGeo({ country: { code: 'ES' } }) }, 'ES'],
+    [{ 'x-nf-geo': nfGeo({ country: { code: 'constructor' } }) }, null],
+    [{ 'x-nf-geo': nfGeo({ country: { code: 49 } }) }, null],
+    [{ 'x-nf-geo': nfGeo(null) }, null],
+    [{ 'x-nf-geo': 'not base64 json' }, null],
+    [{}, null],
+    [undefined, null],
+    [null, null]
+  ];
+  for (const [headers, expected] of cases) {
+    assert.strictEqual(getCountry(headers), expected, JSON.stringify(headers));
+  }
+});
+
+test('countries map to the store that ships there', () => {
+  const cases = [
+    ['US', 'us'],
+    ['at', 'de'],
+    ['NZ', 'au'],
+    ['ZZ', null],
+    ['__proto__', null],
+    ['constructor', null],
+    ['TOSTRING', null],
+    ['', null],
+    [null, null]
+  ];
+  for (const [country, expected] of cases) {
+    assert.strictEqual(countryToMarketplace(country), expected, String(country));
+  }
+  // Overrides naming a store that doesn't exist are ignored
+  assert.strictEqual(countryToMarketplace('IE', { ...DEFAULT_COUNTRY_MARKETPLACES, IE: 'xx' }), null);
+  assert.strictEqual(countryToMarketplace('IE', { ...DEFAULT_COUNTRY_MARKETPLACES, IE: 'DE' }), 'de');
+});
+
+test('visitors go to their local store only where we hold a partner tag', () => {
+  const options = { enabled: true, partnerTags: TAGS, localLink: 'search' };
+  const cases = [
+    // country, link marketplace, expected marketplace, expected URL
+    ['US', 'us', 'us', 'https://www.amazon.com/dp/B09P21T2GC?tag=ours-20'],
+    ['DE', 'us', 'de', 'https://www.amazon.de/s?k=Wireless%20Earbuds&tag=ours03-21'],
+    ['AT', 'uk', 'de', 'https://www.amazon.de/s?k=Wireless%20Earbuds&tag=ours03-21'],
+    ['GB', 'de', 'uk', 'https://www.amazon.co.uk/s?k=Wireless%20Earbuds&tag=ours-21'],
+    // No tag for Japan: the link's own store
+    ['JP', 'uk', 'uk', 'https://www.amazon.co.uk/dp/B09P21T2GC?tag=ours-21'],
+    ['ZZ', 'de', 'de', 'https://www.amazon.de/dp/B09P21T2GC?tag=ours03-21'],
+    ['<script>', 'us', 'us', 'https://www.amazon.com/dp/B09P21T2GC?tag=ours-20'],
+    [null, 'us', 'us', 'https://www.amazon.com/dp/B09P21T2GC?tag=ours-20']
+  ];
+  for (const [country, marketplace, expectedMarketplace, expectedUrl] of cases) {
+    const destination = localizeDestination({ asin: 'B09P21T2GC', marketplace: marketplace, country: country, keywords: 'Wireless Earbuds' }, options);
+    assert.deepStrictEqual(destination, {
+      marketplace: expectedMarketplace,
+      url: expectedUrl,
+      localized: expectedMarketplace !== marketplace
+    }, `${country} on a ${marketplace} link`);
+  }
+});
+
+test('local links can go to the product page, and localisation can be switched off', () => {
+  const target = { asin: 'B09P21T2GC', marketplace: 'us', country: 'DE' };
+  assert.strictEqual(localizeDestination(target, { enabled: true, partnerTags: TAGS, localLink: 'dp' }).url, 'https://www.amazon.de/dp/B09P21T2GC?tag=ours03-21');
+  // Without keywords the local store is searched for the ASIN
+  assert.strictEqual(localizeDestination(target, { enabled: true, partnerTags: TAGS }).url, 'https://www.amazon.de/s?k=B09P21T2GC&tag=ours03-21');
+  assert.deepStrictEqual(localizeDestination(target, { enabled: false, partnerTags: TAGS }), {
+    marketplace: 'us',
+    url: 'https://www.amazon.com/dp/B09P21T2GC?tag=ours-20',
+    localized: false
+  });
+});
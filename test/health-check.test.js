@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { testASINs, productItem, startPAAPIMock, testRunBudget } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+process.env.PAAPI_BATCH_INTERVAL = '150';
+
+const ASINS = testASINs(25);
+
+// What Amazon says about particular ASINs, set by the tests
+const changes = {};
+
+let mock;
+let runHealthCheck;
+
+test.before(async () => {
+  mock = await startPAAPIMock(
+    asin => (changes[asin] === undefined ? productItem(asin) : changes[asin]),
+    asin => (changes[asin] === null && asin === ASINS[0]
+      ? { Code: 'ItemNotAccessible', Message: `The ItemId ${asin} is not accessible through the Product Advertising API.` }
+      : null)
+  );
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  ({ runHealthCheck } = require('../netlify/lib/health-check'));
+
+  const { setCachedProduct } = require('../netlify/lib/product-cache');
+  for (const asin of ASINS) {
+    await setCachedProduct(asin, 'us', { title: `Product ${asin}`, price: '$19.99', asin: asin, marketplace: 'us' });
+  }
+});
+
+test.after(() => mock.close());
+
+testRunBudget(options => runHealthCheck(options), () => mock, ASINS);
+
+test('the report sorts products into missing, unavailable, failed and price changes', async () => {
+  const [gone, unavailable, unreturned, cheaper] = ASINS;
+  changes[gone] = null;
+  changes[unreturned] = null;
+  changes[unavailable] = {
+    ...productItem(unavailable),
+    Offers: { Listings: [{ Price: { DisplayAmount: '$19.99', Amount: 19.99 }, Availability: { Message: 'Currently unavailable.' } }] }
+  };
+  changes[cheaper] = { ...productItem(cheaper), Offers: { Listings: [{ Price: { DisplayAmount: '$14.99', Amount: 14.99 } }] } };
+
+  const report = await runHealthCheck({ limit: 0, budget: 0, batchInterval: 0 });
+  assert.deepStrictEqual(report.counts, { missing: 1, unavailable: 1, placeholder: 0, priceChanges: 1, failed: 1, ok: 21 });
+  assert.strictEqual(report.missing[0].asin, gone);
+  assert.match(report.missing[0].reason, /not accessible/);
+  assert.deepStrictEqual([report.unavailable[0].asin, report.unavailable[0].availability], [unavailable, 'Currently unavailable.']);
+  assert.strictEqual(report.failed[0].asin, unreturned);
+  assert.deepStrictEqual(
+    [report.priceChanges[0].asin, report.priceChanges[0].from, report.priceChanges[0].to, report.priceChanges[0].percent],
+    [cheaper, '$19.99', '$14.99', -25]
+  );
+});
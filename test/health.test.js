@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { productItem, startPAAPIMock } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+
+const HOUR = 60 * 60 * 1000;
+
+// Availability the PA-API stand-in answers with, and its calls since the test started
+const state = { availability: 'In Stock', from: 0 };
+
+let mock;
+let go;
+let health;
+let store;
+
+test.before(async () => {
+  mock = await startPAAPIMock(asin => ({
+    ...productItem(asin),
+    Offers: { Listings: [{ Price: { DisplayAmount: '$19.99', Amount: 19.99 }, Availability: { Message: state.availability } }] }
+  }));
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  go = require('../netlify/functions/go');
+  health = require('../netlify/lib/health');
+  store = require('../netlify/lib/store').getStore('health');
+});
+
+test.after(() => mock.close());
+
+test.beforeEach(() => {
+  state.from = mock.calls.length;
+});
+
+const callsSince = () => mock.calls.length - state.from;
+
+async function setHealth(status, checkedAgo) {
+  const checkedAt = new Date(Date.now() - checkedAgo).toISOString();
+  await store.set('us:B09P21T2GC', {
+    asin: 'B09P21T2GC',
+    marketplace: 'us',
+    status: status,
+    reason: 'Currently unavailable.',
+    since: checkedAt,
+    checkedAt: checkedAt
+  });
+}
+
+function visit() {
+  return go.handler({ path: '/B09P21T2GC', httpMethod: 'GET', headers: {}, queryStringParameters: {} }, {});
+}
+
+test('a recent unavailable status redirects to the fallback without asking Amazon', async () => {
+  await setHealth('unavailable', 5 * 60 * 1000);
+
+  const response = await visit();
+  assert.strictEqual(response.statusCode, 302);
+  assert.strictEqual(callsSince(), 0);
+});
+
+test('an old unavailable status is checked again and the page served once the product is back', async () => {
+  state.availability = 'In Stock';
+  await setHealth('unavailable', 2 * HOUR);
+
+  const response = await visit();
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(callsSince(), 1);
+  assert.strictEqual((await health.getHealth('B09P21T2GC', 'us')).status, 'ok');
+});
+
+test('an old status the recheck confirms still redirects, and is not checked again on the next visit', async () => {
+  state.availability = 'Currently unavailable.';
+  await setHealth('unavailable', 2 * HOUR);
+
+  const first = await visit();
+  assert.strictEqual(first.statusCode, 302);
+  assert.strictEqual(callsSince(), 1);
+  const record = await health.getHealth('B09P21T2GC', 'us');
+  assert.strictEqual(record.status, 'unavailable');
+  assert.ok(Date.now() - Date.parse(record.checkedAt) < 60 * 1000, 'checkedAt was not refreshed');
+
+  const second = await visit();
+  assert.strictEqual(second.statusCode, 302);
+  assert.strictEqual(callsSince(), 1);
+});
+
+test('isDueForRecheck only applies to unhealthy records past the interval', () => {
+  const now = () => Date.parse('2024-03-05T12:00:00Z');
+  const record = (status, checkedAt) => ({ status: status, checkedAt: checkedAt });
+
+  assert.strictEqual(health.isDueForRecheck(record('dead', '2024-03-05T10:00:00Z'), { now: now, interval: 3600 }), true);
+  assert.strictEqual(health.isDueForRecheck(record('unavailable', '2024-03-05T11:30:00Z'), { now: now, interval: 3600 }), false);
+  assert.strictEqual(health.isDueForRecheck(record('ok', '2024-03-01T00:00:00Z'), { now: now, interval: 3600 }), false);
+  assert.strictEqual(health.isDueForRecheck(null, { now: now }), false);
+});
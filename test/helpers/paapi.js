@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Shared by the tests that fetch through PA-API: a local stand-in for the
+// GetItems endpoint, and the budget tests every batched run (health check,
+// watchlist) has to pass. Not a test file itself.
+
+function testASINs(count) {
+  return Array.from({ length: count }, (_, i) => `B0TEST${String(i).padStart(4, '0')}`);
+}
+
+function productItem(asin) {
+  return {
+    ASIN: asin,
+    ItemInfo: { Title: { DisplayValue: `Product ${asin}` } },
+    Offers: { Listings: [{ Price: { DisplayAmount: '$19.99', Amount: 19.99 } }] }
+  };
+}
+
+// Answers every GetItems call with item(asin) for each requested ASIN (null
+// leaves it out) plus the item errors error(asin) returns ({ Code, Message }),
+// and records the ItemIds and arrival time of the call. Set PAAPI_ENDPOINT to
+// mock.endpoint before requiring lib/paapi.js.
+async function startPAAPIMock(item = productItem, error = () => null) {
+  const mock = { calls: [], times: [] };
+  mock.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const asins = JSON.parse(body).ItemIds;
+      mock.calls.push(asins);
+      mock.times.push(Date.now());
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ItemsResult: { Items: asins.map(item).filter(Boolean) },
+        Errors: asins.map(error).filter(Boolean)
+      }));
+    });
+  });
+
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  mock.endpoint = `http://127.0.0.1:${mock.server.address().port}`;
+  mock.close = () => mock.server.close();
+  return mock;
+}
+
+// A clock on which every GetItems call takes 5 seconds
+function slowClock(mock) {
+  const start = Date.now();
+  const calls = mock.calls.length;
+  return () => start + (mock.calls.length - calls) * 5000;
+}
+
+// Budget tests for a batched run. run(options) passes its options on to the
+// run (limit, budget, batchInterval, now) and returns its { checked, total };
+// asins are what it checks, none of them checked before. The file has to
+// set PAAPI_BATCH_INTERVAL=150 before requiring lib/paapi.js.
+function testRunBudget(run, getMock, asins) {
+  test('a run stops starting fetches once its budget is spent and the next one picks up the rest', async () => {
+    const mock = getMock();
+    let from = mock.calls.length;
+    const first = await run({ limit: 0, budget: 10, batchInterval: 0, now: slowClock(mock) });
+    assert.strictEqual(first.total, asins.length);
+    assert.strictEqual(first.checked, 20);
+    assert.deepStrictEqual(mock.calls.slice(from).map(ids => ids.length), [10, 10]);
+    const checkedFirst = new Set(mock.calls.slice(from).flat());
+
+    from = mock.calls.length;
+    const second = await run({ limit: 5, budget: 10, batchInterval: 0, now: slowClock(mock) });
+    assert.strictEqual(second.checked, 5);
+    assert.deepStrictEqual(mock.calls.slice(from).flat().sort(), asins.filter(asin => !checkedFirst.has(asin)).sort());
+  });
+
+  test('a budget of 0 checks everything', async () => {
+    const mock = getMock();
+    const from = mock.calls.length;
+    const report = await run({ limit: 0, budget: 0, batchInterval: 0, now: slowClock(mock) });
+    assert.strictEqual(report.checked, asins.length);
+    assert.deepStrictEqual(mock.calls.slice(from).flat().sort(), [...asins].sort());
+  });
+
+  test('without a batchInterval option, GetItems calls are spaced by PAAPI_BATCH_INTERVAL', async () => {
+    const mock = getMock();
+    const from = mock.times.length;
+    await run({ limit: 0, budget: 0 });
+    const times = mock.times.slice(from);
+    assert.ok(times.length > 1);
+    for (let i = 1; i < times.length; i++) {
+      assert.ok(times[i] - times[i - 1] >= 140, `calls ${i - 1} and ${i} were ${times[i] - times[i - 1]}ms apart`);
+    }
+  });
+}
+
+module.exports = {
+  testASINs,
+  productItem,
+  startPAAPIMock,
+  slowClock,
+  testRunBudget
+};
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const { normalizeSlug, validateLink, getLink, saveLink, deleteLink, listLinks, resolveLinkPath } = require('../netlify/lib/links');
+const { createMemoryStore } = require('../netlify/lib/store');
+
+const NOW = Date.parse('2024-03-05T12:00:00Z');
+
+test('slugs are normalized or refused', () => {
+  const cases = [
+    ['airpods-deal', 'airpods-deal'],
+    ['/Airpods-Deal/', 'airpods-deal'],
+    ['b09p21t2gc/IG-Story', 'B09P21T2GC/ig-story'],
+    ['ab', null],
+    ['B09P21T2GC', null],
+    ['uk', null],
+    ['admin', null],
+    ['deal/extra', null],
+    ['../etc/passwd', null],
+    ['deal?x=1', null],
+    ['', null],
+    [42, null],
+    [null, null]
+  ];
+  for (const [input, expected] of cases) {
+    assert.strictEqual(normalizeSlug(input), expected, JSON.stringify(input));
+  }
+});
+
+test('a link gets its defaults and the ASIN of its campaign slug', () => {
+  const { link } = validateLink({ slug: 'B09P21T2GC/ig-story', note: 'Instagram story', theme: 'deals' });
+  assert.deepStrictEqual(link, {
+    slug: 'B09P21T2GC/ig-story',
+    asin: 'B09P21T2GC',
+    marketplace: 'us',
+    tag: null,
+    note: 'Instagram story',
+    theme: 'deals',
+    mode: null,
+    fallback: null,
+    disabled: false,
+    previousAsins: []
+  });
+});
+
+test('links with fields of the wrong type or shape are refused', () => {
+  const base = { slug: 'airpods-deal', asin: 'B09P21T2GC' };
+  const cases = {
+    'no ASIN': { asin: undefined },
+    'bad ASIN': { asin: 'B09' },
+    'unknown marketplace': { marketplace: 'xx' },
+    'tag not text': { tag: 12345 },
+    'bad tag': { tag: 'my tag' },
+    'unknown mode': { mode: 'sneaky' },
+    'theme not text': { theme: { template: 'default' } },
+    'theme too long': { theme: 't'.repeat(65) },
+    'note not text': { note: ['a', 'b'] },
+    'note too long': { note: 'n'.repeat(501) },
+    'bad fallback': { fallback: { type: 'url', url: 'https://example.com' } }
+  };
+  for (const [name, fields] of Object.entries(cases)) {
+    const result = validateLink({ ...base, ...fields });
+    assert.ok(result.error, name);
+    assert.strictEqual(result.link, undefined, name);
+  }
+});
+
+test('saved links keep their creation time and can be listed and deleted', async () => {
+  const store = createMemoryStore();
+  let time = NOW;
+  const options = { store: store, now: () => time };
+
+  const created = await saveLink({ slug: 'airpods-deal', asin: 'b09p21t2gc', marketplace: 'UK' }, options);
+  assert.strictEqual(created.asin, 'B09P21T2GC');
+  assert.strictEqual(created.marketplace, 'uk');
+  assert.strictEqual(created.createdAt, new Date(NOW).toISOString());
+
+  time = NOW + 1000;
+  const updated = await saveLink({ slug: 'Airpods-Deal', asin: 'B0BDHWDR12', note: 'Newer model' }, options);
+  assert.strictEqual(updated.createdAt, new Date(NOW).toISOString());
+  assert.strictEqual(updated.updatedAt, new Date(NOW + 1000).toISOString());
+  assert.deepStrictEqual(await getLink('/airpods-deal', options), updated);
+
+  await saveLink({ slug: 'B09P21T2GC/ig-story' }, options);
+  assert.deepStrictEqual((await listLinks(options)).map(link => link.slug), ['airpods-deal', 'B09P21T2GC/ig-story']);
+
+  assert.strictEqual(await deleteLink('airpods-deal', options), true);
+  assert.strictEqual(await deleteLink('airpods-deal', options), false);
+  assert.strictEqual(await getLink('airpods-deal', options), null);
+  await assert.rejects(saveLink({ slug: 'airpods-deal', asin: 'B09P21T2GC', note: 42 }, options), /Notes are text/);
+});
+
+test('request paths resolve to plain products, campaigns and custom slugs', async () => {
+  const store = createMemoryStore();
+  const options = { store: store, now: () => NOW };
+  await saveLink({ slug: 'airpods-deal', asin: 'B0BDHWDR12', marketplace: 'de' }, options);
+  await saveLink({ slug: 'B09P21T2GC/ig-story', asin: 'B0CHWRXH8B' }, options);
+
+  const cases = [
+    ['/B09P21T2GC', 'B09P21T2GC', null, null],
+    ['/uk/B09P21T2GC', 'B09P21T2GC', 'uk', null],
+    ['/airpods-deal', 'B0BDHWDR12', 'de', 'airpods-deal'],
+    ['/B09P21T2GC/ig-story', 'B0CHWRXH8B', 'us', 'B09P21T2GC/ig-story'],
+    ['/uk/B09P21T2GC/ig-story', 'B0CHWRXH8B', 'us', 'B09P21T2GC/ig-story'],
+    // Unknown campaigns still open the product, unknown slugs nothing
+    ['/B09P21T2GC/unknown', 'B09P21T2GC', null, null],
+    ['/no-such-link', null, null, null],
+    ['/admin', null, null, null],
+    ['/', null, null, null]
+  ];
+  for (const [path, asin, marketplace, slug] of cases) {
+    const resolved = await resolveLinkPath(path, options);
+    assert.strictEqual(resolved.asin, asin, path);
+    assert.strictEqual(resolved.marketplace, marketplace, path);
+    assert.strictEqual(resolved.link && resolved.link.slug, slug, path);
+  }
+});
+
+test('a failing link store still resolves the plain product', async () => {
+  const store = { ...createMemoryStore(), get: async () => { throw new Error('store down'); } };
+  assert.deepStrictEqual(await resolveLinkPath('/B09P21T2GC/ig-story', { store: store }), { asin: 'B09P21T2GC', marketplace: null, link: null });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const go = require('../netlify/functions/go');
+const { setCachedProduct } = require('../netlify/lib/product-cache');
+const { getMarketplace, isMarketplaceCode, buildAffiliateURL, linkPath } = require('../netlify/lib/marketplaces');
+
+function api(path, query = {}) {
+  return go.handler({ path: path, httpMethod: 'GET', headers: {}, queryStringParameters: query }, {});
+}
+
+test('getMarketplace falls back to the default for anything that is not a marketplace code', () => {
+  assert.strictEqual(getMarketplace('uk').domain, 'www.amazon.co.uk');
+  assert.strictEqual(getMarketplace('DE').code, 'de');
+
+  for (const code of [undefined, null, '', 'xx', 'constructor', '__proto__', 'toString', 1, {}, ['uk']]) {
+    const marketplace = getMarketplace(code);
+    assert.strictEqual(marketplace.code, 'us', String(code));
+    assert.strictEqual(marketplace.domain, 'www.amazon.com', String(code));
+    assert.strictEqual(isMarketplaceCode(code), false, String(code));
+  }
+  assert.strictEqual(buildAffiliateURL('B09P21T2GC', 'constructor'), buildAffiliateURL('B09P21T2GC', 'us'));
+  assert.strictEqual(linkPath('B09P21T2GC', 'constructor'), '/B09P21T2GC');
+});
+
+test('/api/product and its history answer 400 for an unknown ?marketplace=', async () => {
+  for (const marketplace of ['constructor', '__proto__', 'xx']) {
+    assert.strictEqual((await api('/api/product/B09P21T2GC', { marketplace: marketplace })).statusCode, 400, marketplace);
+    assert.strictEqual((await api('/api/product/B09P21T2GC/history', { marketplace: marketplace })).statusCode, 400, marketplace);
+  }
+});
+
+test('/api/product and its history serve a known ?marketplace=', async () => {
+  await setCachedProduct('B09P21T2GC', 'uk', {
+    title: 'Wireless Noise Cancelling Headphones',
+    price: '£19.99',
+    asin: 'B09P21T2GC',
+    marketplace: 'uk',
+    source: 'paapi'
+  });
+
+  const product = await api('/api/product/B09P21T2GC', { marketplace: 'uk' });
+  assert.strictEqual(product.statusCode, 200);
+  const body = JSON.parse(product.body);
+  assert.strictEqual(body.marketplace, 'uk');
+  assert.match(body.affiliateUrl, /^https:\/\/www\.amazon\.co\.uk\/dp\/B09P21T2GC\?tag=/);
+  assert.strictEqual(body.link, 'https://go.onelastlink.com/uk/B09P21T2GC');
+
+  const history = await api('/api/product/B09P21T2GC/history', { marketplace: 'uk' });
+  assert.strictEqual(history.statusCode, 200);
+  assert.strictEqual(JSON.parse(history.body).marketplace, 'uk');
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.LOG_LEVEL = 'error';
+
+const { getItems, fetchAmazonProductsAPI } = require('../netlify/lib/paapi');
+
+const ACCESS_KEY = 'AKIDEXAMPLE';
+const SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+const NOW = Date.parse('2024-03-05T06:07:08.123Z');
+const TARGET = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.GetItems';
+
+// Local stand-in for the PA-API host: records each request and answers with
+// an item per requested ASIN.
+function startMock() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body });
+      const items = JSON.parse(body).ItemIds.map(asin => ({
+        ASIN: asin,
+        ItemInfo: { Title: { DisplayValue: `Product ${asin}` } },
+        Offers: { Listings: [{ Price: { DisplayAmount: '$19.99', Amount: 19.99 } }] }
+      }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ItemsResult: { Items: items } }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server: server, requests: requests, endpoint: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// SigV4 worked out independently of lib/paapi.js from what was received
+function expectedSignature(received, { host, region, amzDate }) {
+  const dateStamp = amzDate.substring(0, 8);
+  const canonicalRequest = [
+    'POST',
+    '/paapi5/getitems',
+    '',
+    `content-type:${received.headers['content-type']}\nhost:${host}\nx-amz-date:${amzDate}\nx-amz-target:${TARGET}\n`,
+    'content-type;host;x-amz-date;x-amz-target',
+    crypto.createHash('sha256').update(received.body).digest('hex')
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/ProductAdvertisingAPI/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+  let key = Buffer.from(`AWS4${SECRET_KEY}`);
+  for (const part of [dateStamp, region, 'ProductAdvertisingAPI', 'aws4_request']) {
+    key = crypto.createHmac('sha256', key).update(part).digest();
+  }
+  return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+}
+
+const options = (endpoint, extra = {}) => ({
+  endpoint: endpoint,
+  accessKey: ACCESS_KEY,
+  secretKey: SECRET_KEY,
+  now: () => NOW,
+  ...extra
+});
+
+test('getItems sends a SigV4-signed GetItems request', async (t) => {
+  const mock = await startMock();
+  t.after(() => mock.server.close());
+
+  const response = await getItems(['B09P21T2GC'], 'us', options(mock.endpoint));
+  assert.strictEqual(response.ItemsResult.Items[0].ASIN, 'B09P21T2GC');
+
+  assert.strictEqual(mock.requests.length, 1);
+  const received = mock.requests[0];
+  assert.strictEqual(received.method, 'POST');
+  assert.strictEqual(received.url, '/paapi5/getitems');
+  assert.strictEqual(received.headers['x-amz-date'], '20240305T060708Z');
+  assert.strictEqual(received.headers['x-amz-target'], TARGET);
+  // Signed for the marketplace's real host, whatever the endpoint
+  assert.strictEqual(received.headers.host, 'webservices.amazon.com');
+  assert.strictEqual(Number(received.headers['content-length']), Buffer.byteLength(received.body));
+
+  const match = /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(received.headers.authorization);
+  assert.ok(match, `unexpected Authorization header: ${received.headers.authorization}`);
+  assert.strictEqual(match[1], `${ACCESS_KEY}/20240305/us-east-1/ProductAdvertisingAPI/aws4_request`);
+  assert.strictEqual(match[2], 'content-type;host;x-amz-date;x-amz-target');
+  assert.strictEqual(match[3], expectedSignature(received, {
+    host: 'webservices.amazon.com',
+    region: 'us-east-1',
+    amzDate: '20240305T060708Z'
+  }));
+
+  const payload = JSON.parse(received.body);
+  assert.deepStrictEqual(payload.ItemIds, ['B09P21T2GC']);
+  assert.strictEqual(payload.PartnerType, 'Associates');
+  assert.strictEqual(payload.Marketplace, 'www.amazon.com');
+});
+
+test('getItems signs for the marketplace host and region', async (t) => {
+  const mock = await startMock();
+  t.after(() => mock.server.close());
+
+  await getItems(['B09P21T2GC'], 'uk', options(mock.endpoint));
+
+  const received = mock.requests[0];
+  assert.strictEqual(received.headers.host, 'webservices.amazon.co.uk');
+  assert.match(received.headers.authorization, /Credential=AKIDEXAMPLE\/20240305\/eu-west-1\/ProductAdvertisingAPI\/aws4_request,/);
+  assert.ok(received.headers.authorization.endsWith(`Signature=${expectedSignature(received, {
+    host: 'webservices.amazon.co.uk',
+    region: 'eu-west-1',
+    amzDate: '20240305T060708Z'
+  })}`));
+  assert.strictEqual(JSON.parse(received.body).Marketplace, 'www.amazon.co.uk');
+});
+
+test('getItems sends through options.request when given', async () => {
+  const calls = [];
+  const request = async (url, requestOptions) => {
+    calls.push({ url: url, options: requestOptions });
+    return { statusCode: 200, headers: {}, body: JSON.stringify({ ItemsResult: { Items: [] } }) };
+  };
+
+  await getItems(['B09P21T2GC'], 'de', options('https://paapi.test/', { request: request }));
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].url, 'https://paapi.test/paapi5/getitems');
+  assert.strictEqual(calls[0].options.method, 'POST');
+  assert.strictEqual(calls[0].options.headers['Host'], 'webservices.amazon.de');
+  assert.strictEqual(calls[0].options.headers['X-Amz-Date'], '20240305T060708Z');
+  assert.match(calls[0].options.headers['Authorization'], /SignedHeaders=content-type;host;x-amz-date;x-amz-target,/);
+});
+
+test('fetchAmazonProductsAPI batches ASINs 10 per signed call', async (t) => {
+  const mock = await startMock();
+  t.after(() => mock.server.close());
+
+  const asins = Array.from({ length: 12 }, (_, i) => `B0TEST${String(i).padStart(4, '0')}`);
+  const { products, errors } = await fetchAmazonProductsAPI(asins, 'us', options(mock.endpoint, { batchInterval: 0 }));
+
+  assert.deepStrictEqual(mock.requests.map(received => JSON.parse(received.body).ItemIds.length), [10, 2]);
+  for (const received of mock.requests) {
+    assert.match(received.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\//);
+  }
+  assert.strictEqual(Object.keys(products).length, 12);
+  assert.deepStrictEqual(errors, {});
+  assert.strictEqual(products.B0TEST0011.title, 'Product B0TEST0011');
+});
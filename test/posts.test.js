@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const go = require('../netlify/functions/go');
+const { setCachedProduct } = require('../netlify/lib/product-cache');
+const { renderTemplate, postLength, buildPost, BUILTIN_TEMPLATES } = require('../netlify/lib/posts');
+const { POST_DISCLOSURE } = require('../netlify/lib/disclosure');
+
+const data = (fields = {}) => ({
+  title: 'Wireless Noise Cancelling Headphones',
+  price: '$19.99',
+  listPrice: '$29.99',
+  discount: 33,
+  link: 'https://go.onelastlink.com/B09P21T2GC',
+  disclosure: '#ad',
+  ...fields
+});
+
+function post(body) {
+  return go.handler({ path: '/api/post', httpMethod: 'POST', headers: {}, queryStringParameters: {}, body: JSON.stringify(body) }, {});
+}
+
+test.before(async () => {
+  await setCachedProduct('B09P21T2GC', 'us', {
+    title: 'Wireless Noise Cancelling Headphones',
+    price: '$19.99',
+    asin: 'B09P21T2GC',
+    marketplace: 'us',
+    source: 'paapi'
+  });
+});
+
+test('renderTemplate fills placeholders and keeps sections by whether their field is set', () => {
+  const fields = { title: 'Headphones', list: '$29.99', note: '' };
+  assert.strictEqual(renderTemplate('{title}{#list} (List: {list}){/list}', fields), 'Headphones (List: $29.99)');
+  assert.strictEqual(renderTemplate('{title}{#note}: {note}{/note}{^note}!{/note}', fields), 'Headphones!');
+  assert.strictEqual(renderTemplate('{#list}{#note}{note}{/note}{title}{/list}', fields), 'Headphones');
+  // Unknown placeholders, and ones named after Object.prototype, stay as they are
+  assert.strictEqual(renderTemplate('{title} {unknown} {constructor} {#toString}x{/toString}', fields), 'Headphones {unknown} {constructor} ');
+});
+
+test('postLength counts links as 23 and wide characters as two on X only', () => {
+  const text = '🎧 deal https://go.onelastlink.com/B09P21T2GC';
+  assert.strictEqual(postLength(text, 'x'), 2 + ' deal '.length + 23);
+  assert.strictEqual(postLength(text, 'threads'), [...text].length);
+  assert.strictEqual(postLength(text, 'constructor'), [...text].length);
+});
+
+test('buildPost renders the built-in templates with the disclosure and note', () => {
+  const built = buildPost(data(), 'detailed', { note: 'Clean white leather' });
+  assert.strictEqual(built.post,
+    'Wireless Noise Cancelling Headphones now only $19.99 (List: $29.99, 33% off)\n\nClean white leather\n\nhttps://go.onelastlink.com/B09P21T2GC\n\n#ad');
+  assert.deepStrictEqual([built.platform, built.limit, built.truncated, built.fits], [null, null, false, true]);
+
+  // Names that aren't templates or platforms fall back to the defaults
+  assert.strictEqual(buildPost(data(), 'toString').post, buildPost(data(), 'detailed').post);
+  assert.strictEqual(buildPost(data(), 'detailed', { platform: 'constructor' }).platform, null);
+});
+
+test('buildPost uses the platform variant and shortens the title to fit the limit', () => {
+  const template = { text: '{title}\n{link}', variants: { x: 'X: {title} {price}\n{link}' } };
+  const long = data({ title: `Headphones ${'with a very long product title '.repeat(15)}` });
+
+  const x = buildPost(long, template, { platform: 'x' });
+  assert.ok(x.post.startsWith('X: Headphones with'));
+  assert.ok(x.post.includes('… $19.99\nhttps://go.onelastlink.com/B09P21T2GC'));
+  assert.strictEqual(x.truncated, true);
+  assert.strictEqual(x.fits, true);
+  assert.ok(x.length <= 280 && x.length > 250, `length ${x.length}`);
+  assert.strictEqual(x.length, postLength(x.post, 'x'));
+
+  const telegram = buildPost(long, template, { platform: 'telegram' });
+  assert.ok(telegram.post.startsWith(`${long.title}\n`));
+  assert.strictEqual(telegram.truncated, false);
+
+  // The title is never cut below 20 characters, even if the post won't fit
+  const crowded = buildPost(data(), { text: `{title} ${'x'.repeat(300)}` }, { platform: 'x' });
+  assert.strictEqual(crowded.truncated, true);
+  assert.strictEqual(crowded.fits, false);
+  assert.ok(crowded.post.startsWith('Wireless Noise Cance…'));
+});
+
+test('the steal template only claims the lowest price backed by price history', () => {
+  const history = { isLowest: true, days: 90, current: { price: '$19.99' }, lowest: { price: '$19.99' } };
+  assert.match(buildPost(data({ history: history }), 'steal').post, /Lowest price in 90 days! \(90-day low: \$19\.99\)/);
+  assert.doesNotMatch(buildPost(data({ history: { ...history, isLowest: false } }), 'steal').post, /Lowest price/);
+  assert.doesNotMatch(buildPost(data({ history: { ...history, current: { price: '$24.99' } } }), 'steal').post, /Lowest price/);
+  assert.ok(Object.keys(BUILTIN_TEMPLATES).includes('steal'));
+});
+
+test('/api/post renders custom text with platform variants', async () => {
+  const response = await post({ asin: 'B09P21T2GC', text: '{title}', variants: { threads: 'On Threads: {price}' }, platform: 'threads' });
+  assert.strictEqual(response.statusCode, 200);
+  const body = JSON.parse(response.body);
+  assert.strictEqual(body.post, `On Threads: $19.99\n\n${POST_DISCLOSURE}`);
+  assert.strictEqual(body.template, 'custom');
+});
+
+test('/api/post answers 400 for inputs of the wrong kind', async () => {
+  for (const body of [
+    { asin: 'B09P21T2GC', template: 'toString' },
+    { asin: 'B09P21T2GC', template: '__proto__' },
+    { asin: 'B09P21T2GC', template: 5 },
+    { asin: 'B09P21T2GC', text: '{title}', variants: { x: 5 } },
+    { asin: 'B09P21T2GC', text: '{title}', variants: { constructor: '{title}' } },
+    { asin: 'B09P21T2GC', text: '{title}', variants: 'x' },
+    { asin: 'B09P21T2GC', text: 5 },
+    { asin: 'B09P21T2GC', text: ['{title}'] },
+    { asin: 'B09P21T2GC', marketplace: 1 },
+    { asin: 'B09P21T2GC', marketplace: 'constructor' },
+    { asin: 'B09P21T2GC', platform: 'constructor' },
+    { asin: 'B09P21T2GC', platform: ['x'] },
+    { asin: 'B09P21T2GC', note: { text: 'hi' } }
+  ]) {
+    const response = await post(body);
+    assert.strictEqual(response.statusCode, 400, JSON.stringify(body));
+    assert.ok(JSON.parse(response.body).error, JSON.stringify(body));
+  }
+});
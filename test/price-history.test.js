@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+delete process.env.PRICE_HISTORY_MIN_DAYS;
+delete process.env.PRICE_HISTORY_DAYS;
+
+const { createMemoryStore } = require('../netlify/lib/store');
+const { priceAmount, recordPrice, getPriceHistory } = require('../netlify/lib/price-history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-03-05T12:00:00Z');
+
+// History with one observation per [daysAgo, price]
+async function historyOf(points) {
+  const store = createMemoryStore();
+  for (const [daysAgo, price] of points) {
+    await recordPrice({ asin: 'B09P21T2GC', marketplace: 'us', price: price, source: 'paapi' }, { store: store, now: () => NOW - daysAgo * DAY });
+  }
+  return store;
+}
+
+function summary(store, options = {}) {
+  return getPriceHistory('B09P21T2GC', 'us', { store: store, now: () => NOW, ...options });
+}
+
+test('prices are read from the display text', () => {
+  const cases = [
+    ['$19.99', 19.99],
+    ['$1,299.99', 1299.99],
+    ['1.299,99 €', 1299.99],
+    ['￥1,234', 1234],
+    ['$0.00', null],
+    ['', null],
+    [undefined, null]
+  ];
+  for (const [price, expected] of cases) {
+    assert.strictEqual(priceAmount(price), expected, String(price));
+  }
+});
+
+test('placeholders and products without a price are not recorded', async () => {
+  const store = createMemoryStore();
+  assert.strictEqual(await recordPrice({ asin: 'B09P21T2GC', marketplace: 'us', price: '$9.99', source: 'placeholder' }, { store: store }), null);
+  assert.strictEqual(await recordPrice({ asin: 'B09P21T2GC', marketplace: 'us', price: '' }, { store: store }), null);
+  assert.strictEqual(await recordPrice(null, { store: store }), null);
+  assert.deepStrictEqual(await store.list(), []);
+});
+
+test('the summary gives the current price and the window\'s earliest low and high', async () => {
+  const store = await historyOf([[40, '$30.00'], [20, '$20.00'], [15, '$35.00'], [10, '$20.00'], [1, '$25.00']]);
+  const history = await summary(store);
+
+  assert.strictEqual(history.points.length, 5);
+  assert.deepStrictEqual(history.current, { price: '$25.00', amount: 25, at: new Date(NOW - DAY).toISOString() });
+  assert.deepStrictEqual(history.lowest, { price: '$20.00', amount: 20, at: new Date(NOW - 20 * DAY).toISOString() });
+  assert.deepStrictEqual(history.highest, { price: '$35.00', amount: 35, at: new Date(NOW - 15 * DAY).toISOString() });
+  assert.strictEqual(history.trackedSince, new Date(NOW - 40 * DAY).toISOString());
+  assert.strictEqual(history.isLowest, false);
+});
+
+test('isLowest needs the window\'s low and enough days of tracking', async () => {
+  const cases = [
+    ['current below everything before', [[30, '$30.00'], [10, '$25.00'], [0, '$19.99']], true],
+    ['current equal to an earlier low', [[30, '$19.99'], [10, '$25.00'], [0, '$19.99']], true],
+    ['current above the low', [[30, '$19.99'], [0, '$20.00']], false],
+    ['a single fresh point', [[0, '$19.99']], false],
+    ['tracked for less than 7 days', [[6, '$30.00'], [0, '$19.99']], false],
+    ['tracked for exactly 7 days', [[7, '$30.00'], [0, '$19.99']], true],
+    // The low only counts inside the window, the tracking time overall
+    ['lower only before the window', [[120, '$9.99'], [30, '$25.00'], [0, '$19.99']], true]
+  ];
+  for (const [name, points, expected] of cases) {
+    assert.strictEqual((await summary(await historyOf(points))).isLowest, expected, name);
+  }
+});
+
+test('the window is clamped and an unknown product has an empty summary', async () => {
+  const store = await historyOf([[120, '$9.99'], [30, '$25.00'], [0, '$19.99']]);
+
+  assert.strictEqual((await summary(store)).days, 90);
+  assert.strictEqual((await summary(store, { days: 365 })).lowest.amount, 9.99);
+  assert.strictEqual((await summary(store, { days: 0 })).days, 90);
+  assert.strictEqual((await summary(store, { days: 'all' })).days, 90);
+  assert.strictEqual((await summary(store, { days: 5000 })).days, 365);
+  assert.strictEqual((await summary(store, { days: -3 })).days, 1);
+
+  assert.deepStrictEqual(await getPriceHistory('b0bdhwdr12', 'us', { store: store, now: () => NOW }), {
+    asin: 'B0BDHWDR12',
+    marketplace: 'us',
+    days: 90,
+    points: [],
+    current: null,
+    lowest: null,
+    highest: null,
+    trackedSince: null,
+    isLowest: false
+  });
+});
+
+test('points past the retention period are dropped on the next write', async () => {
+  const store = await historyOf([[400, '$9.99'], [100, '$25.00'], [0, '$19.99']]);
+  const history = await summary(store, { days: 365 });
+  assert.deepStrictEqual(history.points.map(point => point.amount), [25, 19.99]);
+  assert.strictEqual(history.trackedSince, new Date(NOW - 100 * DAY).toISOString());
+});
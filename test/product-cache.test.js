@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { productItem, startPAAPIMock } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+
+const { createMemoryStore } = require('../netlify/lib/store');
+const { getCachedProduct, setCachedProduct } = require('../netlify/lib/product-cache');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2024-03-05T12:00:00Z');
+// One hour fresh, then a day of serving stale
+const WINDOWS = { ttl: 60 * 60, staleTtl: 24 * 60 * 60 };
+
+// What the PA-API stand-in answers: the product, or an item error for every ASIN
+const state = { failing: false };
+
+let mock;
+let getProduct;
+
+test.before(async () => {
+  mock = await startPAAPIMock(
+    asin => (state.failing ? null : productItem(asin)),
+    () => (state.failing ? { Code: 'TooManyRequests', Message: 'Slow down' } : null)
+  );
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  ({ getProduct } = require('../netlify/lib/products'));
+});
+
+test.after(() => mock.close());
+
+test.afterEach(() => {
+  state.failing = false;
+});
+
+function product(title, source = 'paapi') {
+  return { asin: 'B09P21T2GC', marketplace: 'us', title: title, price: '$19.99', source: source };
+}
+
+// Fetcher whose answers the test hands out one at a time
+function pendingFetcher() {
+  const fetcher = () => {
+    fetcher.calls++;
+    return new Promise((resolve, reject) => fetcher.waiting.push({ resolve, reject }));
+  };
+  fetcher.calls = 0;
+  fetcher.waiting = [];
+  return fetcher;
+}
+
+async function cachedAt(store, entry, agoMs) {
+  await setCachedProduct('B09P21T2GC', 'us', entry, { store: store, now: () => NOW - agoMs });
+}
+
+test('a fresh entry is served without fetching', async () => {
+  const store = createMemoryStore();
+  await cachedAt(store, product('Cached'), HOUR / 2);
+  const fetcher = pendingFetcher();
+
+  const result = await getCachedProduct('B09P21T2GC', 'us', fetcher, { ...WINDOWS, store: store, now: () => NOW });
+  assert.deepStrictEqual(result, { product: product('Cached'), status: 'hit', age: 30 * 60 });
+  assert.strictEqual(fetcher.calls, 0);
+});
+
+test('a stale entry is served at once and refreshed in the background, once', async () => {
+  const store = createMemoryStore();
+  await cachedAt(store, product('Old'), 2 * HOUR);
+  const fetcher = pendingFetcher();
+  const options = { ...WINDOWS, store: store, now: () => NOW };
+
+  const first = await getCachedProduct('B09P21T2GC', 'us', fetcher, options);
+  const second = await getCachedProduct('B09P21T2GC', 'us', fetcher, options);
+  assert.deepStrictEqual(first, { product: product('Old'), status: 'stale', age: 2 * 60 * 60 });
+  assert.strictEqual(second.status, 'stale');
+  assert.strictEqual(fetcher.calls, 1, 'concurrent hits share one refresh');
+
+  fetcher.waiting[0].resolve(product('New'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(await getCachedProduct('B09P21T2GC', 'us', fetcher, options), { product: product('New'), status: 'hit', age: 0 });
+});
+
+test('a failed background refresh keeps serving the stale entry', async () => {
+  const store = createMemoryStore();
+  await cachedAt(store, product('Old'), 2 * HOUR);
+  const fetcher = pendingFetcher();
+  const options = { ...WINDOWS, store: store, now: () => NOW };
+
+  await getCachedProduct('B09P21T2GC', 'us', fetcher, options);
+  fetcher.waiting[0].reject(new Error('PA-API down'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  const result = await getCachedProduct('B09P21T2GC', 'us', fetcher, options);
+  assert.strictEqual(result.status, 'stale');
+  assert.strictEqual(result.product.title, 'Old');
+  assert.strictEqual(fetcher.calls, 2, 'the next hit tries again');
+  fetcher.waiting[1].resolve(product('New'));
+  await new Promise(resolve => setImmediate(resolve));
+});
+
+test('past the stale window the product is fetched before responding', async () => {
+  const store = createMemoryStore();
+  await cachedAt(store, product('Ancient'), 30 * HOUR);
+
+  const result = await getCachedProduct('B09P21T2GC', 'us', async () => product('New'), { ...WINDOWS, store: store, now: () => NOW });
+  assert.deepStrictEqual(result, { product: product('New'), status: 'miss', age: 0 });
+});
+
+test('an expired entry is served when fetching fails, and nothing cached means the error', async () => {
+  const store = createMemoryStore();
+  const failing = async () => { throw new Error('PA-API down'); };
+  const options = { ...WINDOWS, store: store, now: () => NOW };
+
+  await assert.rejects(getCachedProduct('B09P21T2GC', 'us', failing, options), /PA-API down/);
+
+  await cachedAt(store, product('Ancient'), 30 * HOUR);
+  assert.deepStrictEqual(await getCachedProduct('B09P21T2GC', 'us', failing, options), { product: product('Ancient'), status: 'expired', age: 30 * 60 * 60 });
+});
+
+test('scraper placeholders are served but never cached', async () => {
+  const store = createMemoryStore();
+  const placeholder = { asin: 'B09P21T2GC', title: 'Amazon Product B09P21T2GC', source: 'placeholder' };
+
+  const result = await getCachedProduct('B09P21T2GC', 'us', async () => placeholder, { ...WINDOWS, store: store, now: () => NOW });
+  assert.strictEqual(result.product, placeholder);
+  assert.strictEqual(await store.get('us:B09P21T2GC'), null);
+  assert.strictEqual(await setCachedProduct('B09P21T2GC', 'us', placeholder, { store: store }), false);
+});
+
+test('getProduct flags everything but fresh PA-API data as degraded', { timeout: 5000 }, async () => {
+  const store = createMemoryStore();
+  const get = (cacheOptions = {}) => getProduct('B09P21T2GC', 'us', { paapi: true, cacheOptions: { ...WINDOWS, store: store, now: () => NOW, ...cacheOptions } });
+
+  // Live from PA-API
+  let result = await get();
+  assert.strictEqual(result.source, 'paapi');
+  assert.strictEqual(result.cache, 'miss');
+  assert.strictEqual(result.degraded, false);
+  assert.strictEqual(result.health, 'ok');
+
+  // Cached PA-API data, fresh or stale
+  assert.deepStrictEqual([(await get()).cache, (await get()).degraded], ['hit', false]);
+  result = await get({ now: () => NOW + 2 * HOUR });
+  assert.deepStrictEqual([result.cache, result.degraded, result.health], ['stale', false, null]);
+  // Let the background refresh land before the next call
+  while ((await store.get('us:B09P21T2GC')).fetchedAt !== NOW + 2 * HOUR) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  // PA-API failing past the stale window: the old copy, degraded
+  state.failing = true;
+  result = await get({ now: () => NOW + 30 * HOUR });
+  assert.strictEqual(result.cache, 'expired');
+  assert.strictEqual(result.degraded, true);
+  assert.strictEqual(result.product.title, 'Product B09P21T2GC');
+
+  // Scraped data is degraded even when fresh
+  await cachedAt(store, product('Scraped', 'scrape'), 0);
+  result = await get();
+  assert.deepStrictEqual([result.source, result.cache, result.degraded], ['scrape', 'hit', true]);
+});
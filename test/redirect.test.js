@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+delete process.env.CLICK_TRACKING;
+
+const go = require('../netlify/functions/go');
+const { getStore } = require('../netlify/lib/store');
+const { setCachedProduct } = require('../netlify/lib/product-cache');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const ASIN = 'B09P21T2GC';
+
+function visit(path, query = {}) {
+  return go.handler({ path: path, httpMethod: 'GET', headers: { 'user-agent': BROWSER }, queryStringParameters: query }, {});
+}
+
+async function loggedClicks() {
+  const keys = await getStore('clicks').list('events/');
+  return Promise.all(keys.map(key => getStore('clicks').get(key)));
+}
+
+test.before(() => setCachedProduct(ASIN, 'us', { asin: ASIN, title: 'Wireless Earbuds', price: '$19.99' }));
+
+test.beforeEach(async () => {
+  for (const key of await getStore('clicks').list('')) await getStore('clicks').delete(key);
+});
+
+test('an instant redirect is logged without CLICK_TRACKING', async () => {
+  const response = await visit(`/${ASIN}`, { mode: 'instant' });
+  assert.strictEqual(response.statusCode, 302);
+  assert.strictEqual(response.headers['Cache-Control'], 'private, no-store');
+
+  const clicks = await loggedClicks();
+  assert.strictEqual(clicks.length, 1);
+  assert.strictEqual(clicks[0].asin, ASIN);
+  assert.strictEqual(clicks[0].marketplace, 'us');
+});
+
+test('a redirect to the fallback of an unavailable product is logged without CLICK_TRACKING', async () => {
+  const checkedAt = new Date().toISOString();
+  await getStore('health').set(`us:${ASIN}`, { asin: ASIN, marketplace: 'us', status: 'unavailable', since: checkedAt, checkedAt: checkedAt });
+  try {
+    const response = await visit(`/${ASIN}`);
+    assert.strictEqual(response.statusCode, 302);
+    assert.strictEqual((await loggedClicks()).length, 1);
+  } finally {
+    await getStore('health').delete(`us:${ASIN}`);
+  }
+});
+
+test('an instant cart redirect logs one click per product without CLICK_TRACKING', async () => {
+  const response = await visit(`/cart/${ASIN}:2`, { mode: 'instant' });
+  assert.strictEqual(response.statusCode, 302);
+
+  const clicks = await loggedClicks();
+  assert.strictEqual(clicks.length, 1);
+  assert.strictEqual(clicks[0].asin, ASIN);
+});
+
+test('a cached interstitial page is not logged without CLICK_TRACKING', async () => {
+  const response = await visit(`/${ASIN}`);
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.headers['Cache-Control'], /^public/);
+  assert.deepStrictEqual(await loggedClicks(), []);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+
+const { fetchAmazonProductScraping } = require('../netlify/lib/scraper');
+
+// Enough of a product page for the selectors, padded past the "blocked" size
+const PAGE = `<html><body>
+<span id="productTitle"> Wireless Noise Cancelling Headphones </span>
+<img id="landingImage" data-old-hires="https://m.media-amazon.com/images/I/71abcDEF12L._AC_SX679_.jpg">
+<span class="a-price"><span class="a-offscreen">$19.99</span></span>
+<div id="availability"><span> In Stock </span></div>
+<!-- ${'x'.repeat(1000)} -->
+</body></html>`;
+
+function stub(response) {
+  const calls = [];
+  const request = async (url, options) => {
+    calls.push({ url: url, options: options });
+    return response;
+  };
+  return { calls: calls, request: request };
+}
+
+test('the product page is fetched through options.request and parsed', async () => {
+  const { calls, request } = stub({ statusCode: 200, headers: {}, body: PAGE });
+  const product = await fetchAmazonProductScraping('B09P21T2GC', 'uk', { request: request });
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].url, 'https://www.amazon.co.uk/dp/B09P21T2GC');
+  assert.strictEqual(calls[0].options.timeout, 12000);
+  assert.ok(calls[0].options.maxBytes > 0);
+  assert.match(calls[0].options.headers['Accept-Language'], /^en-GB,en;/);
+
+  assert.strictEqual(product.title, 'Wireless Noise Cancelling Headphones');
+  assert.strictEqual(product.image, 'https://m.media-amazon.com/images/I/71abcDEF12L._AC_SL1500_.jpg');
+  assert.strictEqual(product.availability, 'In Stock');
+  assert.strictEqual(product.marketplace, 'uk');
+});
+
+test('a 404 is reported as ItemNotFound', async () => {
+  const { request } = stub({ statusCode: 404, headers: {}, body: PAGE });
+  await assert.rejects(fetchAmazonProductScraping('B09P21T2GC', 'us', { request: request }), { code: 'ItemNotFound' });
+});
+
+test('a blocked request gets the placeholder', async () => {
+  const { request } = stub({ statusCode: 503, headers: {}, body: '<title>Robot Check</title>' });
+  const product = await fetchAmazonProductScraping('B09P21T2GC', 'us', { request: request });
+  assert.strictEqual(product.title, 'Amazon Product B09P21T2GC');
+  assert.strictEqual(product.price, '');
+});
+
+test('request errors are passed on', async () => {
+  const request = async () => { throw new Error('Request timeout: www.amazon.com'); };
+  await assert.rejects(fetchAmazonProductScraping('B09P21T2GC', 'us', { request: request }), /Request timeout/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+
+const { resolveShortLink } = require('../netlify/lib/shortlinks');
+const { createMemoryStore } = require('../netlify/lib/store');
+
+// Redirects a.co/d/abc123 -> amzn.to/xyz -> the product page
+function redirects() {
+  const calls = [];
+  const hops = {
+    'https://a.co/d/abc123': 'https://amzn.to/xyz',
+    'https://amzn.to/xyz': 'https://www.amazon.com/dp/B09P21T2GC?ref=share'
+  };
+  const request = async (url) => {
+    calls.push(url);
+    return { statusCode: 301, headers: { location: hops[url] }, body: '' };
+  };
+  return { calls: calls, request: request };
+}
+
+test('short links are followed until a hop names a product', async () => {
+  const { calls, request } = redirects();
+  const record = await resolveShortLink('https://a.co/d/abc123', { request: request, store: createMemoryStore() });
+  assert.strictEqual(record.asin, 'B09P21T2GC');
+  assert.strictEqual(calls.length, 2);
+});
+
+test('maxHops caps the hops followed, and 0 means none', async () => {
+  const one = redirects();
+  assert.strictEqual(await resolveShortLink('https://a.co/d/abc123', { request: one.request, store: createMemoryStore(), maxHops: 1 }), null);
+  assert.strictEqual(one.calls.length, 1);
+
+  const none = redirects();
+  assert.strictEqual(await resolveShortLink('https://a.co/d/abc123', { request: none.request, store: createMemoryStore(), maxHops: 0 }), null);
+  assert.strictEqual(none.calls.length, 0);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+process.env.LOG_LEVEL = 'error';
+
+const { sendMail } = require('../netlify/lib/smtp');
+
+// Plain-text SMTP server that accepts one message per connection and records
+// the commands and the DATA it received. Offers no STARTTLS.
+async function startSMTPServer() {
+  const server = { commands: [], data: null };
+  server.tcp = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.setEncoding('utf8');
+    socket.write('220 mail.example.test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        server.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 Queued\r\n');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        server.commands.push(line);
+        if (/^EHLO /.test(line)) socket.write('250-mail.example.test\r\n250 8BITMIME\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.tcp.listen(0, '127.0.0.1', resolve));
+  server.url = `smtp://127.0.0.1:${server.tcp.address().port}`;
+  return server;
+}
+
+test('sendMail delivers one base64-encoded message to every recipient', async (t) => {
+  const server = await startSMTPServer();
+  t.after(() => server.tcp.close());
+
+  await sendMail({
+    from: 'deals@example.com',
+    to: ['deals@example.com', 'editor@example.com'],
+    subject: 'Deal alert: Kopfhörer für 19,99 €\r\nBcc: victim@example.com',
+    text: 'Wireless Noise Cancelling Headphones is now $19.99\r\n.\r\nNot the end'
+  }, { url: server.url });
+
+  const commands = server.commands.filter(line => !line.startsWith('EHLO'));
+  assert.deepStrictEqual(commands, [
+    'MAIL FROM:<deals@example.com>',
+    'RCPT TO:<deals@example.com>',
+    'RCPT TO:<editor@example.com>',
+    'DATA',
+    'QUIT'
+  ]);
+
+  const [head, body] = server.data.split('\r\n\r\n');
+  const headers = head.split('\r\n');
+  assert.ok(headers.includes('To: deals@example.com, editor@example.com'));
+  assert.ok(!headers.some(header => header.startsWith('Bcc:')), 'subject started a new header');
+  const subject = headers.find(header => header.startsWith('Subject: '));
+  const encoded = /^Subject: =\?UTF-8\?B\?(.+)\?=$/.exec(subject);
+  assert.ok(encoded, subject);
+  assert.strictEqual(Buffer.from(encoded[1], 'base64').toString('utf8'), 'Deal alert: Kopfhörer für 19,99 € Bcc: victim@example.com');
+  assert.strictEqual(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'),
+    'Wireless Noise Cancelling Headphones is now $19.99\r\n.\r\nNot the end');
+});
+
+test('sendMail never sends credentials over an unencrypted connection', async (t) => {
+  const server = await startSMTPServer();
+  t.after(() => server.tcp.close());
+
+  const url = server.url.replace('smtp://', 'smtp://alerts:password@');
+  await assert.rejects(sendMail({ from: 'deals@example.com', to: ['deals@example.com'], subject: 'Hi', text: 'Hi' }, { url: url }),
+    /not sending credentials in the clear/);
+  assert.ok(!server.commands.some(line => line.startsWith('AUTH')));
+  assert.strictEqual(server.data, null);
+});
+
+test('sendMail refuses addresses that are not email addresses', async () => {
+  await assert.rejects(sendMail({ from: 'deals@example.com', to: ['a@example.com>\r\nRCPT TO:<b@example.com'], subject: 'Hi', text: 'Hi' },
+    { url: 'smtp://127.0.0.1:1' }), /Not an email address/);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+
+const go = require('../netlify/functions/go');
+const { getTheme } = require('../netlify/lib/templates');
+const { linkPartnerTags } = require('../netlify/lib/links');
+const TEMPLATES = require('../netlify/templates');
+
+// Scraped titles are third-party input: each of these would break out of an
+// attribute, a text node or an inline <script> if it reached the page as is.
+const HOSTILE_TITLE = `"><script>alert(1)</script><img src=x onerror=alert(2)>'\`</script><!-- \u2028 & javascript:alert(3)`;
+
+const hostileProduct = {
+  title: HOSTILE_TITLE,
+  image: 'javascript:alert(4)',
+  price: '<b>$19.99</b>',
+  listPrice: '"$29.99"',
+  savings: null,
+  savingsPercent: 33,
+  availability: '<i>In Stock</i>',
+  isPrime: true,
+  rating: 4.5,
+  reviewCount: 1234,
+  asin: 'B09P21T2GC',
+  marketplace: 'us',
+  source: 'scrape'
+};
+
+const target = (extra = {}) => ({
+  asin: 'B09P21T2GC',
+  marketplace: 'us',
+  path: '/B09P21T2GC',
+  slug: null,
+  partnerTags: linkPartnerTags(null),
+  assignment: null,
+  ...extra
+});
+
+function scripts(page) {
+  return [...page.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)].map(match => match[1]);
+}
+
+function metaTags(page) {
+  return page.match(/<meta\b[^>]*>/gi) || [];
+}
+
+// Nothing from the hostile input may turn into markup, an event handler or a
+// javascript: URL, and every inline script must still parse on its own.
+function assertEscaped(page) {
+  assert.ok(!page.includes('<script>alert('), 'script tag injected');
+  assert.ok(!/<img src=x/i.test(page), 'img tag injected');
+  assert.ok(!/javascript:alert\(4\)/.test(page), 'javascript: URL used as a link');
+  assert.ok(!/(src|href|content)="javascript:/i.test(page), 'javascript: URL in an attribute');
+  assert.ok(!page.includes('<!-- \u2028'), 'comment opened');
+
+  const openings = (page.match(/<script\b/gi) || []).length;
+  const closings = (page.match(/<\/script>/gi) || []).length;
+  assert.strictEqual(closings, openings, 'a </script> in the data closed a script early');
+
+  for (const body of scripts(page)) {
+    assert.doesNotThrow(() => new Function(body), `inline script no longer parses:\n${body}`);
+    assert.ok(!body.includes('</'), 'raw </ inside an inline script');
+  }
+
+  for (const tag of metaTags(page)) {
+    const attributes = tag.replace(/\s*\/?>$/, '').replace(/^<meta\b/i, '');
+    assert.match(attributes, /^(\s+[\w:-]+="[^"<>]*")*\s*$/, `meta tag broken open: ${tag}`);
+  }
+}
+
+for (const templateName of Object.keys(TEMPLATES)) {
+  const theme = getTheme(templateName);
+
+  test(`${templateName}: product page escapes a hostile title`, () => {
+    const page = go.generateHTML(hostileProduct, target(), 'US', theme);
+    assertEscaped(page);
+
+    assert.ok(page.includes('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;'), 'title missing from the page');
+    assert.ok(metaTags(page).some(tag => tag.includes('content="&quot;&gt;&lt;script&gt;alert(1)')), 'title missing from the meta tags');
+    assert.ok(scripts(page).some(body => body.includes('\\u003c/script\\u003e')), 'title missing from the tracking script');
+  });
+
+  test(`${templateName}: product page escapes a hostile title sent to a local storefront`, () => {
+    // Visitors from another country get a search for the title on their own storefront
+    const page = go.generateHTML(hostileProduct, target(), 'DE', theme);
+    assertEscaped(page);
+    assert.ok(!/href="[^"]*<script/i.test(page), 'title unescaped in the search URL');
+  });
+
+  test(`${templateName}: product page escapes hostile link paths and tags`, () => {
+    const page = go.generateHTML(hostileProduct, target({
+      path: '/B09P21T2GC/"><script>alert(1)</script>',
+      partnerTags: linkPartnerTags({ marketplace: 'us', tag: '"><script>alert(1)</script>' })
+    }), 'US', theme);
+    assertEscaped(page);
+  });
+
+  test(`${templateName}: fallback page escapes hostile link paths and tags`, () => {
+    const page = go.generateFallbackHTML(target({
+      path: '/B09P21T2GC/"><script>alert(1)</script>',
+      partnerTags: linkPartnerTags({ marketplace: 'us', tag: '"><script>alert(1)</script>' })
+    }), 'DE', theme);
+    assertEscaped(page);
+  });
+}
+
+test('error page is static', () => {
+  const page = go.generateErrorHTML();
+  assertEscaped(page);
+  assert.strictEqual(scripts(page).length, 0);
+});
+
+test('hostile paths and ?url= values are not reflected into the error page', async () => {
+  const requests = [
+    { path: '/"><script>alert(1)</script>', queryStringParameters: {} },
+    { path: '/', queryStringParameters: { url: 'javascript:alert(1)//"><script>alert(1)</script>' } },
+    { path: '/', queryStringParameters: { url: 'https://www.amazon.com/"><script>alert(1)</script>' } }
+  ];
+  for (const request of requests) {
+    const response = await go.handler({ httpMethod: 'GET', headers: {}, ...request }, {});
+    assert.strictEqual(response.statusCode, 404);
+    assert.strictEqual(response.body, go.generateErrorHTML());
+  }
+});
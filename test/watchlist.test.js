@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { testASINs, productItem, startPAAPIMock, slowClock, testRunBudget } = require('./helpers/paapi');
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORE_BACKEND = 'memory';
+process.env.ACCESS_KEY = 'AKIDEXAMPLE';
+process.env.SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+process.env.PAAPI_BATCH_INTERVAL = '150';
+process.env.ALERT_WEBHOOK_URL = 'https://hooks.example.test/deals';
+
+const ASINS = testASINs(25);
+// Never returned, so its checks always fail
+const GONE = ASINS[3];
+
+let mock;
+let watchlist;
+
+test.before(async () => {
+  mock = await startPAAPIMock(asin => (asin === GONE ? null : productItem(asin)));
+  process.env.PAAPI_ENDPOINT = mock.endpoint;
+  watchlist = require('../netlify/lib/watchlist');
+
+  for (const asin of ASINS) {
+    await watchlist.saveWatch({ asin: asin, targetPrice: 10 });
+  }
+});
+
+test.after(() => mock.close());
+
+testRunBudget(options => watchlist.checkWatchlist(options), () => mock, ASINS);
+
+test('failed checks count as checks, so a watch that keeps failing takes its turn like the rest', async () => {
+  const gone = await watchlist.getWatch(GONE, 'us');
+  assert.ok(gone.lastCheckedAt, 'failed check left lastCheckedAt unset');
+  assert.strictEqual(gone.lastPrice, null);
+
+  const before = await watchlist.listWatches();
+  const oldest = [...before]
+    .sort((a, b) => a.lastCheckedAt.localeCompare(b.lastCheckedAt))
+    .slice(0, 10)
+    .map(watch => watch.asin);
+
+  const from = mock.calls.length;
+  const report = await watchlist.checkWatchlist({ limit: 10, budget: 0, batchInterval: 0, now: slowClock(mock) });
+  assert.strictEqual(report.checked, 10);
+  assert.deepStrictEqual(mock.calls.slice(from).flat().sort(), oldest.sort());
+  assert.ok(report.failed.every(failure => failure.asin === GONE));
+});
+
+test('a watch at or under its target alerts once, with the deal and ready-made posts', async () => {
+  const { LINK_BASE } = require('../netlify/lib/marketplaces');
+  const { POST_DISCLOSURE } = require('../netlify/lib/disclosure');
+  const asin = 'B0DEAL0001';
+  await watchlist.saveWatch({ asin: asin, targetPrice: '$25.00', note: 'Lowest since Prime Day', template: 'clean' });
+
+  const sent = [];
+  const request = async (url, options) => {
+    sent.push({ url: url, body: JSON.parse(options.body) });
+    return { statusCode: 200, headers: {}, body: '' };
+  };
+  const first = await watchlist.checkWatchlist({ limit: 0, budget: 0, batchInterval: 0, request: request });
+  assert.strictEqual(first.alerts.length, 1);
+  assert.deepStrictEqual(first.alerts[0].deliveries, [{ notifier: 'webhook', ok: true }]);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].url, 'https://hooks.example.test/deals');
+  const alert = sent[0].body;
+  assert.deepStrictEqual(
+    { type: alert.type, asin: alert.asin, marketplace: alert.marketplace, title: alert.title, price: alert.price, amount: alert.amount, targetPrice: alert.targetPrice, note: alert.note },
+    { type: 'deal', asin: asin, marketplace: 'us', title: `Product ${asin}`, price: '$19.99', amount: 19.99, targetPrice: 25, note: 'Lowest since Prime Day' }
+  );
+  assert.strictEqual(alert.link, `${LINK_BASE}/${asin}`);
+  assert.match(alert.affiliateUrl, new RegExp(`^https://www\\.amazon\\.com/dp/${asin}\\?tag=`));
+  assert.deepStrictEqual(Object.keys(alert.posts), ['detailed', 'clean', 'steal']);
+  assert.strictEqual(alert.post, alert.posts.clean);
+  assert.ok(alert.post.includes(alert.link) && alert.post.includes(POST_DISCLOSURE));
+  assert.ok(!Number.isNaN(Date.parse(alert.detectedAt)));
+
+  const watch = await watchlist.getWatch(asin, 'us');
+  assert.deepStrictEqual([watch.alerted.price, watch.alerted.amount], ['$19.99', 19.99]);
+
+  // Same price next time: already alerted
+  const second = await watchlist.checkWatchlist({ limit: 0, budget: 0, batchInterval: 0, request: request });
+  assert.strictEqual(second.alerts.length, 0);
+  assert.strictEqual(sent.length, 1);
+});
+
+test('an alert no notifier delivered is sent again on the next run', async () => {
+  const asin = 'B0DEAL0002';
+  await watchlist.saveWatch({ asin: asin, targetPrice: 25 });
+  const failing = async () => ({ statusCode: 503, headers: {}, body: '' });
+
+  const first = await watchlist.checkWatchlist({ limit: 0, budget: 0, batchInterval: 0, request: failing });
+  assert.deepStrictEqual(first.alerts.map(alert => alert.asin), [asin]);
+  assert.strictEqual((await watchlist.getWatch(asin, 'us')).alerted, null);
+
+  const ok = async () => ({ statusCode: 200, headers: {}, body: '' });
+  const second = await watchlist.checkWatchlist({ limit: 0, budget: 0, batchInterval: 0, request: ok });
+  assert.deepStrictEqual(second.alerts.map(alert => alert.asin), [asin]);
+  assert.ok((await watchlist.getWatch(asin, 'us')).alerted);
+});
+
+test('validateWatch checks the type of every field', () => {
+  assert.ok(watchlist.validateWatch({ asin: 'B09P21T2GC', targetPrice: 20, note: 'Good deal' }).watch);
+  for (const input of [
+    { asin: 'nope', targetPrice: 20 },
+    { asin: 'B09P21T2GC', targetPrice: 0 },
+    { asin: 'B09P21T2GC', targetPrice: 20, marketplace: 'constructor' },
+    { asin: 'B09P21T2GC', targetPrice: 20, note: { text: 'hi' } },
+    { asin: 'B09P21T2GC', targetPrice: 20, note: ['hi'] },
+    { asin: 'B09P21T2GC', targetPrice: 20, note: 'x'.repeat(501) },
+    { asin: 'B09P21T2GC', targetPrice: 20, template: 'toString' }
+  ]) {
+    assert.ok(watchlist.validateWatch(input).error, JSON.stringify(input));
+  }
+});